@@ -8,6 +8,12 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { useApi } from "./useApi.js";
 import { config } from "./config.js";
+import OCRService from "../src/cli/ocr-service.js";
+import logger, { withLogContext } from "../src/cli/logger.js";
+import SAIdNumber from "../src/cli/sa-id-number.js";
+
+// Levelled, structured logs (LOG_LEVEL, LOG_FORMAT=json, LOG_FILE); case runs add caseId
+const log = logger.child({ component: "dea" });
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -18,7 +24,7 @@ let IDDocumentDetector = null;
 try {
   IDDocumentDetector = (await import("./id-document-detector.js")).default;
 } catch (error) {
-  console.warn("⚠️ ID Document Detection not available:", error.message);
+  log.warn("⚠️ ID Document Detection not available:", error.message);
 }
 
 program
@@ -39,10 +45,10 @@ program
   .description("⚠️  DEPRECATED: Use 'process-by-index' instead. Run deceased estate verification simulation demo")
   .option("-r, --row <number>", "Row number to select (0-based index)", "0")
   .action(async (options) => {
-    console.warn("\n⚠️  WARNING: The 'demo' command is DEPRECATED!");
-    console.warn("🔄 Please use 'process-by-index' command instead for production-aligned processing.");
-    console.warn("📋 Command: node index.js process-by-index -r " + (options.row || "0"));
-    console.warn("=".repeat(70));
+    log.warn("\n⚠️  WARNING: The 'demo' command is DEPRECATED!");
+    log.warn("🔄 Please use 'process-by-index' command instead for production-aligned processing.");
+    log.warn("📋 Command: node index.js process-by-index -r " + (options.row || "0"));
+    log.warn("=".repeat(70));
     await runVerificationDemo(options);
   });
 
@@ -58,12 +64,14 @@ program
   .option("--keep-open", "Keep browser open after completion for note review")
   .action(async (options) => {
     if (!options.case) {
-      console.error(
+      log.error(
         "❌ Error: Case number is required. Use -c or --case to specify the case number."
       );
       process.exit(1);
     }
-    await processCaseByNumber(options);
+    await withLogContext({ caseId: options.case }, () =>
+      processCaseByNumber(options)
+    );
   });
 
 program
@@ -97,7 +105,7 @@ program
   });
 
 async function automateDynamics(options = {}) {
-  console.log("Starting Dynamics 365 automation...");
+  log.info("Starting Dynamics 365 automation...");
 
   const userDataDir = path.join(__dirname, "browser-data", "dynamics");
   if (!fs.existsSync(userDataDir)) {
@@ -137,7 +145,7 @@ async function automateDynamics(options = {}) {
 
   try {
     if (options.url) {
-      console.log(`Navigating to specific Dynamics URL: ${options.url}`);
+      log.info(`Navigating to specific Dynamics URL: ${options.url}`);
       await page.goto(options.url, {
         waitUntil: "domcontentloaded",
       });
@@ -151,7 +159,7 @@ async function automateDynamics(options = {}) {
         .count();
 
       if (signInElements > 0) {
-        console.log("Authentication required - handling sign-in...");
+        log.info("Authentication required - handling sign-in...");
         await page.locator("#dialogCloseIconButton_2").first().click();
 
         //         await page.goto(options.url, {
@@ -160,22 +168,22 @@ async function automateDynamics(options = {}) {
         //   // Try to find and click the sign-in button
         //   try {
         //     await page.locator('text="Sign in", button:has-text("Sign in")').first().click();
-        //     console.log("Clicked sign-in button");
+        //     log.info("Clicked sign-in button");
 
         //     // Wait for authentication flow
         //     await page.waitForTimeout(5000);
 
         //     // After sign-in, navigate back to the original URL
-        //     console.log("Re-navigating to original URL after authentication...");
+        //     log.info("Re-navigating to original URL after authentication...");
         //     await page.goto(options.url, {
         //       waitUntil: "networkidle",
         //     });
         //   } catch (error) {
-        //     console.log("Could not automatically handle sign-in - manual intervention may be required");
+        //     log.info("Could not automatically handle sign-in - manual intervention may be required");
         //   }
       }
     } else {
-      console.log("Navigating to Dynamics 365 main page...");
+      log.info("Navigating to Dynamics 365 main page...");
       await page.goto(
         // "https://rbb.crm4.dynamics.com/main.aspx?appid=985c526a-991d-4b63-8821-40933180b864&pagetype=entitylist&etn=queueitem&viewid=1243801a-0ac8-ea11-a812-000d3a38a089&viewType=1039",
         "https://rbb.crm4.dynamics.com/main.aspx?appid=985c526a-991d-4b63-8821-40933180b864&pagetype=entitylist&etn=queueitem&viewid=1243801a-0ac8-ea11-a812-000d3a38a089&viewType=1039",
@@ -185,26 +193,89 @@ async function automateDynamics(options = {}) {
       );
     }
 
-    console.log(
+    log.info(
       "Dynamics 365 automation ready - implement specific functionality here"
     );
 
-    console.log("Keeping browser open for manual interaction...");
-    console.log("Press Ctrl+C to close when done.");
+    log.info("Keeping browser open for manual interaction...");
+    log.info("Press Ctrl+C to close when done.");
 
     await new Promise(() => {});
   } catch (error) {
-    console.error("Error during Dynamics 365 automation:", error);
+    log.error("Error during Dynamics 365 automation:", error);
     await page.pause();
   }
 }
 
+/**
+ * OCR a rendered page image, retrying rotated copies when almost no text is read
+ */
+async function ocrPageImage(ocrService, pageBuffer, pageNumber) {
+  const sharp = (await import("sharp")).default;
+  const toImageData = async (angle) => {
+    const { data, info } = await sharp(pageBuffer)
+      .rotate(angle)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  };
+
+  try {
+    let cleanedText = (
+      await ocrService.recognizeText(await toImageData(0))
+    ).trim();
+    log.info(
+      `   📝 Page ${pageNumber}: ${cleanedText.length} characters extracted`
+    );
+
+    // 🔄 DOCUMENT ROTATION FOR LOW-CONFIDENCE READS
+    if (cleanedText.length < 30) {
+      log.info(
+        `   🔄 Low text extraction (${cleanedText.length} chars), trying rotation...`
+      );
+
+      for (const angle of [90, 180, 270]) {
+        try {
+          const rotatedText = (
+            await ocrService.recognizeText(await toImageData(angle))
+          ).trim();
+          log.info(
+            `   🔄 Rotation ${angle}°: ${rotatedText.length} characters`
+          );
+
+          // Keep the best result
+          if (rotatedText.length > cleanedText.length) {
+            cleanedText = rotatedText;
+            log.info(`   ✅ Better result with ${angle}° rotation!`);
+          }
+        } catch (rotationError) {
+          log.info(
+            `   ⚠️  Rotation ${angle}° failed: ${rotationError.message}`
+          );
+        }
+      }
+
+      if (cleanedText.length > 30) {
+        log.info(
+          `   🎯 Final result after rotation: ${cleanedText.length} characters`
+        );
+      }
+    }
+
+    return cleanedText;
+  } catch (ocrError) {
+    log.info(`   ⚠️  OCR failed for page ${pageNumber}: ${ocrError.message}`);
+    return "";
+  }
+}
+
 async function extractTextFromPDFPages(pdfPath, caseNumber = null) {
   try {
-    console.log(`🔍 Processing: ${path.basename(pdfPath)}`);
+    log.info(`🔍 Processing: ${path.basename(pdfPath)}`);
 
     // 🔤 STEP 0: Try digital text extraction first (much faster and more accurate)
-    console.log(`   🔤 Attempting digital text extraction...`);
+    log.info(`   🔤 Attempting digital text extraction...`);
     let digitalTextResults = [];
     try {
       // Use pdf.js-extract instead of pdf-parse to avoid hardcoded path issues
@@ -238,37 +309,37 @@ async function extractTextFromPDFPages(pdfPath, caseNumber = null) {
       }
 
       if (totalTextLength > 50 && digitalTextResults.length > 0) {
-        console.log(
+        log.info(
           `   ✅ Digital text extraction successful: ${totalTextLength} characters`
         );
-        console.log(
+        log.info(
           `   📄 Found ${pdfData.pages.length} pages with digital text`
         );
-        console.log(
+        log.info(
           `   🎯 Using digital text extraction (${digitalTextResults.length} pages)`
         );
         return digitalTextResults;
       } else if (totalTextLength > 0 && totalTextLength <= 50) {
-        console.log(
+        log.info(
           `   ⚠️  Digital text extraction yielded short text (${totalTextLength} chars) - document likely contains scanned pages, falling back to OCR with rotation`
         );
       } else {
-        console.log(
+        log.info(
           `   ⚠️  Digital text extraction yielded no usable text, falling back to OCR`
         );
       }
 
-      console.log(
+      log.info(
         `   ⚠️  Digital text extraction insufficient (${totalTextLength} chars), falling back to OCR with enhanced rotation`
       );
     } catch (digitalError) {
-      console.log(
+      log.info(
         `   ⚠️  Digital text extraction failed: ${digitalError.message}, falling back to OCR`
       );
     }
 
     // 🖼️ STEP 1: Extract images from PDF using pdf-to-img (FALLBACK - for OCR when digital text fails)
-    console.log(`   🖼️  Extracting page images for OCR...`);
+    log.info(`   🖼️  Extracting page images for OCR...`);
     const { pdf } = await import("pdf-to-img");
 
     const pdfDocument = await pdf(pdfPath, {
@@ -283,10 +354,10 @@ async function extractTextFromPDFPages(pdfPath, caseNumber = null) {
       },
     });
 
-    console.log(`   📋 Found ${pdfDocument.length} pages to process`);
+    log.info(`   📋 Found ${pdfDocument.length} pages to process`);
 
     if (pdfDocument.length === 0) {
-      console.log(`   ⚠️  No pages found in PDF`);
+      log.info(`   ⚠️  No pages found in PDF`);
       return [];
     }
 
@@ -299,206 +370,62 @@ async function extractTextFromPDFPages(pdfPath, caseNumber = null) {
       fs.mkdirSync(pdfImageDir, { recursive: true });
     }
 
-    // 📄 STEP 2: Process each page with OCR and save images
-    console.log(`   🚀 Initializing scribe.js OCR for text extraction...`);
-    const scribe = (await import("scribe.js-ocr")).default;
-    await scribe.init({ ocr: true }); // Only OCR, not PDF processing
-
-    const pageResults = [];
+    // 📄 STEP 2: Save page images for ID detection, then OCR all pages in parallel
+    // on the shared worker pool (started once per process, not per PDF)
+    const ocrService = OCRService.shared();
+    const pageImages = [];
     let pageIndex = 0;
 
     for await (const pageBuffer of pdfDocument) {
       const pageNumber = pageIndex + 1;
-      console.log(`   📊 Processing page ${pageNumber}...`);
-
-      // Save page image for ID detection (SWITCHED TO PNG - better scribe.js compatibility)
       const imageFileName = `page${pageNumber}.png`;
       const imagePath = path.join(pdfImageDir, imageFileName);
 
       try {
         await fs.promises.writeFile(imagePath, pageBuffer);
-
-        // CRITICAL FIX: Ensure file is fully written and synced before OCR
-        await fs.promises.access(imagePath, fs.constants.R_OK);
-
-        // Additional verification: Check file size to ensure it's not empty/corrupt
-        const stats = await fs.promises.stat(imagePath);
-        if (stats.size < 2000) {
-          // PNG should be at least 2KB (larger than JPEG due to less compression)
-          throw new Error(
-            `Image file too small (${stats.size} bytes), possibly corrupt`
-          );
-        }
-
-        console.log(
-          `   🖼️  Page ${pageNumber} image saved: ${imageFileName} (${stats.size} bytes)`
+        log.info(
+          `   🖼️  Page ${pageNumber} image saved: ${imageFileName} (${pageBuffer.length} bytes)`
         );
-
-        // Small delay to ensure file system completion
-        await new Promise((resolve) => setTimeout(resolve, 100));
       } catch (imageError) {
-        console.log(
+        log.info(
           `   ⚠️  Failed to save image for page ${pageNumber}: ${imageError.message}`
         );
       }
 
-      // Extract text using OCR on the saved image file (FIXED - scribe.js needs file path, not buffer)
-      let cleanedText = "";
-      try {
-        // Double-check file exists and is readable before OCR
-        if (fs.existsSync(imagePath)) {
-          const stats = await fs.promises.stat(imagePath);
-          console.log(
-            `   🔍 OCR processing file: ${imageFileName} (${stats.size} bytes)`
-          );
-
-          if (stats.size < 2000) {
-            console.log(
-              `   ⚠️  PNG file too small for OCR: ${stats.size} bytes`
-            );
-            cleanedText = "";
-          } else {
-            // Clear any previous data from scribe.js
-            await scribe.clear();
-
-            // Additional small delay for file system stability
-            await new Promise((resolve) => setTimeout(resolve, 50));
-
-            // Use the saved image file for OCR
-            await scribe.importFiles([imagePath]);
-            await scribe.recognize({ langs: ["eng"], mode: "fast" });
-            const pageText = await scribe.exportData("txt");
-            cleanedText = pageText ? pageText.trim() : "";
-            console.log(
-              `   📝 Page ${pageNumber}: ${cleanedText.length} characters extracted`
-            );
-
-            // 🔄 DOCUMENT ROTATION FOR LOW-CONFIDENCE READS
-            if (cleanedText.length < 30 && fs.existsSync(imagePath)) {
-              console.log(
-                `   🔄 Low text extraction (${cleanedText.length} chars), trying rotation...`
-              );
-
-              const rotationAngles = [90, 180, 270];
-              let bestText = cleanedText;
-              let bestLength = cleanedText.length;
-
-              for (const angle of rotationAngles) {
-                try {
-                  const sharp = (await import("sharp")).default;
-
-                  // Create rotated version
-                  const rotatedImagePath = imagePath.replace(
-                    ".png",
-                    `_rot${angle}.png`
-                  );
-                  await sharp(imagePath)
-                    .rotate(angle)
-                    .png()
-                    .toFile(rotatedImagePath);
-
-                  // Try OCR on rotated image
-                  await scribe.clear();
-                  await scribe.importFiles([rotatedImagePath]);
-                  await scribe.recognize({ langs: ["eng"], mode: "fast" });
-                  const rotatedText = await scribe.exportData("txt");
-                  const rotatedTextClean = rotatedText
-                    ? rotatedText.trim()
-                    : "";
-
-                  console.log(
-                    `   🔄 Rotation ${angle}°: ${rotatedTextClean.length} characters`
-                  );
-
-                  // Keep the best result
-                  if (rotatedTextClean.length > bestLength) {
-                    bestText = rotatedTextClean;
-                    bestLength = rotatedTextClean.length;
-                    console.log(`   ✅ Better result with ${angle}° rotation!`);
-                  }
-
-                  // Cleanup rotated image
-                  try {
-                    fs.unlinkSync(rotatedImagePath);
-                  } catch (unlinkError) {
-                    // Ignore cleanup errors
-                  }
-                } catch (rotationError) {
-                  console.log(
-                    `   ⚠️  Rotation ${angle}° failed: ${rotationError.message}`
-                  );
-                }
-              }
+      pageImages.push({ pageNumber, imagePath, pageBuffer });
+      pageIndex++;
+    }
 
-              cleanedText = bestText;
-              if (bestLength > 30) {
-                console.log(
-                  `   🎯 Final result after rotation: ${bestLength} characters`
-                );
-              }
-            }
-          }
-        } else {
-          console.log(`   ⚠️  Image file not found for OCR: ${imagePath}`);
-          cleanedText = "";
-        }
-      } catch (ocrError) {
-        console.log(
-          `   ⚠️  OCR failed for page ${pageNumber}: ${ocrError.message}`
+    log.info(
+      `   🚀 OCR processing ${pageImages.length} pages on ${ocrService.poolSize} worker(s)...`
+    );
+    const pageResults = await Promise.all(
+      pageImages.map(async ({ pageNumber, imagePath, pageBuffer }) => {
+        const cleanedText = await ocrPageImage(
+          ocrService,
+          pageBuffer,
+          pageNumber
         );
-        // Try to get more specific error details
-        if (ocrError.stack) {
-          console.log(
-            `   🔍 OCR Error Stack: ${ocrError.stack.split("\n")[0]}`
-          );
-        }
-
-        // FALLBACK: Try to analyze the image file for debugging
-        try {
-          if (fs.existsSync(imagePath)) {
-            const stats = await fs.promises.stat(imagePath);
-            console.log(
-              `   🔍 Failed image file info: ${stats.size} bytes, modified: ${stats.mtime}`
-            );
-          }
-        } catch (debugError) {
-          console.log(
-            `   🔍 Could not analyze failed image file: ${debugError.message}`
-          );
-        }
 
-        cleanedText = "";
-      }
-
-      pageResults.push({
-        pageNumber: pageNumber,
-        text: cleanedText,
-        textLength: cleanedText.length,
-        imagePath: imagePath, // Critical: Image path for ID detection
-        source: "ocr", // Track extraction method
-      });
-
-      pageIndex++;
-    }
+        return {
+          pageNumber: pageNumber,
+          text: cleanedText,
+          textLength: cleanedText.length,
+          imagePath: imagePath, // Critical: Image path for ID detection
+          source: "ocr", // Track extraction method
+        };
+      })
+    );
 
-    console.log(
+    log.info(
       `   ✅ PDF processing completed for all ${pageResults.length} pages`
     );
-    await scribe.terminate();
     return pageResults;
   } catch (error) {
-    console.log(
+    log.info(
       `   ❌ Error processing ${path.basename(pdfPath)}: ${error.message}`
     );
 
-    // Make sure to terminate scribe.js even on error
-    try {
-      const scribe = (await import("scribe.js-ocr")).default;
-      await scribe.terminate();
-    } catch (terminateError) {
-      // Ignore terminate errors
-    }
-
     return [];
   }
 }
@@ -508,11 +435,11 @@ async function extractTextFromPDFPages(pdfPath, caseNumber = null) {
  * Searches through the queue to find the case and processes it
  */
 async function processCaseByNumber(options = {}) {
-  console.log("🚀 Starting Production Case Processing");
-  console.log(`🔍 Searching for case number: ${options.case}`);
-  console.log(`📄 Max pages to search: ${options.pages || "5"}`);
-  console.log(`🎯 Exact match required: ${options.exactMatch ? "Yes" : "No"}`);
-  console.log("=".repeat(50));
+  log.info("🚀 Starting Production Case Processing");
+  log.info(`🔍 Searching for case number: ${options.case}`);
+  log.info(`📄 Max pages to search: ${options.pages || "5"}`);
+  log.info(`🎯 Exact match required: ${options.exactMatch ? "Yes" : "No"}`);
+  log.info("=".repeat(50));
 
   const caseNumber = options.case.toString().trim();
   const maxPages = parseInt(options.pages || "5");
@@ -542,10 +469,10 @@ async function processCaseByNumber(options = {}) {
 
   try {
     // Create or find API record and set to busy
-    console.log("🔄 Creating/updating API record...");
+    log.info("🔄 Creating/updating API record...");
     const apiRecord = await createOrFindApiRecord(caseNumber, "Unknown Customer", "busy");
     // Step 1: Open Dynamics URL
-    console.log("\n📋 Step 1: Opening Dynamics 365 queue...");
+    log.info("\n📋 Step 1: Opening Dynamics 365 queue...");
     await page.goto(
       "https://rbb.crm4.dynamics.com/main.aspx?appid=985c526a-991d-4b63-8821-40933180b864&pagetype=entitylist&etn=queueitem&viewid=1243801a-0ac8-ea11-a812-000d3a38a089&viewType=1039",
       { waitUntil: "domcontentloaded" }
@@ -554,14 +481,14 @@ async function processCaseByNumber(options = {}) {
     await page.waitForTimeout(5000);
 
     // Step 2: Search for the case across multiple pages
-    console.log(`\n🔍 Step 2: Searching for case number "${caseNumber}"...`);
+    log.info(`\n🔍 Step 2: Searching for case number "${caseNumber}"...`);
     await page.waitForSelector('[data-id="grid-container"]');
 
     let currentPage = 1;
     let searchComplete = false;
 
     while (currentPage <= maxPages && !searchComplete) {
-      console.log(`\n📄 Searching page ${currentPage}...`);
+      log.info(`\n📄 Searching page ${currentPage}...`);
 
       // Wait for grid to load
       await page.waitForTimeout(3000);
@@ -571,7 +498,7 @@ async function processCaseByNumber(options = {}) {
         '[data-id="grid-container"] [role="row"][row-index]'
       );
       const rowCount = await allRows.count();
-      console.log(`📊 Found ${rowCount} rows on page ${currentPage}`);
+      log.info(`📊 Found ${rowCount} rows on page ${currentPage}`);
 
       // Search through current page rows
       for (let i = 0; i < rowCount; i++) {
@@ -594,7 +521,7 @@ async function processCaseByNumber(options = {}) {
               : rowCaseNumber && rowCaseNumber.includes(caseNumber);
 
             if (isMatch) {
-              console.log(
+              log.info(
                 `🎯 FOUND! Case ${rowCaseNumber} matches in case number column`
               );
               foundCase = true;
@@ -614,7 +541,7 @@ async function processCaseByNumber(options = {}) {
                     "unknown_customer";
                 }
               } catch (customerError) {
-                console.log(
+                log.info(
                   `⚠️  Could not extract customer name: ${customerError.message}`
                 );
               }
@@ -636,7 +563,7 @@ async function processCaseByNumber(options = {}) {
                 : titleText && titleText.includes(caseNumber);
 
               if (isMatch) {
-                console.log(
+                log.info(
                   `🎯 FOUND! Case ${caseNumber} matches in title column: ${titleText}`
                 );
                 foundCase = true;
@@ -662,7 +589,7 @@ async function processCaseByNumber(options = {}) {
                       "unknown_customer";
                   }
                 } catch (customerError) {
-                  console.log(
+                  log.info(
                     `⚠️  Could not extract customer name: ${customerError.message}`
                   );
                 }
@@ -672,7 +599,7 @@ async function processCaseByNumber(options = {}) {
             }
           }
         } catch (rowError) {
-          console.log(`⚠️  Error checking row ${i}: ${rowError.message}`);
+          log.info(`⚠️  Error checking row ${i}: ${rowError.message}`);
         }
 
         if (foundCase) break;
@@ -680,14 +607,14 @@ async function processCaseByNumber(options = {}) {
 
       if (foundCase) {
         searchComplete = true;
-        console.log(
+        log.info(
           `✅ Case found on page ${currentPage}, row ${targetRowIndex}`
         );
-        console.log(`📋 Case Number: ${cleanCaseNumber}`);
-        console.log(`👤 Customer: ${customerName}`);
+        log.info(`📋 Case Number: ${cleanCaseNumber}`);
+        log.info(`👤 Customer: ${customerName}`);
       } else {
         // Try to go to next page
-        console.log(
+        log.info(
           `❌ Case not found on page ${currentPage}, checking for next page...`
         );
 
@@ -702,12 +629,12 @@ async function processCaseByNumber(options = {}) {
           (await loadMoreButton.isEnabled());
 
         if (hasLoadMore && currentPage < maxPages) {
-          console.log(`⏭️  Loading next page...`);
+          log.info(`⏭️  Loading next page...`);
           await loadMoreButton.click();
           await page.waitForTimeout(4000); // Wait for new data to load
           currentPage++;
         } else {
-          console.log(`📄 No more pages available or max pages reached`);
+          log.info(`📄 No more pages available or max pages reached`);
           searchComplete = true;
         }
       }
@@ -720,7 +647,7 @@ async function processCaseByNumber(options = {}) {
     }
 
     // Step 3: Click on the found case
-    console.log(`\n📋 Step 3: Clicking on found case...`);
+    log.info(`\n📋 Step 3: Clicking on found case...`);
     const foundRow = await page
       .locator('[data-id="grid-container"] [role="row"][row-index]')
       .nth(targetRowIndex);
@@ -731,8 +658,8 @@ async function processCaseByNumber(options = {}) {
         linkText = await caseLink.getAttribute("aria-label");
       }
       await caseLink.click();
-      console.log(`✅ Successfully clicked on case: ${linkText}`);
-      console.log(
+      log.info(`✅ Successfully clicked on case: ${linkText}`);
+      log.info(
         `🎯 Processing case: ${cleanCaseNumber} for Customer: ${customerName}`
       );
     } else {
@@ -741,11 +668,13 @@ async function processCaseByNumber(options = {}) {
 
     // Step 4: Continue with the standard case processing workflow (same as demo)
     // From here, we use the same logic as runVerificationDemo starting from Step 3 (Timeline tab)
-    const result = await continueStandardCaseProcessing(
-      page,
-      cleanCaseNumber,
-      customerName,
-      linkText
+    const result = await withLogContext({ caseId: cleanCaseNumber }, () =>
+      continueStandardCaseProcessing(
+        page,
+        cleanCaseNumber,
+        customerName,
+        linkText
+      )
     );
 
     // Update API record with successful completion
@@ -768,7 +697,7 @@ async function processCaseByNumber(options = {}) {
     );
 
   } catch (error) {
-    console.error(`❌ Error in case processing: ${error.message}`);
+    log.error(`❌ Error in case processing: ${error.message}`);
     
     // Update API record with error
     await updateApiRecordByCaseNumber(
@@ -786,10 +715,10 @@ async function processCaseByNumber(options = {}) {
     if (!options.keepOpen) {
       await browser.close();
     } else {
-      console.log(
+      log.info(
         "\n🔍 Browser kept open for note review. Close browser manually when done."
       );
-      console.log(
+      log.info(
         "💡 The verification note has been added to the Dynamics timeline for your review."
       );
     }
@@ -800,9 +729,9 @@ async function processCaseByNumber(options = {}) {
  * Process a case by row index - cloned from processCaseByNumber but accepts row index
  */
 async function processCaseByIndex(options = {}) {
-  console.log("🚀 Starting Production Case Processing by Index");
-  console.log(`📊 Targeting row index: ${options.row || "0"}`);
-  console.log("=".repeat(50));
+  log.info("🚀 Starting Production Case Processing by Index");
+  log.info(`📊 Targeting row index: ${options.row || "0"}`);
+  log.info("=".repeat(50));
 
   const rowIndex = parseInt(options.row || "0");
   let linkText = "unknown_case";
@@ -828,7 +757,7 @@ async function processCaseByIndex(options = {}) {
   try {
     // We'll update the API record once we have the actual case number and customer name
     // Step 1: Open Dynamics URL
-    console.log("\n📋 Step 1: Opening Dynamics 365 queue...");
+    log.info("\n📋 Step 1: Opening Dynamics 365 queue...");
     await page.goto(
       "https://rbb.crm4.dynamics.com/main.aspx?appid=985c526a-991d-4b63-8821-40933180b864&pagetype=entitylist&etn=queueitem&viewid=1243801a-0ac8-ea11-a812-000d3a38a089&viewType=1039",
       { waitUntil: "domcontentloaded" }
@@ -837,7 +766,7 @@ async function processCaseByIndex(options = {}) {
     await page.waitForTimeout(5000);
 
     // Step 2: Click on case in specified row (same as demo command logic)
-    console.log(`\n📋 Step 2: Clicking on case in row ${rowIndex}...`);
+    log.info(`\n📋 Step 2: Clicking on case in row ${rowIndex}...`);
     await page.waitForSelector('[data-id="grid-container"]');
 
     const targetRow = await page
@@ -860,10 +789,10 @@ async function processCaseByIndex(options = {}) {
           cleanCaseNumber =
             (await caseNumberElement.getAttribute("aria-label")) ||
             "unknown_case";
-          console.log(`📋 Extracted clean case number: ${cleanCaseNumber}`);
+          log.info(`📋 Extracted clean case number: ${cleanCaseNumber}`);
         }
       } catch (error) {
-        console.log(`⚠️  Could not extract case number: ${error.message}`);
+        log.info(`⚠️  Could not extract case number: ${error.message}`);
       }
 
       // Extract customer name from Customer column
@@ -875,10 +804,10 @@ async function processCaseByIndex(options = {}) {
           customerName =
             (await customerElement.getAttribute("aria-label")) ||
             "unknown_customer";
-          console.log(`👤 Extracted customer name: ${customerName}`);
+          log.info(`👤 Extracted customer name: ${customerName}`);
         }
       } catch (error) {
-        console.log(`⚠️  Could not extract customer name: ${error.message}`);
+        log.info(`⚠️  Could not extract customer name: ${error.message}`);
       }
 
       // Find the first link in the title column (col-id="title") for navigation
@@ -887,22 +816,22 @@ async function processCaseByIndex(options = {}) {
       if ((await caseLink.count()) > 0) {
         linkText = await caseLink.getAttribute("aria-label");
         await caseLink.click();
-        console.log(`✅ Successfully clicked on case: ${linkText}`);
-        console.log(
+        log.info(`✅ Successfully clicked on case: ${linkText}`);
+        log.info(
           `🎯 Using clean case number: ${cleanCaseNumber} for Customer: ${customerName}`
         );
 
         // Create or find API record and set to busy
-        console.log("🔄 Creating/updating API record...");
+        log.info("🔄 Creating/updating API record...");
         const apiRecord = await createOrFindApiRecord(cleanCaseNumber, customerName, "busy");
 
       } else {
-        console.log(
+        log.info(
           "⚠️  No case link found in the title column of the specified row"
         );
       }
     } else {
-      console.log(
+      log.info(
         `⚠️  Row ${rowIndex} not found, proceeding with simulation...`
       );
     }
@@ -910,11 +839,13 @@ async function processCaseByIndex(options = {}) {
     await page.waitForTimeout(6000);
 
     // Step 3: Continue with the standard case processing workflow (same as process-by-case)
-    const result = await continueStandardCaseProcessing(
-      page,
-      cleanCaseNumber,
-      customerName,
-      linkText
+    const result = await withLogContext({ caseId: cleanCaseNumber }, () =>
+      continueStandardCaseProcessing(
+        page,
+        cleanCaseNumber,
+        customerName,
+        linkText
+      )
     );
 
     // Update API record with successful completion
@@ -937,7 +868,7 @@ async function processCaseByIndex(options = {}) {
     );
 
   } catch (error) {
-    console.error(`❌ Error in case processing: ${error.message}`);
+    log.error(`❌ Error in case processing: ${error.message}`);
     
     // Update API record with error
     await updateApiRecordByCaseNumber(
@@ -955,10 +886,10 @@ async function processCaseByIndex(options = {}) {
     if (!options.keepOpen) {
       await browser.close();
     } else {
-      console.log(
+      log.info(
         "\n🔍 Browser kept open for note review. Close browser manually when done."
       );
-      console.log(
+      log.info(
         "💡 The verification note has been added to the Dynamics timeline for your review."
       );
     }
@@ -979,30 +910,30 @@ async function continueStandardCaseProcessing(
   await page.waitForTimeout(6000);
 
   // Step 4: Switch to Timeline tab (continuing the numbering from processCaseByNumber)
-  console.log("\n📋 Step 4: Switching to Timeline tab...");
+  log.info("\n📋 Step 4: Switching to Timeline tab...");
   const timelineTab = await page
     .locator('[aria-label="Timeline"][role="tab"]')
     .first();
   if ((await timelineTab.count()) > 0) {
     await timelineTab.click();
-    console.log("✅ Successfully switched to Timeline tab");
+    log.info("✅ Successfully switched to Timeline tab");
   } else {
-    console.log("⚠️  Timeline tab not found, proceeding with simulation...");
+    log.info("⚠️  Timeline tab not found, proceeding with simulation...");
   }
 
   await page.waitForTimeout(8000);
 
   // Step 5: Expand all timeline items
-  console.log("\n📋 Step 5: Expanding timeline items...");
+  log.info("\n📋 Step 5: Expanding timeline items...");
   const viewMoreButtons = await page
     .locator('button[aria-label="View more"]')
     .all();
-  console.log(`Found ${viewMoreButtons.length} 'View more' buttons`);
+  log.info(`Found ${viewMoreButtons.length} 'View more' buttons`);
 
   for (let i = 0; i < viewMoreButtons.length; i++) {
     try {
       await viewMoreButtons[i].click({ timeout: 2000 });
-      console.log(`✅ Expanded timeline item ${i + 1}`);
+      log.info(`✅ Expanded timeline item ${i + 1}`);
       await page.waitForTimeout(200);
     } catch (error) {
       // Silently continue if expansion fails
@@ -1010,18 +941,18 @@ async function continueStandardCaseProcessing(
   }
 
   // Second pass to expand any remaining "View more" buttons that appeared after first expansion
-  console.log("\n📋 Step 5.1: Second pass - expanding any remaining items...");
+  log.info("\n📋 Step 5.1: Second pass - expanding any remaining items...");
   const viewMoreButtons2 = await page
     .locator('button[aria-label="View more"]')
     .all();
-  console.log(
+  log.info(
     `Found ${viewMoreButtons2.length} additional 'View more' buttons`
   );
 
   for (let i = 0; i < viewMoreButtons2.length; i++) {
     try {
       await viewMoreButtons2[i].click({ timeout: 2000 });
-      console.log(`✅ Expanded additional timeline item ${i + 1}`);
+      log.info(`✅ Expanded additional timeline item ${i + 1}`);
       await page.waitForTimeout(200);
     } catch (error) {
       // Silently continue if expansion fails
@@ -1029,9 +960,9 @@ async function continueStandardCaseProcessing(
   }
 
   // Step 6: Analyze all PDF attachments first
-  console.log("\n📋 Step 6: Analyzing PDF attachments...");
+  log.info("\n📋 Step 6: Analyzing PDF attachments...");
   const pdfButtons = await page.locator('button[aria-label*=".pdf"]').all();
-  console.log(`Found ${pdfButtons.length} PDF buttons`);
+  log.info(`Found ${pdfButtons.length} PDF buttons`);
 
   // Collect all PDF names for analysis
   const allPdfNames = [];
@@ -1039,16 +970,16 @@ async function continueStandardCaseProcessing(
     try {
       const ariaLabel = await pdfButtons[i].getAttribute("aria-label");
       allPdfNames.push(ariaLabel);
-      console.log(`📄 Found PDF: ${ariaLabel}`);
+      log.info(`📄 Found PDF: ${ariaLabel}`);
     } catch (error) {
-      console.log(`⚠️  Could not get name for PDF ${i + 1}`);
+      log.info(`⚠️  Could not get name for PDF ${i + 1}`);
     }
   }
 
   await page.waitForTimeout(2000);
 
   // Step 6.1: Download ALL PDF documents for the case
-  console.log("\n📋 Step 6.1: Downloading all PDF attachments...");
+  log.info("\n📋 Step 6.1: Downloading all PDF attachments...");
 
   // Use clean case number for folder creation
   const caseDownloadDir = path.join(process.cwd(), "pdfs", cleanCaseNumber);
@@ -1056,10 +987,10 @@ async function continueStandardCaseProcessing(
   // Create case-specific directory
   if (!fs.existsSync(caseDownloadDir)) {
     fs.mkdirSync(caseDownloadDir, { recursive: true });
-    console.log(`📁 Created case directory: ${caseDownloadDir}`);
+    log.info(`📁 Created case directory: ${caseDownloadDir}`);
   }
 
-  console.log(`📄 Processing ${pdfButtons.length} PDF attachments...`);
+  log.info(`📄 Processing ${pdfButtons.length} PDF attachments...`);
   const pdfNames = [];
   const downloadedPdfs = [];
   const usedFileNames = new Map(); // Track filename usage for deduplication
@@ -1068,7 +999,7 @@ async function continueStandardCaseProcessing(
     try {
       const ariaLabel = await pdfButtons[i].getAttribute("aria-label");
       pdfNames.push(ariaLabel);
-      console.log(
+      log.info(
         `\n🔍 Processing PDF ${i + 1}/${pdfButtons.length}: ${ariaLabel}`
       );
 
@@ -1089,12 +1020,12 @@ async function continueStandardCaseProcessing(
 
       try {
         // Try to catch immediate download
-        console.log(`📥 Attempting direct download...`);
+        log.info(`📥 Attempting direct download...`);
         download = await downloadPromise;
-        console.log(`✅ Direct download triggered for: ${ariaLabel}`);
+        log.info(`✅ Direct download triggered for: ${ariaLabel}`);
       } catch (downloadError) {
         // Direct download failed, try modal approach
-        console.log(`🔄 Direct download failed, trying modal approach...`);
+        log.info(`🔄 Direct download failed, trying modal approach...`);
 
         // Wait for modal to fully load
         await page.waitForTimeout(3000);
@@ -1105,7 +1036,7 @@ async function continueStandardCaseProcessing(
           .first();
         await downloadButton.waitFor({ timeout: 10000 });
 
-        console.log(`📥 Starting modal download...`);
+        log.info(`📥 Starting modal download...`);
 
         // Start download from modal
         const modalDownloadPromise = page.waitForEvent("download");
@@ -1120,12 +1051,12 @@ async function continueStandardCaseProcessing(
             fileName = fileNameText.replace("File name:", "").trim();
           }
         } catch (e) {
-          console.log(
+          log.info(
             `⚠️  Could not extract filename from modal, using aria-label`
           );
         }
 
-        console.log(`✅ Modal download completed for: ${ariaLabel}`);
+        log.info(`✅ Modal download completed for: ${ariaLabel}`);
       }
 
       // Handle filename deduplication
@@ -1137,7 +1068,7 @@ async function continueStandardCaseProcessing(
         const extension = fileNameParts.pop();
         const baseName = fileNameParts.join('.');
         finalFileName = `${baseName}_${count}.${extension}`;
-        console.log(`🔄 Duplicate filename detected. Renamed to: ${finalFileName}`);
+        log.info(`🔄 Duplicate filename detected. Renamed to: ${finalFileName}`);
       } else {
         usedFileNames.set(fileName, 1);
       }
@@ -1147,7 +1078,7 @@ async function continueStandardCaseProcessing(
       await download.saveAs(filePath);
       downloadedPdfs.push(filePath);
 
-      console.log(`✅ Downloaded: ${finalFileName}`);
+      log.info(`✅ Downloaded: ${finalFileName}`);
 
       // Close modal if it was opened (check if download button exists)
       try {
@@ -1157,7 +1088,7 @@ async function continueStandardCaseProcessing(
           .isVisible({ timeout: 1000 });
         if (modalExists) {
           await page.keyboard.press("Escape");
-          console.log(`✅ Closed PDF modal`);
+          log.info(`✅ Closed PDF modal`);
         }
       } catch (e) {
         // No modal to close, continue
@@ -1165,7 +1096,7 @@ async function continueStandardCaseProcessing(
 
       await page.waitForTimeout(1000);
     } catch (error) {
-      console.log(`❌ Could not download PDF ${i + 1}: ${error.message}`);
+      log.info(`❌ Could not download PDF ${i + 1}: ${error.message}`);
 
       // Try to close modal if it exists
       try {
@@ -1183,18 +1114,18 @@ async function continueStandardCaseProcessing(
     }
   }
 
-  console.log(
+  log.info(
     `\n📊 Download Summary: ${downloadedPdfs.length}/${pdfButtons.length} PDFs downloaded`
   );
   downloadedPdfs.forEach((filePath, index) => {
-    console.log(`  ${index + 1}. ${path.basename(filePath)}`);
+    log.info(`  ${index + 1}. ${path.basename(filePath)}`);
   });
 
   await page.waitForTimeout(3000);
 
   // Step 7: Real PDF Classification
-  console.log("\n📋 Step 7: PDF Classification and Verification...");
-  console.log(
+  log.info("\n📋 Step 7: PDF Classification and Verification...");
+  log.info(
     `🔍 Classifying ${downloadedPdfs.length} downloaded documents...`
   );
 
@@ -1203,29 +1134,29 @@ async function continueStandardCaseProcessing(
   if (downloadedPdfs.length > 0) {
     // Run real classification on downloaded PDFs
     try {
-      console.log(
+      log.info(
         `📄 Running classification on case directory: ${caseDownloadDir}`
       );
       classificationResults = await runPDFClassificationForCase(
         caseDownloadDir
       );
       if (classificationResults === null) {
-        console.log(
+        log.info(
           `⚠️  Classification returned null - falling back to legacy filename analysis`
         );
       } else {
-        console.log(`✅ Classification completed`);
+        log.info(`✅ Classification completed`);
       }
     } catch (classificationError) {
-      console.log(`❌ Classification failed: ${classificationError.message}`);
-      console.log(`⚠️  Falling back to legacy filename analysis...`);
+      log.info(`❌ Classification failed: ${classificationError.message}`);
+      log.info(`⚠️  Falling back to legacy filename analysis...`);
       classificationResults = null;
     }
   } else {
-    console.log(`⚠️  No PDFs downloaded, using simulated analysis...`);
+    log.info(`⚠️  No PDFs downloaded, using simulated analysis...`);
   }
 
-  console.log(
+  log.info(
     "\n📋 Step 7.1: Verify Death of 3607205019085 with request to FISA..."
   );
   // await page.waitForTimeout(5000);
@@ -1246,26 +1177,26 @@ async function continueStandardCaseProcessing(
 
   try {
     fs.writeFileSync(verificationFilePath, fullVerificationContent, "utf8");
-    console.log(`\n💾 Verification results saved to: ${verificationFileName}`);
-    console.log(`📁 File location: ${verificationFilePath}`);
+    log.info(`\n💾 Verification results saved to: ${verificationFileName}`);
+    log.info(`📁 File location: ${verificationFilePath}`);
   } catch (saveError) {
-    console.log(
+    log.info(
       `⚠️  Could not save verification results: ${saveError.message}`
     );
   }
 
-  console.log("✅ Document verification completed");
-  console.log("\n" + verificationResult.content);
+  log.info("✅ Document verification completed");
+  log.info("\n" + verificationResult.content);
 
   // Step 8: Add verification note to Dynamics
-  console.log("\n📋 Step 8: Adding verification note...");
+  log.info("\n📋 Step 8: Adding verification note...");
 
   const noteButton = await page
     .locator('button[aria-label="Enter a note..."]')
     .first();
   if ((await noteButton.count()) > 0) {
     await noteButton.click();
-    console.log("✅ Clicked 'Enter a note...' button");
+    log.info("✅ Clicked 'Enter a note...' button");
 
     await page.waitForTimeout(2000);
 
@@ -1274,7 +1205,7 @@ async function continueStandardCaseProcessing(
       .first();
     if ((await titleInput.count()) > 0) {
       await titleInput.fill("Verification Result: Documents Required");
-      console.log("✅ Entered note title");
+      log.info("✅ Entered note title");
     }
     await page.waitForTimeout(2000);
     const noteTextArea = await page
@@ -1287,18 +1218,18 @@ async function continueStandardCaseProcessing(
         navigator.clipboard.writeText(text);
       }, verificationResult.content);
       await page.keyboard.press("Control+v");
-      console.log("✅ Pasted verification results");
+      log.info("✅ Pasted verification results");
     }
   } else {
-    console.log(
+    log.info(
       "⚠️  Note button not found, verification results logged to console"
     );
   }
 
-  console.log(`\n✅ Case ${cleanCaseNumber} processing completed!`);
-  console.log(`📁 Files saved to: ${caseDownloadDir}`);
-  console.log(`📊 Results: ${verificationResult.summary}`);
-  console.log("📝 Verification note added to Dynamics timeline");
+  log.info(`\n✅ Case ${cleanCaseNumber} processing completed!`);
+  log.info(`📁 Files saved to: ${caseDownloadDir}`);
+  log.info(`📊 Results: ${verificationResult.summary}`);
+  log.info("📝 Verification note added to Dynamics timeline");
 
   return {
     caseNumber: cleanCaseNumber,
@@ -1315,7 +1246,7 @@ async function continueStandardCaseProcessing(
  * Moved to global scope for sharing between demo and process-by-case commands
  */
 async function runPDFClassificationForCase(caseDir) {
-  console.log(
+  log.info(
     `🔍 Running PDF classification for case directory: ${path.basename(
       caseDir
     )}`
@@ -1328,7 +1259,6 @@ async function runPDFClassificationForCase(caseDir) {
     const { default: numbers } = await import("compromise-numbers");
     const { franc } = await import("franc");
     const fuzzy = await import("fast-fuzzy");
-    const scribe = (await import("scribe.js-ocr")).default;
 
     // Extend compromise with plugins
     nlp.extend(dates);
@@ -1344,7 +1274,7 @@ async function runPDFClassificationForCase(caseDir) {
       throw new Error("No PDF files found in case directory");
     }
 
-    console.log(`📄 Found ${pdfFiles.length} PDF files to classify`);
+    log.info(`📄 Found ${pdfFiles.length} PDF files to classify`);
 
     const allResults = [];
     const documentCoverage = {};
@@ -1370,21 +1300,26 @@ async function runPDFClassificationForCase(caseDir) {
 
     // Process each PDF file
     for (const pdfFile of pdfFiles) {
-      console.log(`🔍 Classifying: ${path.basename(pdfFile)}`);
+      log.info(`🔍 Classifying: ${path.basename(pdfFile)}`);
 
       // Extract case number from directory path (e.g., "C:\DEA3\pdfs\107932373\file.pdf" -> "107932373")
       const caseNumber = path.basename(path.dirname(pdfFile));
       const pageResults = await extractTextFromPDFPages(pdfFile, caseNumber);
       if (!pageResults || pageResults.length === 0) {
-        console.log(`⚠️  No text extracted from ${path.basename(pdfFile)}`);
+        log.info(`⚠️  No text extracted from ${path.basename(pdfFile)}`);
         continue;
       }
 
       // FIXED: Implement page-by-page content classification for bundled PDFs
-      console.log(
+      log.info(
         `🔍 Running page-by-page classification for ${path.basename(pdfFile)}`
       );
 
+      // Pattern-like test: 13 digits alone also match account and reference numbers
+      const validSAIdNumber = {
+        test: (text) => SAIdNumber.find(text).some((id) => id.valid),
+      };
+
       // Document content patterns for page-by-page classification
       const documentContentPatterns = {
         "Death certificate": [
@@ -1399,7 +1334,7 @@ async function runPDFClassificationForCase(caseDir) {
           /identity.*document|identity.*number|id.*number/i,
           /south.*african.*citizen|sa.*citizen|republic.*south.*africa/i,
           /identity.*book|smart.*card|green.*book/i,
-          /\b\d{13}\b/, // 13-digit ID number
+          validSAIdNumber, // 13-digit ID number with a valid checksum and birth date
           /nationality.*south.*african/i,
           /surname|first.*names|sex.*male|sex.*female/i,
         ],
@@ -1408,7 +1343,7 @@ async function runPDFClassificationForCase(caseDir) {
           /identity.*document|identity.*number|id.*number/i,
           /south.*african.*citizen|sa.*citizen|republic.*south.*africa/i,
           /identity.*book|smart.*card|green.*book/i,
-          /\b\d{13}\b/, // 13-digit ID number
+          validSAIdNumber, // 13-digit ID number with a valid checksum and birth date
           /nationality.*south.*african/i,
           /surname|first.*names|sex.*male|sex.*female/i,
         ],
@@ -1417,7 +1352,7 @@ async function runPDFClassificationForCase(caseDir) {
           /identity.*document|identity.*number|id.*number/i,
           /south.*african.*citizen|sa.*citizen|republic.*south.*africa/i,
           /identity.*book|smart.*card|green.*book/i,
-          /\b\d{13}\b/, // 13-digit ID number
+          validSAIdNumber, // 13-digit ID number with a valid checksum and birth date
           /nationality.*south.*african/i,
           /surname|first.*names|sex.*male|sex.*female/i,
         ],
@@ -1464,7 +1399,7 @@ async function runPDFClassificationForCase(caseDir) {
 
       // Classify each page content
       for (const pageResult of pageResults) {
-        console.log(
+        log.info(
           `   📑 Analyzing page ${pageResult.pageNumber} (${pageResult.text.length} chars)`
         );
 
@@ -1496,14 +1431,14 @@ async function runPDFClassificationForCase(caseDir) {
         // Sort by confidence
         pageClassifications.sort((a, b) => b.confidence - a.confidence);
 
-        console.log(
+        log.info(
           `   🎯 Found ${pageClassifications.length} document types on page ${pageResult.pageNumber}`
         );
 
         // Add to coverage tracking (use the highest confidence classification for each page)
         if (pageClassifications.length > 0) {
           const bestMatch = pageClassifications[0];
-          console.log(
+          log.info(
             `      ✅ Best match: ${bestMatch.type} (${bestMatch.matches}/${
               documentContentPatterns[bestMatch.type].length
             } patterns, ${Math.round(bestMatch.confidence * 100)}% confidence)`
@@ -1520,7 +1455,7 @@ async function runPDFClassificationForCase(caseDir) {
             matches: bestMatch.matches,
           });
         } else {
-          console.log(
+          log.info(
             `      ❌ No document types identified for page ${pageResult.pageNumber}`
           );
         }
@@ -1537,20 +1472,20 @@ async function runPDFClassificationForCase(caseDir) {
     }
 
     // FIXED: Return proper page-by-page classification results
-    console.log(`✅ Page-by-page classification completed`);
+    log.info(`✅ Page-by-page classification completed`);
 
     // Generate summary of found documents
     const foundDocumentTypes = Object.keys(documentCoverage).filter(
       (doc) => documentCoverage[doc].length > 0
     );
-    console.log(
+    log.info(
       `📊 Found ${foundDocumentTypes.length}/${requiredDocuments.length} required document types:`
     );
     foundDocumentTypes.forEach((docType) => {
       const pages = documentCoverage[docType];
       const avgConfidence =
         pages.reduce((sum, p) => sum + p.confidence, 0) / pages.length;
-      console.log(
+      log.info(
         `   ✅ ${docType}: ${pages.length} page(s), avg confidence ${Math.round(
           avgConfidence * 100
         )}%`
@@ -1567,7 +1502,7 @@ async function runPDFClassificationForCase(caseDir) {
       pageResults: allResults,
     };
   } catch (error) {
-    console.error(`❌ PDF Classification Error: ${error.message}`);
+    log.error(`❌ PDF Classification Error: ${error.message}`);
     throw error;
   }
 }
@@ -1637,15 +1572,15 @@ async function generateVerificationResults(
   }
 
   if (classificationResults) {
-    console.log(`\n🔍 Real Document Classification Complete:`);
+    log.info(`\n🔍 Real Document Classification Complete:`);
 
     // Handle new page-by-page classification results
     if (classificationResults.type === "page_by_page_classification") {
-      console.log(`📄 Classification method: Page-by-Page Content Analysis`);
-      console.log(
+      log.info(`📄 Classification method: Page-by-Page Content Analysis`);
+      log.info(
         `📃 Total pages analyzed: ${classificationResults.totalPages}`
       );
-      console.log(
+      log.info(
         `📊 Documents found: ${classificationResults.foundDocuments.length}/9 required types`
       );
 
@@ -1674,16 +1609,16 @@ async function generateVerificationResults(
       );
     } else {
       // Handle legacy classification results format
-      console.log(
+      log.info(
         `📄 Total files processed: ${classificationResults.totalFiles}`
       );
-      console.log(
+      log.info(
         `📃 Total pages analyzed: ${classificationResults.totalResults}`
       );
-      console.log(
+      log.info(
         `📋 Required documents: ${classificationResults.requiredDocuments.length}`
       );
-      console.log(`📊 Coverage: ${classificationResults.coveragePercentage}%`);
+      log.info(`📊 Coverage: ${classificationResults.coveragePercentage}%`);
 
       // Extract found documents for legacy format
       classificationResults.requiredDocuments.forEach((doc) => {
@@ -1698,11 +1633,11 @@ async function generateVerificationResults(
       (doc) => !(classificationResults.documentCoverage[doc] || []).length > 0
     );
 
-    console.log(
+    log.info(
       `✅ Found documents: ${foundDocuments.length}/${classificationResults.requiredDocuments.length}`
     );
     if (missingDocs.length > 0) {
-      console.log(`❌ Missing documents: ${missingDocs.join(", ")}`);
+      log.info(`❌ Missing documents: ${missingDocs.join(", ")}`);
     }
 
     // Generate main verification results
@@ -1802,9 +1737,9 @@ async function generateVerificationResults(
     );
     const { requiredDocs, foundDocs } = analyzeDocuments(allPdfNames);
 
-    console.log(`\n🔍 Legacy Document Analysis (Fallback):`);
-    console.log(`📄 Total PDFs found: ${allPdfNames.length}`);
-    console.log(
+    log.info(`\n🔍 Legacy Document Analysis (Fallback):`);
+    log.info(`📄 Total PDFs found: ${allPdfNames.length}`);
+    log.info(
       `✅ Documents identified: ${foundDocs.length}/${requiredDocs.length}`
     );
 
@@ -1846,10 +1781,10 @@ async function generateVerificationResults(
 
   try {
     fs.writeFileSync(verificationFilePath, fullVerificationContent, "utf8");
-    console.log(`\n💾 Verification results saved to: ${verificationFileName}`);
-    console.log(`📂 Full path: ${verificationFilePath}`);
+    log.info(`\n💾 Verification results saved to: ${verificationFileName}`);
+    log.info(`📂 Full path: ${verificationFilePath}`);
   } catch (error) {
-    console.log(`❌ Failed to save verification results: ${error.message}`);
+    log.info(`❌ Failed to save verification results: ${error.message}`);
   }
 
   return {
@@ -1863,9 +1798,9 @@ async function generateVerificationResults(
 }
 
 async function runVerificationDemo(options = {}) {
-  console.log("🚀 Starting Deceased Estate Verification Demo");
-  console.log(`📊 Targeting row index: ${options.row || "0"}`);
-  console.log("=".repeat(50));
+  log.info("🚀 Starting Deceased Estate Verification Demo");
+  log.info(`📊 Targeting row index: ${options.row || "0"}`);
+  log.info("=".repeat(50));
 
   let linkText = "unknown_case"; // Case identifier for file naming (legacy)
   let cleanCaseNumber = "unknown_case"; // Clean case number from Case Number column
@@ -1889,7 +1824,7 @@ async function runVerificationDemo(options = {}) {
 
   try {
     // Step 1: Open Dynamics URL
-    console.log("\n📋 Step 1: Opening Dynamics 365 queue...");
+    log.info("\n📋 Step 1: Opening Dynamics 365 queue...");
     await page.goto(
       "https://rbb.crm4.dynamics.com/main.aspx?appid=985c526a-991d-4b63-8821-40933180b864&pagetype=entitylist&etn=queueitem&viewid=1243801a-0ac8-ea11-a812-000d3a38a089&viewType=1039",
       { waitUntil: "domcontentloaded" }
@@ -1900,7 +1835,7 @@ async function runVerificationDemo(options = {}) {
 
     // Step 2: Click on case in specified row
     const rowIndex = parseInt(options.row || "0");
-    console.log(`\n📋 Step 2: Clicking on case in row ${rowIndex}...`);
+    log.info(`\n📋 Step 2: Clicking on case in row ${rowIndex}...`);
     await page.waitForSelector('[data-id="grid-container"]');
 
     const targetRow = await page
@@ -1923,10 +1858,10 @@ async function runVerificationDemo(options = {}) {
           cleanCaseNumber =
             (await caseNumberElement.getAttribute("aria-label")) ||
             "unknown_case";
-          console.log(`📋 Extracted clean case number: ${cleanCaseNumber}`);
+          log.info(`📋 Extracted clean case number: ${cleanCaseNumber}`);
         }
       } catch (error) {
-        console.log(`⚠️  Could not extract case number: ${error.message}`);
+        log.info(`⚠️  Could not extract case number: ${error.message}`);
       }
 
       // Extract customer name from Customer column
@@ -1938,10 +1873,10 @@ async function runVerificationDemo(options = {}) {
           customerName =
             (await customerElement.getAttribute("aria-label")) ||
             "unknown_customer";
-          console.log(`👤 Extracted customer name: ${customerName}`);
+          log.info(`👤 Extracted customer name: ${customerName}`);
         }
       } catch (error) {
-        console.log(`⚠️  Could not extract customer name: ${error.message}`);
+        log.info(`⚠️  Could not extract customer name: ${error.message}`);
       }
 
       // Find the first link in the title column (col-id="title") for navigation
@@ -1950,17 +1885,17 @@ async function runVerificationDemo(options = {}) {
       if ((await caseLink.count()) > 0) {
         linkText = await caseLink.getAttribute("aria-label");
         await caseLink.click();
-        console.log(`✅ Successfully clicked on case: ${linkText}`);
-        console.log(
+        log.info(`✅ Successfully clicked on case: ${linkText}`);
+        log.info(
           `🎯 Using clean case number: ${cleanCaseNumber} for Customer: ${customerName}`
         );
       } else {
-        console.log(
+        log.info(
           "⚠️  No case link found in the title column of the specified row"
         );
       }
     } else {
-      console.log(
+      log.info(
         `⚠️  Row ${rowIndex} not found, proceeding with simulation...`
       );
     }
@@ -1968,61 +1903,61 @@ async function runVerificationDemo(options = {}) {
     await page.waitForTimeout(6000);
 
     // Step 3: Switch to Timeline tab
-    console.log("\n📋 Step 3: Switching to Timeline tab...");
+    log.info("\n📋 Step 3: Switching to Timeline tab...");
     const timelineTab = await page
       .locator('[aria-label="Timeline"][role="tab"]')
       .first();
     if ((await timelineTab.count()) > 0) {
       await timelineTab.click();
-      console.log("✅ Successfully switched to Timeline tab");
+      log.info("✅ Successfully switched to Timeline tab");
     } else {
-      console.log("⚠️  Timeline tab not found, proceeding with simulation...");
+      log.info("⚠️  Timeline tab not found, proceeding with simulation...");
     }
 
     await page.waitForTimeout(8000);
 
     // Step 4: Expand all timeline items
-    console.log("\n📋 Step 4: Expanding timeline items...");
+    log.info("\n📋 Step 4: Expanding timeline items...");
     const viewMoreButtons = await page
       .locator('button[aria-label="View more"]')
       .all();
-    console.log(`Found ${viewMoreButtons.length} 'View more' buttons`);
+    log.info(`Found ${viewMoreButtons.length} 'View more' buttons`);
 
     for (let i = 0; i < viewMoreButtons.length; i++) {
       try {
         await viewMoreButtons[i].click({ timeout: 2000 });
-        console.log(`✅ Expanded timeline item ${i + 1}`);
+        log.info(`✅ Expanded timeline item ${i + 1}`);
         await page.waitForTimeout(200);
       } catch (error) {
-        // console.log(`⚠️  Could not expand timeline item ${i + 1}`);
+        // log.info(`⚠️  Could not expand timeline item ${i + 1}`);
       }
     }
 
     // Second pass to expand any remaining "View more" buttons that appeared after first expansion
-    console.log(
+    log.info(
       "\n📋 Step 4.1: Second pass - expanding any remaining items..."
     );
     const viewMoreButtons2 = await page
       .locator('button[aria-label="View more"]')
       .all();
-    console.log(
+    log.info(
       `Found ${viewMoreButtons2.length} additional 'View more' buttons`
     );
 
     for (let i = 0; i < viewMoreButtons2.length; i++) {
       try {
         await viewMoreButtons2[i].click({ timeout: 2000 });
-        console.log(`✅ Expanded additional timeline item ${i + 1}`);
+        log.info(`✅ Expanded additional timeline item ${i + 1}`);
         await page.waitForTimeout(200);
       } catch (error) {
-        // console.log(`⚠️  Could not expand additional timeline item ${i + 1}`);
+        // log.info(`⚠️  Could not expand additional timeline item ${i + 1}`);
       }
     }
 
     // Step 5: Analyze all PDF attachments first
-    console.log("\n📋 Step 5: Analyzing PDF attachments...");
+    log.info("\n📋 Step 5: Analyzing PDF attachments...");
     const pdfButtons = await page.locator('button[aria-label*=".pdf"]').all();
-    console.log(`Found ${pdfButtons.length} PDF buttons`);
+    log.info(`Found ${pdfButtons.length} PDF buttons`);
 
     // Collect all PDF names for analysis
     const allPdfNames = [];
@@ -2030,16 +1965,16 @@ async function runVerificationDemo(options = {}) {
       try {
         const ariaLabel = await pdfButtons[i].getAttribute("aria-label");
         allPdfNames.push(ariaLabel);
-        console.log(`📄 Found PDF: ${ariaLabel}`);
+        log.info(`📄 Found PDF: ${ariaLabel}`);
       } catch (error) {
-        console.log(`⚠️  Could not get name for PDF ${i + 1}`);
+        log.info(`⚠️  Could not get name for PDF ${i + 1}`);
       }
     }
 
     await page.waitForTimeout(2000);
 
     // Step 5.1: Download ALL PDF documents for the case
-    console.log("\n📋 Step 5.1: Downloading all PDF attachments...");
+    log.info("\n📋 Step 5.1: Downloading all PDF attachments...");
 
     // Use clean case number for folder creation (no processing needed)
     const caseDownloadDir = path.join(process.cwd(), "pdfs", cleanCaseNumber);
@@ -2047,10 +1982,10 @@ async function runVerificationDemo(options = {}) {
     // Create case-specific directory
     if (!fs.existsSync(caseDownloadDir)) {
       fs.mkdirSync(caseDownloadDir, { recursive: true });
-      console.log(`📁 Created case directory: ${caseDownloadDir}`);
+      log.info(`📁 Created case directory: ${caseDownloadDir}`);
     }
 
-    console.log(`📄 Processing ${pdfButtons.length} PDF attachments...`);
+    log.info(`📄 Processing ${pdfButtons.length} PDF attachments...`);
     const pdfNames = [];
     const downloadedPdfs = [];
     const usedFileNames = new Map(); // Track filename usage for deduplication
@@ -2059,7 +1994,7 @@ async function runVerificationDemo(options = {}) {
       try {
         const ariaLabel = await pdfButtons[i].getAttribute("aria-label");
         pdfNames.push(ariaLabel);
-        console.log(
+        log.info(
           `\n🔍 Processing PDF ${i + 1}/${pdfButtons.length}: ${ariaLabel}`
         );
 
@@ -2080,12 +2015,12 @@ async function runVerificationDemo(options = {}) {
 
         try {
           // Try to catch immediate download
-          console.log(`📥 Attempting direct download...`);
+          log.info(`📥 Attempting direct download...`);
           download = await downloadPromise;
-          console.log(`✅ Direct download triggered for: ${ariaLabel}`);
+          log.info(`✅ Direct download triggered for: ${ariaLabel}`);
         } catch (downloadError) {
           // Direct download failed, try modal approach
-          console.log(`🔄 Direct download failed, trying modal approach...`);
+          log.info(`🔄 Direct download failed, trying modal approach...`);
 
           // Wait for modal to fully load
           await page.waitForTimeout(3000);
@@ -2096,7 +2031,7 @@ async function runVerificationDemo(options = {}) {
             .first();
           await downloadButton.waitFor({ timeout: 10000 });
 
-          console.log(`📥 Starting modal download...`);
+          log.info(`📥 Starting modal download...`);
 
           // Start download from modal
           const modalDownloadPromise = page.waitForEvent("download");
@@ -2111,12 +2046,12 @@ async function runVerificationDemo(options = {}) {
               fileName = fileNameText.replace("File name:", "").trim();
             }
           } catch (e) {
-            console.log(
+            log.info(
               `⚠️  Could not extract filename from modal, using aria-label`
             );
           }
 
-          console.log(`✅ Modal download completed for: ${ariaLabel}`);
+          log.info(`✅ Modal download completed for: ${ariaLabel}`);
         }
 
         // Handle filename deduplication
@@ -2128,7 +2063,7 @@ async function runVerificationDemo(options = {}) {
           const extension = fileNameParts.pop();
           const baseName = fileNameParts.join('.');
           finalFileName = `${baseName}_${count}.${extension}`;
-          console.log(`🔄 Duplicate filename detected. Renamed to: ${finalFileName}`);
+          log.info(`🔄 Duplicate filename detected. Renamed to: ${finalFileName}`);
         } else {
           usedFileNames.set(fileName, 1);
         }
@@ -2138,7 +2073,7 @@ async function runVerificationDemo(options = {}) {
         await download.saveAs(filePath);
         downloadedPdfs.push(filePath);
 
-        console.log(`✅ Downloaded: ${finalFileName}`);
+        log.info(`✅ Downloaded: ${finalFileName}`);
 
         // Close modal if it was opened (check if download button exists)
         try {
@@ -2148,7 +2083,7 @@ async function runVerificationDemo(options = {}) {
             .isVisible({ timeout: 1000 });
           if (modalExists) {
             await page.keyboard.press("Escape");
-            console.log(`✅ Closed PDF modal`);
+            log.info(`✅ Closed PDF modal`);
           }
         } catch (e) {
           // No modal to close, continue
@@ -2156,7 +2091,7 @@ async function runVerificationDemo(options = {}) {
 
         await page.waitForTimeout(1000);
       } catch (error) {
-        console.log(`❌ Could not download PDF ${i + 1}: ${error.message}`);
+        log.info(`❌ Could not download PDF ${i + 1}: ${error.message}`);
 
         // Try to close modal if it exists
         try {
@@ -2174,18 +2109,18 @@ async function runVerificationDemo(options = {}) {
       }
     }
 
-    console.log(
+    log.info(
       `\n📊 Download Summary: ${downloadedPdfs.length}/${pdfButtons.length} PDFs downloaded`
     );
     downloadedPdfs.forEach((filePath, index) => {
-      console.log(`  ${index + 1}. ${path.basename(filePath)}`);
+      log.info(`  ${index + 1}. ${path.basename(filePath)}`);
     });
 
     await page.waitForTimeout(3000);
 
     // Step 7: Real PDF Classification
-    console.log("\n📋 Step 7: PDF Classification and Verification...");
-    console.log(
+    log.info("\n📋 Step 7: PDF Classification and Verification...");
+    log.info(
       `🔍 Classifying ${downloadedPdfs.length} downloaded documents...`
     );
 
@@ -2194,22 +2129,22 @@ async function runVerificationDemo(options = {}) {
     if (downloadedPdfs.length > 0) {
       // Run real classification on downloaded PDFs
       try {
-        console.log(
+        log.info(
           `📄 Running classification on case directory: ${caseDownloadDir}`
         );
         classificationResults = await runPDFClassificationForCase(
           caseDownloadDir
         );
-        console.log(`✅ Classification completed`);
+        log.info(`✅ Classification completed`);
       } catch (classificationError) {
-        console.log(`❌ Classification failed: ${classificationError.message}`);
-        console.log(`⚠️  Falling back to simulated analysis...`);
+        log.info(`❌ Classification failed: ${classificationError.message}`);
+        log.info(`⚠️  Falling back to simulated analysis...`);
       }
     } else {
-      console.log(`⚠️  No PDFs downloaded, using simulated analysis...`);
+      log.info(`⚠️  No PDFs downloaded, using simulated analysis...`);
     }
 
-    console.log(
+    log.info(
       "\n📋 Step 7.1: Verify Death of 3607205019085 with request to FISA..."
     );
     // await page.waitForTimeout(2000);
@@ -2574,20 +2509,21 @@ async function runVerificationDemo(options = {}) {
       };
 
       // 🔢 ENHANCED MULTI-PATTERN NUMBER EXTRACTION
-      console.log(
+      log.info(
         `   🔢 Extracting relevant numbers with SA-specific patterns...`
       );
 
       const extractedNumbers = [];
 
-      // 1. SA ID Numbers (13 digits) - Primary pattern
-      const saIdPattern = /\b\d{13}\b/g;
-      const saIdMatches = text.match(saIdPattern) || [];
-      saIdMatches.forEach((id) =>
+      // 1. SA ID Numbers (13 digits) - checksum and birth date decide the confidence
+      SAIdNumber.find(text).forEach((id) =>
         extractedNumbers.push({
-          value: id,
-          type: "SA_ID_NUMBER",
-          confidence: 95,
+          value: id.idNumber,
+          type: id.valid ? "SA_ID_NUMBER" : "SA_ID_NUMBER_INVALID",
+          confidence: id.valid ? 95 : 50,
+          dateOfBirth: id.dateOfBirth,
+          gender: id.gender,
+          citizenship: id.citizenship,
         })
       );
 
@@ -2705,14 +2641,14 @@ async function runVerificationDemo(options = {}) {
       // Format for compatibility with existing code
       const relevantNumbersCompat = uniqueNumbers.map((n) => n.value);
 
-      console.log(`   📊 Extracted ${uniqueNumbers.length} relevant numbers:`);
+      log.info(`   📊 Extracted ${uniqueNumbers.length} relevant numbers:`);
       uniqueNumbers.slice(0, 5).forEach((num) => {
-        console.log(
+        log.info(
           `     • ${num.value} (${num.type}, ${num.confidence}% confidence)`
         );
       });
       if (uniqueNumbers.length > 5) {
-        console.log(`     • ... and ${uniqueNumbers.length - 5} more numbers`);
+        log.info(`     • ... and ${uniqueNumbers.length - 5} more numbers`);
       }
 
       // Use both formats - detailed for analysis, simple for compatibility
@@ -2734,7 +2670,7 @@ async function runVerificationDemo(options = {}) {
       });
 
       // 👤 ENHANCED PEOPLE/NAMES EXTRACTION with SA-specific patterns
-      console.log(`   👤 Extracting people/names with SA-specific patterns...`);
+      log.info(`   👤 Extracting people/names with SA-specific patterns...`);
 
       const { default: nlp } = await import("compromise");
       const doc = nlp(processedText);
@@ -2785,12 +2721,12 @@ async function runVerificationDemo(options = {}) {
 
       const extractedPeople = uniqueNames;
 
-      console.log(`   📊 Extracted ${extractedPeople.length} people/names:`);
+      log.info(`   📊 Extracted ${extractedPeople.length} people/names:`);
       extractedPeople.slice(0, 3).forEach((name) => {
-        console.log(`     • ${name}`);
+        log.info(`     • ${name}`);
       });
       if (extractedPeople.length > 3) {
-        console.log(`     • ... and ${extractedPeople.length - 3} more names`);
+        log.info(`     • ... and ${extractedPeople.length - 3} more names`);
       }
 
       // Continue with other NLP extractions
@@ -2850,7 +2786,7 @@ async function runVerificationDemo(options = {}) {
       );
 
       if (shouldRunIDDetection.triggered && imagePath && IDDocumentDetector) {
-        console.log(
+        log.info(
           `🔍 ID Detection triggered: ${shouldRunIDDetection.reasons.join(
             ", "
           )}`
@@ -2861,7 +2797,7 @@ async function runVerificationDemo(options = {}) {
 
           if (detectedDocs.length > 0) {
             const bestDetection = detectedDocs[0]; // Highest confidence detection
-            console.log(
+            log.info(
               `✅ ID Document detected: ${bestDetection.classification.type} (${bestDetection.classification.confidence}%)`
             );
 
@@ -2881,7 +2817,7 @@ async function runVerificationDemo(options = {}) {
               const caseDir = path.join(__dirname, "pdfs", caseNumber);
               const idDetectionDir = path.join(caseDir, "id-detection-results");
 
-              console.log(
+              log.info(
                 `📁 Saving ${
                   detectedDocs.length
                 } detected documents to: ${path.relative(
@@ -2909,11 +2845,11 @@ async function runVerificationDemo(options = {}) {
                 }
               }
 
-              console.log(
+              log.info(
                 `✅ Saved ${savedImages.length} ID detection images for review`
               );
             } catch (saveError) {
-              console.log(
+              log.info(
                 `⚠️ Failed to save ID detection images: ${saveError.message}`
               );
             }
@@ -2935,7 +2871,7 @@ async function runVerificationDemo(options = {}) {
                   source: "Computer Vision",
                 });
 
-                console.log(
+                log.info(
                   `🎯 Enhanced classification: ${idDocType} (${bestDetection.classification.confidence}%)`
                 );
               }
@@ -2950,7 +2886,7 @@ async function runVerificationDemo(options = {}) {
             };
           }
         } catch (error) {
-          console.log(`⚠️ ID Detection error: ${error.message}`);
+          log.info(`⚠️ ID Detection error: ${error.message}`);
           idDocumentResults = {
             detected: false,
             error: error.message,
@@ -2962,7 +2898,7 @@ async function runVerificationDemo(options = {}) {
         imagePath &&
         !IDDocumentDetector
       ) {
-        console.log(
+        log.info(
           `⚠️ ID Detection triggered but system not available: ${shouldRunIDDetection.reasons.join(
             ", "
           )}`
@@ -3203,15 +3139,15 @@ async function runVerificationDemo(options = {}) {
     let analysisDetails = "";
 
     if (classificationResults) {
-      console.log(`\n🔍 Real Document Classification Complete:`);
+      log.info(`\n🔍 Real Document Classification Complete:`);
 
       // Handle new page-by-page classification results
       if (classificationResults.type === "page_by_page_classification") {
-        console.log(`📄 Classification method: Page-by-Page Content Analysis`);
-        console.log(
+        log.info(`📄 Classification method: Page-by-Page Content Analysis`);
+        log.info(
           `📃 Total pages analyzed: ${classificationResults.totalPages}`
         );
-        console.log(
+        log.info(
           `📊 Documents found: ${classificationResults.foundDocuments.length}/9 required types`
         );
 
@@ -3240,13 +3176,13 @@ async function runVerificationDemo(options = {}) {
         );
       } else {
         // Handle legacy classification results format
-        console.log(
+        log.info(
           `📄 Total PDFs processed: ${classificationResults.totalFiles}`
         );
-        console.log(
+        log.info(
           `📄 Total pages analyzed: ${classificationResults.totalResults}`
         );
-        console.log(
+        log.info(
           `✅ Document coverage: ${classificationResults.coveragePercentage}%`
         );
 
@@ -3260,9 +3196,9 @@ async function runVerificationDemo(options = {}) {
 
       foundDocuments.forEach((doc) => {
         const instances = classificationResults.documentCoverage[doc];
-        console.log(`   ✓ ${doc} (${instances.length} instances)`);
+        log.info(`   ✓ ${doc} (${instances.length} instances)`);
         instances.forEach((inst) => {
-          console.log(
+          log.info(
             `     - ${inst.file} page ${inst.page} (${inst.confidence}% confidence)`
           );
         });
@@ -3303,7 +3239,7 @@ async function runVerificationDemo(options = {}) {
       analysisDetails += "DETAILED VERIFICATION ANALYSIS\n";
       analysisDetails += "=".repeat(60) + "\n\n";
 
-      // console.log("CLASSIFICATION RESULTS", classificationResults);
+      // log.info("CLASSIFICATION RESULTS", classificationResults);
 
       if (classificationResults?.results) {
         classificationResults?.results?.forEach((result, index) => {
@@ -3492,12 +3428,12 @@ async function runVerificationDemo(options = {}) {
       // Fallback to legacy analysis
       const { requiredDocs, foundDocs } = analyzeDocuments(allPdfNames);
 
-      console.log(`\n🔍 Legacy Document Analysis (Fallback):`);
-      console.log(`📄 Total PDFs found: ${allPdfNames.length}`);
-      console.log(
+      log.info(`\n🔍 Legacy Document Analysis (Fallback):`);
+      log.info(`📄 Total PDFs found: ${allPdfNames.length}`);
+      log.info(
         `✅ Documents identified: ${foundDocs.length}/${requiredDocs.length}`
       );
-      foundDocs.forEach((doc) => console.log(`   ✓ ${doc}`));
+      foundDocs.forEach((doc) => log.info(`   ✓ ${doc}`));
 
       foundDocuments = foundDocs;
 
@@ -3539,28 +3475,28 @@ async function runVerificationDemo(options = {}) {
 
     try {
       fs.writeFileSync(verificationFilePath, fullVerificationContent, "utf8");
-      console.log(
+      log.info(
         `\n💾 Verification results saved to: ${verificationFileName}`
       );
-      console.log(`📁 File location: ${verificationFilePath}`);
+      log.info(`📁 File location: ${verificationFilePath}`);
     } catch (saveError) {
-      console.log(
+      log.info(
         `⚠️  Could not save verification results: ${saveError.message}`
       );
     }
 
-    console.log("✅ Document verification completed");
-    console.log("\n" + verificationResults);
+    log.info("✅ Document verification completed");
+    log.info("\n" + verificationResults);
 
     // Step 8: Add verification note
-    console.log("\n📋 Step 8: Adding verification note...");
+    log.info("\n📋 Step 8: Adding verification note...");
 
     const noteButton = await page
       .locator('button[aria-label="Enter a note..."]')
       .first();
     if ((await noteButton.count()) > 0) {
       await noteButton.click();
-      console.log("✅ Clicked 'Enter a note...' button");
+      log.info("✅ Clicked 'Enter a note...' button");
 
       await page.waitForTimeout(2000);
 
@@ -3569,7 +3505,7 @@ async function runVerificationDemo(options = {}) {
         .first();
       if ((await titleInput.count()) > 0) {
         await titleInput.fill("Verification Result: Documents Required");
-        console.log("✅ Entered note title");
+        log.info("✅ Entered note title");
       }
       await page.waitForTimeout(2000);
       const noteTextArea = await page
@@ -3582,65 +3518,65 @@ async function runVerificationDemo(options = {}) {
           navigator.clipboard.writeText(text);
         }, verificationResults);
         await page.keyboard.press("Control+v");
-        console.log("✅ Pasted verification results");
+        log.info("✅ Pasted verification results");
       }
     } else {
-      console.log(
+      log.info(
         "⚠️  Note button not found, verification results logged to console"
       );
     }
 
-  console.log(`\n✅ Case ${cleanCaseNumber} processing completed!`);
-  console.log(`📁 Files saved to: ${caseDownloadDir}`);
-  console.log(`📊 Results: ${verificationResults.summary}`);
-  console.log("📝 Verification note added to Dynamics timeline");
+  log.info(`\n✅ Case ${cleanCaseNumber} processing completed!`);
+  log.info(`📁 Files saved to: ${caseDownloadDir}`);
+  log.info(`📊 Results: ${verificationResults.summary}`);
+  log.info("📝 Verification note added to Dynamics timeline");
 
     // Keep browser open for demo
     await new Promise(() => {});
   } catch (error) {
-    console.error("❌ Error during demo:", error);
+    log.error("❌ Error during demo:", error);
     await page.pause();
   }
 }
 
 async function extractTextFromPDF(options = {}) {
-  console.log("Starting PDF text extraction...");
+  log.info("Starting PDF text extraction...");
 
   const filePath = path.resolve(options.file);
 
   if (!fs.existsSync(filePath)) {
-    console.error(`Error: File not found at ${filePath}`);
+    log.error(`Error: File not found at ${filePath}`);
     return;
   }
 
   try {
-    console.log(`Processing file: ${filePath}`);
+    log.info(`Processing file: ${filePath}`);
 
     const scribe = await import("scribe.js-ocr");
     const result = await scribe.default.extractText([filePath]);
 
-    console.log("Extracted text:");
-    console.log("================");
-    console.log(result);
-    console.log("================");
+    log.info("Extracted text:");
+    log.info("================");
+    log.info(result);
+    log.info("================");
 
     await scribe.default.terminate();
 
-    console.log("Text extraction completed successfully.");
+    log.info("Text extraction completed successfully.");
   } catch (error) {
-    console.error("Error during text extraction:", error);
+    log.error("Error during text extraction:", error);
     try {
       const scribe = await import("scribe.js-ocr");
       await scribe.default.terminate();
     } catch (terminateError) {
-      console.error("Error terminating scribe:", terminateError);
+      log.error("Error terminating scribe:", terminateError);
     }
   }
 }
 
 async function classifyPDFs(options = {}) {
-  console.log("🚀 Starting PDF Document Classification");
-  console.log("=".repeat(50));
+  log.info("🚀 Starting PDF Document Classification");
+  log.info("=".repeat(50));
 
   const { default: nlp } = await import("compromise");
   const { default: dates } = await import("compromise-dates");
@@ -3659,7 +3595,7 @@ async function classifyPDFs(options = {}) {
 
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
-    console.log(`📁 Created output directory: ${outputDir}`);
+    log.info(`📁 Created output directory: ${outputDir}`);
   }
 
   let pdfFiles = [];
@@ -3671,12 +3607,12 @@ async function classifyPDFs(options = {}) {
     ) {
       pdfFiles = [singleFile];
     } else {
-      console.error(`❌ File not found or not a PDF: ${singleFile}`);
+      log.error(`❌ File not found or not a PDF: ${singleFile}`);
       return;
     }
   } else {
     if (!fs.existsSync(pdfDir)) {
-      console.error(`❌ PDF directory not found: ${pdfDir}`);
+      log.error(`❌ PDF directory not found: ${pdfDir}`);
       return;
     }
     pdfFiles = fs
@@ -3686,11 +3622,11 @@ async function classifyPDFs(options = {}) {
   }
 
   if (pdfFiles.length === 0) {
-    console.log("⚠️  No PDF files found to process");
+    log.info("⚠️  No PDF files found to process");
     return;
   }
 
-  console.log(`📄 Found ${pdfFiles.length} PDF file(s) to process\n`);
+  log.info(`📄 Found ${pdfFiles.length} PDF file(s) to process\n`);
 
   const requiredDocuments = [
     "Death certificate",
@@ -4333,7 +4269,6 @@ async function classifyPDFs(options = {}) {
   }
 
   const results = [];
-  let scribeInitialized = false;
 
   for (let i = 0; i < pdfFiles.length; i++) {
     const pdfFile = pdfFiles[i];
@@ -4345,16 +4280,11 @@ async function classifyPDFs(options = {}) {
     );
 
     try {
-      if (!scribeInitialized) {
-        console.log("⚙️  Initializing OCR engine...");
-        scribeInitialized = true;
-      }
-
       // Extract text from all pages (no case number context in classify command)
       const pageResults = await extractTextFromPDFPages(pdfFile);
 
       if (!pageResults || pageResults.length === 0) {
-        console.log(
+        log.info(
           `⚠️  Skipping classification for ${filename} - no pages extracted`
         );
         continue;
@@ -4365,7 +4295,7 @@ async function classifyPDFs(options = {}) {
         .map((page) => `=== PAGE ${page.pageNumber} ===\n${page.text}`)
         .join("\n\n");
       fs.writeFileSync(textOutputPath, fullText, "utf8");
-      console.log(
+      log.info(
         `💾 Saved extracted text: ${path.basename(textOutputPath)} (${
           pageResults.length
         } pages)`
@@ -4378,7 +4308,7 @@ async function classifyPDFs(options = {}) {
       results.push(...pageClassifications);
 
       // Display results for each page
-      console.log(`📄 ${filename} (${pageResults.length} pages):`);
+      log.info(`📄 ${filename} (${pageResults.length} pages):`);
 
       pageClassifications.forEach((classification) => {
         const confidence = classification.topClassification.confidence;
@@ -4391,30 +4321,30 @@ async function classifyPDFs(options = {}) {
             ? "🇺🇸"
             : "❓";
 
-        console.log(`   ${confidenceIcon} Page ${classification.pageNumber}:`);
-        console.log(
+        log.info(`   ${confidenceIcon} Page ${classification.pageNumber}:`);
+        log.info(
           `      🌍 Language: ${classification.languageDetected} ${langIcon}`
         );
-        console.log(
+        log.info(
           `      📋 Type: ${classification.topClassification.documentType}`
         );
-        console.log(`      🎯 Confidence: ${(confidence * 100).toFixed(1)}%`);
-        console.log(
+        log.info(`      🎯 Confidence: ${(confidence * 100).toFixed(1)}%`);
+        log.info(
           `      👤 People: ${classification.extractedEntities.people.length}`
         );
-        console.log(`      📅 Dates: ${classification.dates.length}`);
-        console.log(`      🆔 SA IDs: ${classification.saIds.length}`);
+        log.info(`      📅 Dates: ${classification.dates.length}`);
+        log.info(`      🆔 SA IDs: ${classification.saIds.length}`);
       });
 
-      console.log("");
+      log.info("");
     } catch (error) {
-      console.error(`❌ Error processing ${filename}:`, error.message);
+      log.error(`❌ Error processing ${filename}:`, error.message);
     }
   }
 
-  console.log("\n" + "=".repeat(50));
-  console.log("📊 CLASSIFICATION SUMMARY");
-  console.log("=".repeat(50));
+  log.info("\n" + "=".repeat(50));
+  log.info("📊 CLASSIFICATION SUMMARY");
+  log.info("=".repeat(50));
 
   const documentCoverage = {};
   requiredDocuments.forEach((doc) => (documentCoverage[doc] = []));
@@ -4433,20 +4363,20 @@ async function classifyPDFs(options = {}) {
     }
   });
 
-  console.log("\n🎯 DOCUMENT COVERAGE:");
+  log.info("\n🎯 DOCUMENT COVERAGE:");
   let foundCount = 0;
   requiredDocuments.forEach((docType, index) => {
     const files = documentCoverage[docType] || [];
     const status = files.length > 0 ? "✅ FOUND" : "❌ MISSING";
     if (files.length > 0) foundCount++;
 
-    console.log(`${index + 1}. ${docType} - ${status}`);
+    log.info(`${index + 1}. ${docType} - ${status}`);
     if (files.length > 0) {
-      files.forEach((file) => console.log(`     📄 ${file}`));
+      files.forEach((file) => log.info(`     📄 ${file}`));
     }
   });
 
-  console.log(
+  log.info(
     `\n📈 COVERAGE: ${foundCount}/${requiredDocuments.length} required documents identified`
   );
 
@@ -4463,7 +4393,7 @@ async function classifyPDFs(options = {}) {
   };
 
   fs.writeFileSync(summaryPath, JSON.stringify(summaryData, null, 2), "utf8");
-  console.log(`💾 Detailed summary saved: ${path.basename(summaryPath)}`);
+  log.info(`💾 Detailed summary saved: ${path.basename(summaryPath)}`);
 
   const keywordsPath = path.join(outputDir, "extracted_keywords.txt");
   let keywordReport = "EXTRACTED KEYWORDS AND ENTITIES\n";
@@ -4510,10 +4440,10 @@ async function classifyPDFs(options = {}) {
   });
 
   fs.writeFileSync(keywordsPath, keywordReport, "utf8");
-  console.log(`📝 Keywords report saved: ${path.basename(keywordsPath)}`);
+  log.info(`📝 Keywords report saved: ${path.basename(keywordsPath)}`);
 
-  console.log("\n✅ PDF classification completed!");
-  console.log(`📁 All outputs saved to: ${outputDir}`);
+  log.info("\n✅ PDF classification completed!");
+  log.info(`📁 All outputs saved to: ${outputDir}`);
 }
 
 // ===============================
@@ -4525,7 +4455,7 @@ async function classifyPDFs(options = {}) {
  */
 async function createOrFindApiRecord(caseNumber, customer, status = "waiting") {
   try {
-    console.log(`🔍 Looking for existing API record with case number: ${caseNumber}`);
+    log.info(`🔍 Looking for existing API record with case number: ${caseNumber}`);
     const api = await useApi();
 
     // Try to find existing record by case number
@@ -4543,10 +4473,10 @@ async function createOrFindApiRecord(caseNumber, customer, status = "waiting") {
     });
 
     if (existingRecords.length > 0) {
-      console.log(`✅ Found existing API record: ${existingRecords[0]._id}`);
+      log.info(`✅ Found existing API record: ${existingRecords[0]._id}`);
       return existingRecords[0];
     } else {
-      console.log("🆕 Creating new API record...");
+      log.info("🆕 Creating new API record...");
       const entryData = {
         resultRaw: "{}",
         resultMessage: "",
@@ -4563,11 +4493,11 @@ async function createOrFindApiRecord(caseNumber, customer, status = "waiting") {
         storageId: config.stores.queue,
         entryData: entryData,
       });
-      console.log(`✅ Created new API record: ${newRecord._id}`);
+      log.info(`✅ Created new API record: ${newRecord._id}`);
       return newRecord;
     }
   } catch (error) {
-    console.error("⚠️ Error managing API record:", error.message);
+    log.error("⚠️ Error managing API record:", error.message);
     return null;
   }
 }
@@ -4586,7 +4516,7 @@ async function updateApiRecordByCaseNumber(
 ) {
   try {
     const api = await useApi();
-    console.log(`📝 Updating API record for case ${caseNumber} - status: ${status}`);
+    log.info(`📝 Updating API record for case ${caseNumber} - status: ${status}`);
 
     // Find the record by case number
     const records = await api.service("static-record-store").find({
@@ -4603,12 +4533,12 @@ async function updateApiRecordByCaseNumber(
     });
 
     if (records.length === 0) {
-      console.log(`⚠️ No API record found for case: ${caseNumber}`);
+      log.info(`⚠️ No API record found for case: ${caseNumber}`);
       return;
     }
 
     const record = records[0];
-    console.log(`📝 Found API record for case ${caseNumber}: ${record._id}`);
+    log.info(`📝 Found API record for case ${caseNumber}: ${record._id}`);
 
     let updatedEntryData = {
       ...record.entryData,
@@ -4629,9 +4559,9 @@ async function updateApiRecordByCaseNumber(
       }
     );
 
-    console.log(`✅ Updated API record for case ${caseNumber}`);
+    log.info(`✅ Updated API record for case ${caseNumber}`);
   } catch (error) {
-    console.error(`❌ Error updating API record for case ${caseNumber}:`, error.message);
+    log.error(`❌ Error updating API record for case ${caseNumber}:`, error.message);
   }
 }
 
@@ -4639,8 +4569,8 @@ async function updateApiRecordByCaseNumber(
  * Collect top 10 cases from queue and process them sequentially
  */
 async function collectAndProcessQueue(options = {}) {
-  console.log("🚀 Starting Queue Collection and Processing");
-  console.log("=".repeat(50));
+  log.info("🚀 Starting Queue Collection and Processing");
+  log.info("=".repeat(50));
 
   const userDataDir = path.join(__dirname, "browser-data", "dynamics");
   if (!fs.existsSync(userDataDir)) {
@@ -4660,7 +4590,7 @@ async function collectAndProcessQueue(options = {}) {
 
   try {
     // Step 1: Open Dynamics URL and collect cases
-    console.log("\n📋 Step 1: Opening Dynamics 365 queue...");
+    log.info("\n📋 Step 1: Opening Dynamics 365 queue...");
     await page.goto(
       "https://rbb.crm4.dynamics.com/main.aspx?appid=985c526a-991d-4b63-8821-40933180b864&pagetype=entitylist&etn=queueitem&viewid=1243801a-0ac8-ea11-a812-000d3a38a089&viewType=1039",
       { waitUntil: "domcontentloaded" }
@@ -4670,7 +4600,7 @@ async function collectAndProcessQueue(options = {}) {
     await page.waitForSelector('[data-id="grid-container"]');
 
     // Collect top 10 cases
-    console.log("\n📋 Step 2: Collecting top 10 cases from queue...");
+    log.info("\n📋 Step 2: Collecting top 10 cases from queue...");
     const casesToProcess = [];
 
     for (let i = 0; i < 10; i++) {
@@ -4680,7 +4610,7 @@ async function collectAndProcessQueue(options = {}) {
           .first();
 
         if ((await targetRow.count()) === 0) {
-          console.log(`⚠️ Row ${i} not found, stopping collection at ${i} cases`);
+          log.info(`⚠️ Row ${i} not found, stopping collection at ${i} cases`);
           break;
         }
 
@@ -4696,7 +4626,7 @@ async function collectAndProcessQueue(options = {}) {
             cleanCaseNumber = (await caseNumberElement.getAttribute("aria-label")) || "unknown_case";
           }
         } catch (error) {
-          console.log(`⚠️ Could not extract case number for row ${i}: ${error.message}`);
+          log.info(`⚠️ Could not extract case number for row ${i}: ${error.message}`);
         }
 
         // Extract customer name
@@ -4708,7 +4638,7 @@ async function collectAndProcessQueue(options = {}) {
             customerName = (await customerElement.getAttribute("aria-label")) || "unknown_customer";
           }
         } catch (error) {
-          console.log(`⚠️ Could not extract customer name for row ${i}: ${error.message}`);
+          log.info(`⚠️ Could not extract customer name for row ${i}: ${error.message}`);
         }
 
         casesToProcess.push({
@@ -4717,16 +4647,16 @@ async function collectAndProcessQueue(options = {}) {
           customer: customerName,
         });
 
-        console.log(`📋 Collected case ${i + 1}: ${cleanCaseNumber} - ${customerName}`);
+        log.info(`📋 Collected case ${i + 1}: ${cleanCaseNumber} - ${customerName}`);
       } catch (error) {
-        console.log(`❌ Error collecting case from row ${i}: ${error.message}`);
+        log.info(`❌ Error collecting case from row ${i}: ${error.message}`);
       }
     }
 
-    console.log(`\n📊 Collected ${casesToProcess.length} cases for processing`);
+    log.info(`\n📊 Collected ${casesToProcess.length} cases for processing`);
 
     // Step 3: Create API records for all collected cases
-    console.log("\n📋 Step 3: Creating API records with 'waiting' status...");
+    log.info("\n📋 Step 3: Creating API records with 'waiting' status...");
     const apiRecords = [];
 
     for (const caseData of casesToProcess) {
@@ -4740,26 +4670,29 @@ async function collectAndProcessQueue(options = {}) {
           apiRecords.push({ ...caseData, apiRecord });
         }
       } catch (error) {
-        console.error(`❌ Error creating API record for case ${caseData.caseNumber}: ${error.message}`);
+        log.error(`❌ Error creating API record for case ${caseData.caseNumber}: ${error.message}`);
       }
     }
 
-    console.log(`✅ Created/found ${apiRecords.length} API records`);
+    log.info(`✅ Created/found ${apiRecords.length} API records`);
 
     // Step 4: Process each case sequentially
-    console.log("\n📋 Step 4: Processing cases sequentially...");
+    log.info("\n📋 Step 4: Processing cases sequentially...");
     let processedCount = 0;
     let errorCount = 0;
 
     for (const caseData of apiRecords) {
       try {
-        console.log(`\n🔄 Processing case ${processedCount + 1}/${apiRecords.length}: ${caseData.caseNumber}`);
+        log.info(`\n🔄 Processing case ${processedCount + 1}/${apiRecords.length}: ${caseData.caseNumber}`);
         
         // Update status to busy
         await updateApiRecordByCaseNumber(caseData.caseNumber, "busy");
 
         // Process the case using existing logic (similar to process-by-index but for current row)
-        const processingResult = await processSingleCase(page, caseData.rowIndex, caseData.caseNumber, caseData.customer);
+        const processingResult = await withLogContext(
+          { caseId: caseData.caseNumber },
+          () => processSingleCase(page, caseData.rowIndex, caseData.caseNumber, caseData.customer)
+        );
 
         if (processingResult.success) {
           // Update record with completion data
@@ -4773,40 +4706,40 @@ async function collectAndProcessQueue(options = {}) {
             null
           );
           processedCount++;
-          console.log(`✅ Successfully processed case: ${caseData.caseNumber}`);
+          log.info(`✅ Successfully processed case: ${caseData.caseNumber}`);
 
           // Manual review pause if --review option is enabled
           if (options.review) {
-            console.log(`\n📋 REVIEW MODE - Case ${caseData.caseNumber} Complete`);
-            console.log("=".repeat(60));
-            console.log(`📄 Case Number: ${caseData.caseNumber}`);
-            console.log(`👤 Customer: ${caseData.customer}`);
-            console.log(`📊 Status: complete`);
-            console.log(`✅ Case Status: ${processingResult.caseStatus || "valid"}`);
-            console.log(`📝 Result Message: ${(processingResult.resultMessage || "").substring(0, 200)}...`);
-            console.log(`📄 Documents: ${processingResult.documents?.length || 0} processed`);
-            console.log("=".repeat(60));
-            console.log("🗂️  RECORD STORE DATA SAVED:");
-            console.log(`   • resultRaw: Full verification results + detailed analysis (JSON)`);
-            console.log(`   • resultMessage: Timeline note content`);
-            console.log(`   • caseNumber: ${caseData.caseNumber}`);
-            console.log(`   • customer: ${caseData.customer}`);
-            console.log(`   • status: complete`);
-            console.log(`   • caseStatus: ${processingResult.caseStatus || "valid"}`);
-            console.log(`   • documents: [${processingResult.documents?.join(', ') || 'none'}]`);
-            console.log(`   • errorMessage: null`);
-            console.log("=".repeat(60));
-            console.log("🔍 Please check:");
-            console.log("   • Dynamics timeline note has been added with verification results");
-            console.log("   • Record store entry has been updated with complete data");
-            console.log("   • PDF files downloaded to cases/ directory");
-            console.log("   • Document classification completed");
-            console.log("\n⏸️  PAUSED - Browser remains open for manual review");
-            console.log("   ⚠️  DO NOT close the terminal - this will end batch processing");
+            log.info(`\n📋 REVIEW MODE - Case ${caseData.caseNumber} Complete`);
+            log.info("=".repeat(60));
+            log.info(`📄 Case Number: ${caseData.caseNumber}`);
+            log.info(`👤 Customer: ${caseData.customer}`);
+            log.info(`📊 Status: complete`);
+            log.info(`✅ Case Status: ${processingResult.caseStatus || "valid"}`);
+            log.info(`📝 Result Message: ${(processingResult.resultMessage || "").substring(0, 200)}...`);
+            log.info(`📄 Documents: ${processingResult.documents?.length || 0} processed`);
+            log.info("=".repeat(60));
+            log.info("🗂️  RECORD STORE DATA SAVED:");
+            log.info(`   • resultRaw: Full verification results + detailed analysis (JSON)`);
+            log.info(`   • resultMessage: Timeline note content`);
+            log.info(`   • caseNumber: ${caseData.caseNumber}`);
+            log.info(`   • customer: ${caseData.customer}`);
+            log.info(`   • status: complete`);
+            log.info(`   • caseStatus: ${processingResult.caseStatus || "valid"}`);
+            log.info(`   • documents: [${processingResult.documents?.join(', ') || 'none'}]`);
+            log.info(`   • errorMessage: null`);
+            log.info("=".repeat(60));
+            log.info("🔍 Please check:");
+            log.info("   • Dynamics timeline note has been added with verification results");
+            log.info("   • Record store entry has been updated with complete data");
+            log.info("   • PDF files downloaded to cases/ directory");
+            log.info("   • Document classification completed");
+            log.info("\n⏸️  PAUSED - Browser remains open for manual review");
+            log.info("   ⚠️  DO NOT close the terminal - this will end batch processing");
             
             // Wait for user input to continue
             readlineSync.question('\n⌨️  Press Enter when ready to continue to the next case...');
-            console.log("🚀 Continuing to next case...");
+            log.info("🚀 Continuing to next case...");
 
           }
         } else {
@@ -4814,7 +4747,7 @@ async function collectAndProcessQueue(options = {}) {
         }
 
       } catch (error) {
-        console.error(`❌ Error processing case ${caseData.caseNumber}: ${error.message}`);
+        log.error(`❌ Error processing case ${caseData.caseNumber}: ${error.message}`);
         
         // Update record with error
         await updateApiRecordByCaseNumber(
@@ -4830,24 +4763,24 @@ async function collectAndProcessQueue(options = {}) {
 
         // Manual review pause for errors if --review option is enabled
         if (options.review) {
-          console.log(`\n📋 REVIEW MODE - Case ${caseData.caseNumber} Failed`);
-          console.log("=".repeat(60));
-          console.log(`📄 Case Number: ${caseData.caseNumber}`);
-          console.log(`👤 Customer: ${caseData.customer}`);
-          console.log(`❌ Status: error`);
-          console.log(`🚫 Error: ${error.message}`);
-          console.log("=".repeat(60));
-          console.log("🔍 Please check:");
-          console.log("   • Error details in the logs above");
-          console.log("   • Record store error message has been saved");
-          console.log("\n⏸️  PAUSED - The browser will remain open for your review.");
-          console.log("   • Review the error details above");
-          console.log("   • Check what was saved to the record store");
-          console.log("   ⚠️  DO NOT close the terminal - this will end the batch processing!");
+          log.info(`\n📋 REVIEW MODE - Case ${caseData.caseNumber} Failed`);
+          log.info("=".repeat(60));
+          log.info(`📄 Case Number: ${caseData.caseNumber}`);
+          log.info(`👤 Customer: ${caseData.customer}`);
+          log.info(`❌ Status: error`);
+          log.info(`🚫 Error: ${error.message}`);
+          log.info("=".repeat(60));
+          log.info("🔍 Please check:");
+          log.info("   • Error details in the logs above");
+          log.info("   • Record store error message has been saved");
+          log.info("\n⏸️  PAUSED - The browser will remain open for your review.");
+          log.info("   • Review the error details above");
+          log.info("   • Check what was saved to the record store");
+          log.info("   ⚠️  DO NOT close the terminal - this will end the batch processing!");
           
           // Wait for user input to continue
           readlineSync.question('\n⌨️  Press Enter when ready to continue to the next case...');
-          console.log("🚀 Continuing to next case...");
+          log.info("🚀 Continuing to next case...");
         }
       }
 
@@ -4857,13 +4790,13 @@ async function collectAndProcessQueue(options = {}) {
       }
     }
 
-    console.log(`\n📊 Queue processing completed:`);
-    console.log(`✅ Successfully processed: ${processedCount} cases`);
-    console.log(`❌ Failed: ${errorCount} cases`);
-    console.log(`📋 Total: ${casesToProcess.length} cases`);
+    log.info(`\n📊 Queue processing completed:`);
+    log.info(`✅ Successfully processed: ${processedCount} cases`);
+    log.info(`❌ Failed: ${errorCount} cases`);
+    log.info(`📋 Total: ${casesToProcess.length} cases`);
 
   } catch (error) {
-    console.error(`❌ Error in queue collection: ${error.message}`);
+    log.error(`❌ Error in queue collection: ${error.message}`);
   } finally {
     await browser.close();
   }
@@ -4928,6 +4861,11 @@ async function processSingleCase(page, rowIndex, caseNumber, customer) {
   }
 }
 
-program.parse();
+// Shut down the shared OCR worker pool once a command finishes
+program.hook("postAction", async () => {
+  await OCRService.destroyShared();
+});
+
+await program.parseAsync();
 
 // v 1.22
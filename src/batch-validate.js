@@ -0,0 +1,163 @@
+// Batch validation over a folder of PDFs and a manifest of case models
+//
+//   node src/batch-validate.js --dir test/samples --manifest cases.csv
+//     [--out batch_validation_result.json] [--concurrency 2] [--model eng.traineddata]
+//     [--debug-artifacts] [--explain] [--overlay]
+
+import path from "path";
+import { promises as fs } from "node:fs";
+import { parseArgs } from "node:util";
+import ProductProfileRegistry from "./cli/product-profiles.js";
+import CaseManifest from "./cli/case-manifest.js";
+import BatchRunner from "./cli/batch-runner.js";
+import OCRService from "./cli/ocr-service.js";
+import DebugArtifacts from "./cli/debug-artifacts.js";
+import FieldEvidence from "./cli/field-evidence.js";
+
+const TARGET_ACCURACY = 0.8;
+
+const USAGE = `Usage: node src/batch-validate.js --dir <pdf folder> --manifest <cases.csv|cases.json>
+Options:
+  --out <file>          Combined results file (default: batch_validation_result.json)
+  --concurrency <n>     Documents validated at once (default: 2)
+  --model <file>        Tesseract model (default: eng.traineddata)
+  --debug-artifacts     Keep intermediate boxes and images under debug_output/<run>/<case>
+  --explain             Print the evidence behind every field decision
+  --overlay             Write annotated page PNGs to debug_output/<run>/<case>/<document>
+Environment:
+  OCR_POOL_SIZE         OCR worker threads shared by all documents (default: min(CPUs, 4))
+  DEBUG_ARTIFACTS       Same as --debug-artifacts when set to 1
+  VALIDATION_OVERLAY    Same as --overlay when set to 1
+  DEBUG_ARTIFACTS_KEEP_RUNS  Debug runs kept before the oldest are deleted (default: 10)`;
+
+function printAccuracyTable(accuracy) {
+  const percent = (value) => `${Math.round(value * 100)}%`.padStart(6);
+
+  console.log("\n📊 PER-FIELD ACCURACY");
+  console.log("─".repeat(60));
+  console.log(`${"Field".padEnd(24)} ${"Total".padStart(6)} ${"Found".padStart(6)} ${"Valid".padStart(6)} ${"Acc.".padStart(6)}`);
+
+  for (const [field, stats] of Object.entries(accuracy.fields)) {
+    const icon = stats.accuracy >= TARGET_ACCURACY ? "✅" : "❌";
+    console.log(
+      `${field.padEnd(24)} ${String(stats.total).padStart(6)} ${String(stats.found).padStart(6)} ${String(stats.valid).padStart(6)} ${percent(stats.accuracy)} ${icon}`
+    );
+  }
+
+  console.log("─".repeat(60));
+  const overall = accuracy.overall;
+  console.log(
+    `${"Overall".padEnd(24)} ${String(overall.total).padStart(6)} ${String(overall.found).padStart(6)} ${String(overall.valid).padStart(6)} ${percent(overall.accuracy)}`
+  );
+  console.log(
+    `🎯 Target (${TARGET_ACCURACY * 100}%): ${overall.accuracy >= TARGET_ACCURACY ? "✅ MET" : "❌ NOT MET"}`
+  );
+}
+
+function printEvidence(outcome) {
+  const { fields = {}, evidence = {} } = outcome.result;
+
+  console.log(`\n🔎 EVIDENCE: ${outcome.file} (case ${outcome.caseId})`);
+  console.log("─".repeat(60));
+  for (const [field, trail] of Object.entries(evidence)) {
+    console.log(FieldEvidence.formatReport(trail, fields[field]));
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      dir: { type: "string" },
+      manifest: { type: "string" },
+      out: { type: "string", default: "batch_validation_result.json" },
+      concurrency: { type: "string", default: "2" },
+      model: { type: "string", default: path.join(process.cwd(), "eng.traineddata") },
+      "debug-artifacts": { type: "boolean", default: false },
+      explain: { type: "boolean", default: false },
+      overlay: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help || !values.dir || !values.manifest) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const concurrency = Number.parseInt(values.concurrency, 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer, got "${values.concurrency}"`);
+  }
+
+  const profiles = new ProductProfileRegistry();
+  const manifest = await CaseManifest.load(values.manifest, profiles);
+
+  const pdfFiles = (await fs.readdir(values.dir))
+    .filter((file) => file.toLowerCase().endsWith(".pdf"))
+    .sort()
+    .map((file) => path.join(values.dir, file));
+
+  const { jobs, unmatchedFiles, missingDocuments } = manifest.match(pdfFiles);
+
+  console.log("🚀 Starting batch validation");
+  console.log(`📁 Folder: ${values.dir} (${pdfFiles.length} PDFs)`);
+  console.log(`📋 Manifest: ${values.manifest} (${manifest.entries.length} cases)`);
+  console.log(`🔀 Concurrency: ${concurrency}`);
+  const debugArtifacts = DebugArtifacts.shared({
+    enabled: values["debug-artifacts"] || undefined,
+  });
+  if (debugArtifacts.enabled) {
+    console.log(`🗂️  Debug artifacts: ${debugArtifacts.runDir}`);
+  }
+  for (const file of unmatchedFiles) {
+    console.log(`⚠️  No case model for ${file}, skipping`);
+  }
+  for (const entry of missingDocuments) {
+    console.log(`⚠️  No document found for manifest entry ${entry}`);
+  }
+  console.log("─".repeat(60));
+
+  const startTime = Date.now();
+  const runner = new BatchRunner({
+    concurrency,
+    modelPath: values.model,
+    profiles,
+    validatorOptions: values.overlay ? { overlay: true } : {},
+    onResult: (outcome, index, total) => {
+      console.log(
+        `📄 [${index + 1}/${total}] ${outcome.file}: ${outcome.result.status} (${outcome.result.summary.valid}/${outcome.result.summary.total} valid, ${outcome.durationMs}ms)`
+      );
+      if (values.explain) printEvidence(outcome);
+    },
+  });
+  const outcomes = await runner.run(jobs).finally(() => OCRService.destroyShared());
+  const accuracy = BatchRunner.buildAccuracyTable(outcomes);
+
+  const statusCounts = {};
+  for (const outcome of outcomes) {
+    statusCounts[outcome.result.status] = (statusCounts[outcome.result.status] || 0) + 1;
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    directory: values.dir,
+    manifest: values.manifest,
+    durationMs: Date.now() - startTime,
+    statusCounts,
+    accuracy,
+    unmatchedFiles,
+    missingDocuments,
+    documents: outcomes.map(({ expectedFields, ...outcome }) => outcome),
+  };
+
+  printAccuracyTable(accuracy);
+  console.log(`\n📈 Documents: ${Object.entries(statusCounts).map(([status, count]) => `${status} ${count}`).join(", ") || "none"}`);
+
+  await fs.writeFile(values.out, JSON.stringify(report, null, 2));
+  console.log(`💾 Results saved to: ${values.out}`);
+}
+
+main().catch((error) => {
+  console.error("❌ Batch validation failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+// Calibrate signature mark detection on labelled ROIs
+//
+//   node src/calibrate-signatures.js --dir calibration/rois [--out signature-thresholds.json]
+//
+// The folder holds signed/ and blank/ subfolders of ROI images (PNG or JPEG).
+// SignatureDetector loads the saved profile at startup (SIGNATURE_THRESHOLDS overrides the path)
+
+import path from "path";
+import { promises as fs } from "node:fs";
+import { parseArgs } from "node:util";
+import SignatureDetector, { DEFAULT_THRESHOLDS_PATH } from "./cli/signature-detector.js";
+import SignatureCalibration from "./cli/signature-calibration.js";
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg"];
+const LABELS = { signed: true, blank: false };
+
+async function listImages(directory) {
+  try {
+    const files = (await fs.readdir(directory)).sort();
+    return files
+      .filter((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .map((file) => path.join(directory, file));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+function printRoc(roc, chosen) {
+  const percent = (value) => `${Math.round(value * 100)}%`.padStart(7);
+
+  console.log(`\n📈 ROC (mark threshold sweep)`);
+  console.log("─".repeat(40));
+  console.log(`${"Thresh.".padStart(8)} ${"TPR".padStart(7)} ${"FPR".padStart(7)} ${"Acc.".padStart(7)}`);
+  for (const point of roc) {
+    // Every 5th step keeps the table readable; the chosen point is always shown
+    const step = Math.round(point.threshold * 100);
+    if (step % 5 !== 0 && point.threshold !== chosen) continue;
+    const marker = point.threshold === chosen ? " ◀" : "";
+    console.log(
+      `${point.threshold.toFixed(2).padStart(8)} ${percent(point.tpr)} ${percent(point.fpr)} ${percent(point.accuracy)}${marker}`
+    );
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      dir: { type: "string" },
+      out: { type: "string", default: DEFAULT_THRESHOLDS_PATH },
+    },
+  });
+
+  if (!values.dir) {
+    console.error("Usage: node src/calibrate-signatures.js --dir <folder with signed/ and blank/> [--out file]");
+    process.exit(2);
+  }
+
+  // Calibrate from the built-in defaults, not from a previously saved profile
+  const detector = new SignatureDetector({ thresholds: {} });
+  const measurements = [];
+
+  for (const [label, signed] of Object.entries(LABELS)) {
+    const files = await listImages(path.join(values.dir, label));
+    console.log(`📂 ${label}: ${files.length} ROIs`);
+    for (const file of files) {
+      const { edgeAnalysis, textureAnalysis } = await detector.measureImage(await fs.readFile(file));
+      measurements.push({ file: path.relative(values.dir, file), signed, edgeAnalysis, textureAnalysis });
+    }
+  }
+
+  const calibration = SignatureCalibration.calibrate(measurements, detector);
+  printRoc(calibration.roc, calibration.thresholds.markThreshold);
+
+  console.log(`\n🎯 Best thresholds: accuracy ${Math.round(calibration.accuracy * 100)}%, AUC ${calibration.auc}`);
+  console.log(`   markThreshold ${calibration.thresholds.markThreshold}, textureScale ${calibration.thresholds.textureScale}`);
+  console.log(
+    `   combineWeights edge ${calibration.thresholds.combineWeights.edge} / texture ${calibration.thresholds.combineWeights.texture}`
+  );
+  for (const miss of calibration.misclassified) {
+    console.log(`   ❌ ${miss.file}: labelled ${miss.signed ? "signed" : "blank"}, confidence ${miss.confidence}`);
+  }
+
+  const { roc, ...profile } = calibration;
+  await fs.writeFile(values.out, JSON.stringify(profile, null, 2));
+  console.log(`\n💾 Thresholds profile saved to: ${values.out}`);
+}
+
+main().catch((error) => {
+  console.error("❌ Calibration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,330 @@
+import cv from '@techstark/opencv-js';
+import sharp from 'sharp';
+import SignatureDetector from './signature-detector.js';
+
+// Pixel sizes assume page images rendered at scale 3 (extractPDFPagesToImages)
+export const ALTERATION_DEFAULTS = {
+  // Grey level below which a pixel counts as ink
+  inkThreshold: 140,
+  // Printed text boxes are grown by this much before their ink is explained away
+  textPadding: 6,
+  // Straight runs longer than this share of the page width are printed rules:
+  // cell borders are short, so the length cannot follow the region searched
+  ruleLengthRatio: 0.02,
+  // Solid ink at least this wide in both directions is a filled cell background
+  fillSize: 15,
+  // A horizontal run over this share of a text box, through its middle band, strikes it out
+  strikeLengthRatio: 0.6,
+  strikeBand: [0.25, 0.75],
+  // Pen strokes are at least this many pixels thick; single rows are glyph parts
+  minStrokeWidth: 2,
+  // A strike runs at least this far past the printed text on both sides
+  strikeOverhang: 3,
+  // Unexplained ink blobs smaller than this are scanner noise
+  minInkArea: 120,
+  // Handwriting spans at least this much in both directions; thinner blobs are rule remnants
+  minStrokeSpan: 12,
+  // Blobs closer than this belong to the same amendment
+  mergeDistance: 30,
+  // Amendments at least this large in both directions are reported as stamps
+  stampSize: 150,
+};
+
+/**
+ * Alteration Detector
+ * Looks for ink that printed text does not explain in a page region: values
+ * struck through, handwritten amendments and stamps. Built on the OpenCV.js
+ * setup of SignatureDetector
+ */
+export default class AlterationDetector extends SignatureDetector {
+  constructor(options = {}) {
+    super(options);
+    this.settings = { ...ALTERATION_DEFAULTS, ...options.alterations };
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - page image
+   * @param {Object} region - { x, y, width, height } in image pixels
+   * @param {Array} textBoxes - printed text boxes of the page, in image pixels
+   * @param {number} pageIndex
+   * @returns {Promise<Array>} { type, pageIndex, bbox, inkPixels, text } per possible alteration, bbox in image pixels
+   */
+  async detectAlterations(imageBuffer, region, textBoxes, pageIndex = 0) {
+    if (!this.isOpenCVReady) {
+      await this.initialize();
+    }
+
+    const { width: imageWidth, height: imageHeight } = await sharp(imageBuffer).metadata();
+    const left = Math.max(0, Math.round(region.x));
+    const top = Math.max(0, Math.round(region.y));
+    const bounds = {
+      left,
+      top,
+      width: Math.min(Math.round(region.width), imageWidth - left),
+      height: Math.min(Math.round(region.height), imageHeight - top),
+    };
+    if (bounds.width <= 0 || bounds.height <= 0) return [];
+
+    // Text boxes in region-local pixels
+    const localBoxes = textBoxes
+      .map((box) => ({
+        text: box.text,
+        x: Math.round(box.x - bounds.left),
+        y: Math.round(box.y - bounds.top),
+        width: Math.round(box.width),
+        height: Math.round(box.height),
+      }))
+      .filter(
+        (box) =>
+          box.width > 0 &&
+          box.height > 0 &&
+          box.x >= 0 &&
+          box.y >= 0 &&
+          box.x + box.width <= bounds.width &&
+          box.y + box.height <= bounds.height
+      );
+
+    const crop = await sharp(imageBuffer).extract(bounds).toBuffer();
+    const mat = await this.bufferToMat(crop);
+    const gray = new cv.Mat();
+    const ink = new cv.Mat();
+
+    try {
+      cv.cvtColor(mat, gray, cv.COLOR_RGB2GRAY);
+      cv.threshold(gray, ink, this.settings.inkThreshold, 255, cv.THRESH_BINARY_INV);
+
+      this.removeFills(ink);
+      // Strikes are straight runs too, so look for them before the rules go
+      const strikes = this.findStrikeThroughs(ink, localBoxes);
+      this.removeTableRules(ink, imageWidth);
+      this.maskText(ink, localBoxes);
+      const blobs = this.findInkBlobs(ink);
+
+      const toPage = (bbox) => ({
+        x: bbox.x + bounds.left,
+        y: bbox.y + bounds.top,
+        width: bbox.width,
+        height: bbox.height,
+        pageIndex,
+      });
+
+      return [
+        ...strikes.map((strike) => ({
+          type: 'strike_through',
+          pageIndex,
+          bbox: toPage(strike.bbox),
+          inkPixels: strike.inkPixels,
+          text: strike.text,
+        })),
+        ...blobs.map((blob) => ({
+          type:
+            blob.bbox.width >= this.settings.stampSize && blob.bbox.height >= this.settings.stampSize
+              ? 'stamp'
+              : 'handwriting',
+          pageIndex,
+          bbox: toPage(blob.bbox),
+          inkPixels: blob.inkPixels,
+          text: this.nearestText(blob.bbox, localBoxes),
+        })),
+      ];
+    } finally {
+      mat.delete();
+      gray.delete();
+      ink.delete();
+    }
+  }
+
+  // Shaded header and total cells threshold to solid ink; pen strokes are too thin to survive the opening
+  removeFills(ink) {
+    const { fillSize } = this.settings;
+    this.subtractOpening(ink, new cv.Size(fillSize, fillSize));
+  }
+
+  // Long horizontal and vertical runs are the printed table grid
+  removeTableRules(ink, pageWidth) {
+    const length = Math.max(3, Math.round(pageWidth * this.settings.ruleLengthRatio));
+    this.subtractOpening(ink, new cv.Size(length, 1));
+    this.subtractOpening(ink, new cv.Size(1, length));
+  }
+
+  // Removes the ink that survives an opening with the given kernel, with the
+  // anti-aliased pixels along its edges
+  subtractOpening(ink, size) {
+    const kernel = cv.getStructuringElement(cv.MORPH_RECT, size);
+    const edge = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+    const opened = new cv.Mat();
+    try {
+      cv.morphologyEx(ink, opened, cv.MORPH_OPEN, kernel);
+      cv.dilate(opened, opened, edge);
+      cv.subtract(ink, opened, ink);
+    } finally {
+      kernel.delete();
+      edge.delete();
+      opened.delete();
+    }
+  }
+
+  /**
+   * A strike is a pen stroke through the middle of the printed text that runs
+   * past the glyphs on both sides. Runs that leave the search window are rules
+   * crossing the cell, and single-row runs are parts of the glyphs themselves
+   */
+  findStrikeThroughs(ink, boxes) {
+    const { strikeLengthRatio, strikeBand, minStrokeWidth, strikeOverhang } = this.settings;
+    const strikes = [];
+
+    for (const box of boxes) {
+      const reach = Math.max(strikeOverhang * 2, box.height);
+      const left = Math.max(0, box.x - reach);
+      const right = Math.min(ink.cols, box.x + box.width + reach);
+      const roi = ink.roi(new cv.Rect(left, box.y, right - left, box.height));
+      const kernel = cv.getStructuringElement(
+        cv.MORPH_RECT,
+        new cv.Size(Math.max(3, Math.round(box.width * strikeLengthRatio)), 1)
+      );
+      const lines = new cv.Mat();
+      const labels = new cv.Mat();
+      const stats = new cv.Mat();
+      const centroids = new cv.Mat();
+
+      try {
+        cv.morphologyEx(roi, lines, cv.MORPH_OPEN, kernel);
+        const count = cv.connectedComponentsWithStats(lines, labels, stats, centroids, 8);
+
+        // Underlines and cell borders sit on the box edges; a strike crosses the middle
+        const bandTop = box.height * strikeBand[0];
+        const bandBottom = box.height * strikeBand[1];
+        for (let label = 1; label < count; label++) {
+          const stat = (index) => stats.intAt(label, index);
+          const runLeft = left + stat(cv.CC_STAT_LEFT);
+          const runRight = runLeft + stat(cv.CC_STAT_WIDTH);
+          const middle = stat(cv.CC_STAT_TOP) + stat(cv.CC_STAT_HEIGHT) / 2;
+
+          const thick = stat(cv.CC_STAT_HEIGHT) >= minStrokeWidth;
+          const throughMiddle = middle >= bandTop && middle <= bandBottom;
+          const pastText =
+            runLeft <= box.x - strikeOverhang && runRight >= box.x + box.width + strikeOverhang;
+          const ruleCrossing = (runLeft <= left && left > 0) || (runRight >= right && right < ink.cols);
+
+          if (thick && throughMiddle && pastText && !ruleCrossing) {
+            strikes.push({
+              bbox: { x: box.x, y: box.y, width: box.width, height: box.height },
+              inkPixels: stat(cv.CC_STAT_AREA),
+              text: box.text,
+            });
+            break;
+          }
+        }
+      } finally {
+        roi.delete();
+        kernel.delete();
+        lines.delete();
+        labels.delete();
+        stats.delete();
+        centroids.delete();
+      }
+    }
+
+    return strikes;
+  }
+
+  maskText(ink, boxes) {
+    const { textPadding } = this.settings;
+    for (const box of boxes) {
+      cv.rectangle(
+        ink,
+        new cv.Point(Math.max(0, box.x - textPadding), Math.max(0, box.y - textPadding)),
+        new cv.Point(box.x + box.width + textPadding, box.y + box.height + textPadding),
+        new cv.Scalar(0),
+        -1
+      );
+    }
+  }
+
+  // Connected components of the remaining ink, merged into amendments
+  findInkBlobs(ink) {
+    const { minInkArea, minStrokeSpan, mergeDistance } = this.settings;
+    const labels = new cv.Mat();
+    const stats = new cv.Mat();
+    const centroids = new cv.Mat();
+    const components = [];
+
+    try {
+      const count = cv.connectedComponentsWithStats(ink, labels, stats, centroids, 8);
+      // Label 0 is the background
+      for (let label = 1; label < count; label++) {
+        const stat = (index) => stats.intAt(label, index);
+        components.push({
+          bbox: {
+            x: stat(cv.CC_STAT_LEFT),
+            y: stat(cv.CC_STAT_TOP),
+            width: stat(cv.CC_STAT_WIDTH),
+            height: stat(cv.CC_STAT_HEIGHT),
+          },
+          inkPixels: stat(cv.CC_STAT_AREA),
+        });
+      }
+    } finally {
+      labels.delete();
+      stats.delete();
+      centroids.delete();
+    }
+
+    const near = (a, b) =>
+      a.x - mergeDistance <= b.x + b.width &&
+      b.x - mergeDistance <= a.x + a.width &&
+      a.y - mergeDistance <= b.y + b.height &&
+      b.y - mergeDistance <= a.y + a.height;
+
+    // Handwriting breaks into many strokes: grow groups until no two are near
+    const groups = [];
+    for (const component of components) {
+      let group = { bbox: { ...component.bbox }, inkPixels: component.inkPixels };
+      for (let i = groups.length - 1; i >= 0; i--) {
+        if (!near(groups[i].bbox, group.bbox)) continue;
+        group = {
+          bbox: {
+            x: Math.min(groups[i].bbox.x, group.bbox.x),
+            y: Math.min(groups[i].bbox.y, group.bbox.y),
+            width:
+              Math.max(groups[i].bbox.x + groups[i].bbox.width, group.bbox.x + group.bbox.width) -
+              Math.min(groups[i].bbox.x, group.bbox.x),
+            height:
+              Math.max(groups[i].bbox.y + groups[i].bbox.height, group.bbox.y + group.bbox.height) -
+              Math.min(groups[i].bbox.y, group.bbox.y),
+          },
+          inkPixels: groups[i].inkPixels + group.inkPixels,
+        };
+        groups.splice(i, 1);
+        i = groups.length;
+      }
+      groups.push(group);
+    }
+
+    return groups.filter(
+      (group) =>
+        group.inkPixels >= minInkArea &&
+        group.bbox.width >= minStrokeSpan &&
+        group.bbox.height >= minStrokeSpan
+    );
+  }
+
+  // Printed text closest to an amendment, to tell the reviewer what it may change
+  nearestText(bbox, boxes) {
+    const centre = (box) => [box.x + box.width / 2, box.y + box.height / 2];
+    const [cx, cy] = centre(bbox);
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const box of boxes) {
+      const [bx, by] = centre(box);
+      const distance = Math.hypot(bx - cx, by - cy);
+      if (distance < nearestDistance) {
+        nearest = box;
+        nearestDistance = distance;
+      }
+    }
+
+    return nearest?.text ?? null;
+  }
+}
@@ -0,0 +1,228 @@
+import { editDistance } from "./header-fields.js";
+
+/**
+ * South African banks: universal branch code, branch code prefixes, account
+ * number lengths and the CDV (check digit verification) weighting where it is
+ * known. A CDV passes when the weighted sum of the account digits, read left
+ * to right, is divisible by the modulus.
+ *
+ * CDV is only verified for Nedbank. The other banks are recognised for their
+ * branch codes and account lengths alone: their BankservAfrica weightings vary
+ * by branch and account range and are not encoded here, so their account
+ * results report cdvChecked: false rather than a passed check digit
+ */
+export const BANK_RULES = {
+  nedbank: {
+    name: "Nedbank",
+    aliases: ["nedbank", "ned bank"],
+    universalBranchCode: "198765",
+    branchPrefixes: ["1"],
+    accountLengths: [10],
+    cdv: { weights: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], modulus: 11 },
+  },
+  absa: {
+    name: "ABSA",
+    aliases: ["absa", "amalgamated banks"],
+    universalBranchCode: "632005",
+    branchPrefixes: ["63", "3"],
+    accountLengths: [9, 10, 11],
+    cdv: null,
+  },
+  standardBank: {
+    name: "Standard Bank",
+    aliases: ["standard bank", "stanbic", "sbsa"],
+    universalBranchCode: "051001",
+    branchPrefixes: ["0"],
+    accountLengths: [9, 10, 11],
+    cdv: null,
+  },
+  fnb: {
+    name: "FNB",
+    aliases: ["fnb", "first national bank", "firstrand"],
+    universalBranchCode: "250655",
+    branchPrefixes: ["2"],
+    accountLengths: [10, 11],
+    cdv: null,
+  },
+  capitec: {
+    name: "Capitec",
+    aliases: ["capitec"],
+    universalBranchCode: "470010",
+    branchPrefixes: ["470"],
+    accountLengths: [10],
+    cdv: null,
+  },
+  investec: {
+    name: "Investec",
+    aliases: ["investec"],
+    universalBranchCode: "580105",
+    branchPrefixes: ["580"],
+    accountLengths: null,
+    cdv: null,
+  },
+  africanBank: {
+    name: "African Bank",
+    aliases: ["african bank"],
+    universalBranchCode: "430000",
+    branchPrefixes: ["430"],
+    accountLengths: null,
+    cdv: null,
+  },
+  tymeBank: {
+    name: "TymeBank",
+    aliases: ["tymebank", "tyme bank"],
+    universalBranchCode: "678910",
+    branchPrefixes: ["678910"],
+    accountLengths: null,
+    cdv: null,
+  },
+  discoveryBank: {
+    name: "Discovery Bank",
+    aliases: ["discovery bank", "discovery"],
+    universalBranchCode: "679000",
+    branchPrefixes: ["679000"],
+    accountLengths: null,
+    cdv: null,
+  },
+};
+
+export const ACCOUNT_DEFAULTS = {
+  // OCR boxes below this confidence may carry a misread digit; above it, and
+  // for digital text, the account number must match exactly
+  lowOcrConfidence: 0.85,
+};
+
+// Printed account types and the canonical name they stand for
+const ACCOUNT_TYPES = [
+  [/\b(current|cheque|check)\b/i, "current"],
+  [/\bsavings?\b/i, "savings"],
+  [/\btransmission\b/i, "transmission"],
+  [/\bbond\b/i, "bond"],
+];
+
+/**
+ * Bank Account Validator
+ * Checks collection account numbers, branch codes and account types against
+ * the bank named in the case model
+ */
+export default class BankAccountValidator {
+  /**
+   * @param {Object} options - { rules, lowOcrConfidence } rules are merged over BANK_RULES by key
+   */
+  constructor(options = {}) {
+    const { rules, ...settings } = options;
+    this.rules = { ...BANK_RULES, ...rules };
+    this.settings = { ...ACCOUNT_DEFAULTS, ...settings };
+  }
+
+  findBank(bankName) {
+    if (!bankName) return null;
+    const name = String(bankName).toLowerCase();
+    return (
+      Object.values(this.rules).find((rule) => rule.aliases.some((alias) => name.includes(alias))) ||
+      null
+    );
+  }
+
+  universalBranchCode(bankName) {
+    return this.findBank(bankName)?.universalBranchCode ?? null;
+  }
+
+  /**
+   * Length and CDV of an account number on its own
+   *
+   * @returns {Object} { bank, lengthValid, cdvValid, errors } - cdvValid is null when the bank
+   *   has no weighting (see BANK_RULES) or is unknown
+   */
+  checkAccount(account, bankName) {
+    const rule = this.findBank(bankName);
+    const digits = String(account);
+    const result = { bank: rule?.name ?? null, lengthValid: true, cdvValid: null, errors: [] };
+    if (!rule) return result;
+
+    if (rule.accountLengths && !rule.accountLengths.includes(digits.length)) {
+      result.lengthValid = false;
+      result.errors.push(
+        `${digits.length} digits, ${rule.name} accounts have ${rule.accountLengths.join(" or ")}`
+      );
+    }
+
+    if (rule.cdv && result.lengthValid) {
+      result.cdvValid = BankAccountValidator.cdvValid(digits, rule.cdv);
+      if (!result.cdvValid) result.errors.push(`fails the ${rule.name} check digit`);
+    }
+
+    return result;
+  }
+
+  static cdvValid(digits, { weights, modulus }) {
+    const padded = digits.padStart(weights.length, "0");
+    if (padded.length !== weights.length) return false;
+    const sum = [...padded].reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+    return sum % modulus === 0;
+  }
+
+  /**
+   * Document account number against the case model's. Misread, dropped or
+   * extra digits are only forgiven (up to tolerance, in edits) when OCR was
+   * unsure of the box and the case model number passes the bank's own checks
+   *
+   * @param {Object} options - { bank, tolerance, ocrConfidence } ocrConfidence is null for digital text
+   * @returns {Object} { valid, confidence, difference, bank, cdvChecked, toleranceApplied, errors }
+   */
+  validateAccount(found, expected, { bank = null, tolerance = 0, ocrConfidence = null } = {}) {
+    const foundDigits = String(found);
+    const expectedDigits = String(expected);
+    const difference = editDistance(foundDigits, expectedDigits);
+    const cdvChecked = Boolean(this.findBank(bank)?.cdv);
+
+    const lowConfidence = ocrConfidence !== null && ocrConfidence < this.settings.lowOcrConfidence;
+    const toleranceApplied = lowConfidence && difference > 0 && difference <= tolerance;
+
+    // A misread digit breaks the document number's CDV, so the case model number is checked instead
+    const checked = this.checkAccount(toleranceApplied ? expectedDigits : foundDigits, bank);
+    const valid = (difference === 0 || toleranceApplied) && checked.errors.length === 0;
+
+    return {
+      valid,
+      confidence: valid ? Math.max(0, 1 - difference / expectedDigits.length) : 0,
+      difference,
+      bank: checked.bank,
+      cdvChecked,
+      toleranceApplied,
+      errors: checked.errors,
+    };
+  }
+
+  /**
+   * Branch codes match when equal, or when both belong to the bank and one of
+   * them is its universal code
+   */
+  validateBranchCode(found, expected, { bank = null } = {}) {
+    const rule = this.findBank(bank);
+    const foundCode = String(found);
+    const expectedCode = String(expected);
+    const belongs = (code) => !rule || rule.branchPrefixes.some((prefix) => code.startsWith(prefix));
+    const errors = [];
+
+    if (!belongs(foundCode)) errors.push(`not a ${rule.name} branch code`);
+    const matches =
+      foundCode === expectedCode ||
+      Boolean(
+        rule &&
+          belongs(expectedCode) &&
+          [foundCode, expectedCode].includes(rule.universalBranchCode)
+      );
+
+    const valid = matches && errors.length === 0;
+    return { valid, confidence: valid ? 1 : 0, bank: rule?.name ?? null, errors };
+  }
+
+  /**
+   * Canonical account type ("current", "savings", "transmission", "bond") or null
+   */
+  static normaliseAccountType(text) {
+    const match = ACCOUNT_TYPES.find(([pattern]) => pattern.test(String(text)));
+    return match ? match[1] : null;
+  }
+}
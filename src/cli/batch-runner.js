@@ -0,0 +1,153 @@
+import path from "path";
+
+import SpatialDocumentValidator from "./spatial-document-validator.js";
+import ProductProfileRegistry from "./product-profiles.js";
+
+/**
+ * Batch Runner
+ * Validates many documents with a bounded pool of validators. Each worker owns
+ * its own validator because field mapping and logs are per-instance state
+ */
+export default class BatchRunner {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 2);
+    this.modelPath = options.modelPath;
+    this.profiles = options.profiles || new ProductProfileRegistry();
+    this.onResult = options.onResult || (() => {});
+    // Extra SpatialDocumentValidator options, e.g. { overlay: true }
+    this.validatorOptions = options.validatorOptions || {};
+  }
+
+  async run(jobs) {
+    await this.profiles.load();
+    const outcomes = new Array(jobs.length);
+    let next = 0;
+
+    const worker = async () => {
+      const validator = new SpatialDocumentValidator({
+        ...this.validatorOptions,
+        profiles: this.profiles,
+      });
+      await validator.initialize(this.modelPath);
+
+      try {
+        while (next < jobs.length) {
+          const index = next++;
+          outcomes[index] = await this.validateJob(validator, jobs[index]);
+          this.onResult(outcomes[index], index, jobs.length);
+        }
+      } finally {
+        validator.destroy();
+      }
+    };
+
+    const workerCount = Math.min(this.concurrency, jobs.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    BatchRunner.crossCheckIdNumbers(outcomes);
+    return outcomes;
+  }
+
+  async validateJob(validator, job) {
+    const startTime = Date.now();
+    const result = await validator.validateDocument(job.file, job.caseModel);
+
+    return {
+      file: path.basename(job.file),
+      caseId: job.caseModel.caseId,
+      product: job.caseModel.product || "pl",
+      durationMs: Date.now() - startTime,
+      expectedFields: this.getExpectedFields(job.caseModel),
+      result,
+    };
+  }
+
+  /**
+   * Fields the profile validates for this case, mirroring the optional-field skip.
+   * Documents that error out still count against every expected field
+   */
+  getExpectedFields(caseModel) {
+    let profile;
+    try {
+      profile = this.profiles.get(caseModel.product || "pl");
+    } catch {
+      return [];
+    }
+
+    return Object.entries(profile.fields)
+      .filter(
+        ([field, config]) =>
+          config.required ||
+          (caseModel[field] !== undefined && caseModel[field] !== null)
+      )
+      .map(([field]) => field);
+  }
+
+  /**
+   * Documents of one case (PAQ, ID copy, debit order) must carry the same
+   * client ID number. A disagreement is added to every document of the case
+   */
+  static crossCheckIdNumbers(outcomes) {
+    const byCase = new Map();
+    for (const outcome of outcomes) {
+      if (!outcome.caseId) continue;
+      if (!byCase.has(outcome.caseId)) byCase.set(outcome.caseId, []);
+      byCase.get(outcome.caseId).push(outcome);
+    }
+
+    for (const [caseId, caseOutcomes] of byCase) {
+      if (caseOutcomes.length < 2) continue;
+
+      const documents = caseOutcomes
+        .map((outcome) => ({
+          file: outcome.file,
+          idNumbers: [
+            ...new Set(
+              (outcome.result.idNumbers || [])
+                .filter((occurrence) => occurrence.valid)
+                .map((occurrence) => occurrence.idNumber)
+            ),
+          ],
+        }))
+        .filter((document) => document.idNumbers.length > 0);
+      if (new Set(documents.flatMap((document) => document.idNumbers)).size < 2) continue;
+
+      const issue = `ID numbers differ across the documents of case ${caseId}: ${documents
+        .map((document) => `${document.file} ${document.idNumbers.join("/")}`)
+        .join(", ")}`;
+      for (const outcome of caseOutcomes) {
+        outcome.result.issues.push(issue);
+        if (outcome.result.status === "VALID") outcome.result.status = "INVALID";
+      }
+    }
+  }
+
+  /**
+   * Per-field found/valid rates across the batch
+   */
+  static buildAccuracyTable(outcomes) {
+    const fields = {};
+
+    for (const outcome of outcomes) {
+      for (const field of outcome.expectedFields) {
+        const fieldResult = outcome.result.fields[field];
+        const stats = (fields[field] ??= { total: 0, found: 0, valid: 0 });
+
+        stats.total++;
+        if (fieldResult && fieldResult.found !== null) stats.found++;
+        if (fieldResult?.valid) stats.valid++;
+      }
+    }
+
+    const totals = { total: 0, found: 0, valid: 0 };
+    for (const stats of Object.values(fields)) {
+      stats.accuracy = stats.total > 0 ? stats.valid / stats.total : 0;
+      totals.total += stats.total;
+      totals.found += stats.found;
+      totals.valid += stats.valid;
+    }
+    totals.accuracy = totals.total > 0 ? totals.valid / totals.total : 0;
+
+    return { fields, overall: totals };
+  }
+}
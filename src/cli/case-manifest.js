@@ -0,0 +1,168 @@
+import { promises as fs } from "node:fs";
+import path from "path";
+
+// Case model types that are compared numerically; everything else stays a string
+const NUMERIC_TYPES = ["currency", "percentage", "decimal", "integer"];
+
+// The caseId as a whole token of the file name: "10016998899_paq.pdf" is case
+// 10016998899, never case 1001
+function namesCase(fileName, caseId) {
+  const escaped = caseId.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`).test(
+    path.basename(fileName, path.extname(fileName))
+  );
+}
+
+/**
+ * Case Manifest
+ * Loads case models for batch validation from a CSV or JSON file and
+ * matches them to PDFs by filename or by the caseId in the filename
+ */
+export default class CaseManifest {
+  constructor(entries = []) {
+    this.entries = entries;
+  }
+
+  /**
+   * CSV: header row of caseModel keys, optional "file" column
+   * JSON: array of case models, or an object keyed by filename or caseId
+   */
+  static async load(manifestPath, profiles) {
+    const content = await fs.readFile(manifestPath, "utf8");
+    const extension = path.extname(manifestPath).toLowerCase();
+
+    let rows;
+    if (extension === ".json") {
+      rows = CaseManifest.fromJson(JSON.parse(content));
+    } else if (extension === ".csv") {
+      rows = CaseManifest.parseCsv(content);
+    } else {
+      throw new Error(`Unsupported manifest format: ${extension} (use .csv or .json)`);
+    }
+
+    await profiles.load();
+    return new CaseManifest(rows.map((row) => CaseManifest.toEntry(row, profiles)));
+  }
+
+  static fromJson(data) {
+    if (Array.isArray(data)) return data;
+
+    return Object.entries(data).map(([key, caseModel]) =>
+      key.toLowerCase().endsWith(".pdf")
+        ? { file: key, ...caseModel }
+        : { caseId: key, ...caseModel }
+    );
+  }
+
+  static parseCsv(content) {
+    const records = [];
+    let record = [];
+    let value = "";
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        record.push(value);
+        value = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && content[i + 1] === "\n") i++;
+        record.push(value);
+        records.push(record);
+        record = [];
+        value = "";
+      } else {
+        value += char;
+      }
+    }
+
+    if (value !== "" || record.length > 0) {
+      record.push(value);
+      records.push(record);
+    }
+
+    const [header, ...rows] = records.filter((r) => r.some((cell) => cell.trim() !== ""));
+    if (!header) return [];
+
+    const keys = header.map((key) => key.trim());
+    return rows.map((cells) =>
+      Object.fromEntries(
+        keys
+          .map((key, index) => [key, (cells[index] ?? "").trim()])
+          .filter(([, cell]) => cell !== "")
+      )
+    );
+  }
+
+  /**
+   * Coerce values using the product profile field types so caseId and account
+   * numbers keep their leading zeros while amounts become numbers
+   */
+  static toEntry(row, profiles) {
+    const { file, ...caseModel } = row;
+    const profile = profiles.get(caseModel.product || "pl");
+
+    for (const [key, value] of Object.entries(caseModel)) {
+      if (typeof value !== "string") continue;
+
+      const type = profile.fields[key]?.type;
+      if (NUMERIC_TYPES.includes(type)) {
+        const number = Number(value.replace(/[R\s,%]/g, ""));
+        if (Number.isNaN(number)) {
+          throw new Error(`Manifest case ${caseModel.caseId || file}: ${key} is not a number ("${value}")`);
+        }
+        caseModel[key] = number;
+      } else if (value === "true" || value === "false") {
+        caseModel[key] = value === "true";
+      }
+    }
+
+    if (caseModel.caseId !== undefined) caseModel.caseId = String(caseModel.caseId);
+
+    return { file: file || null, caseModel };
+  }
+
+  /**
+   * Pair PDFs with case models: exact filename first, then the caseId as a
+   * delimited token of the filename
+   */
+  match(pdfFiles) {
+    const jobs = [];
+    const unmatchedFiles = [];
+    const used = new Set();
+
+    for (const file of pdfFiles) {
+      const name = path.basename(file);
+      const entry =
+        this.entries.find((e) => e.file && path.basename(e.file) === name) ||
+        this.entries.find(
+          (e) => !e.file && e.caseModel.caseId && namesCase(name, e.caseModel.caseId)
+        );
+
+      if (entry) {
+        used.add(entry);
+        jobs.push({ file, caseModel: entry.caseModel });
+      } else {
+        unmatchedFiles.push(name);
+      }
+    }
+
+    const missingDocuments = this.entries
+      .filter((entry) => !used.has(entry))
+      .map((entry) => entry.file || entry.caseModel.caseId);
+
+    return { jobs, unmatchedFiles, missingDocuments };
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Arithmetic relationships between amounts on the same agreement table
+ * e.g. instalment × term ≈ total repayable, payout + initiation fee ≈ credit advanced
+ */
+export const CHECK_OPERATIONS = {
+  sum: { symbol: "+", apply: (values) => values.reduce((a, b) => a + b, 0) },
+  product: { symbol: "×", apply: (values) => values.reduce((a, b) => a * b, 1) },
+};
+
+/**
+ * Consistency Checker
+ * Evaluates declarative profile checks against supporting values extracted per page
+ */
+export default class ConsistencyChecker {
+  constructor(checks = []) {
+    this.checks = checks;
+  }
+
+  /**
+   * @param {Object<number, Object<string, number>>} valuesByPage - supporting values keyed by page
+   * @returns {Array} one entry per check and page that had every operand
+   */
+  evaluate(valuesByPage) {
+    const outcomes = [];
+
+    for (const check of this.checks) {
+      const names = [...check.operands, check.equals];
+      let evaluated = false;
+
+      for (const [pageIndex, values] of Object.entries(valuesByPage)) {
+        if (!names.every((name) => typeof values[name] === "number")) continue;
+
+        evaluated = true;
+        outcomes.push(this.evaluateCheck(check, values, Number(pageIndex)));
+      }
+
+      if (!evaluated) {
+        outcomes.push({
+          name: check.name,
+          description: check.description,
+          status: "SKIPPED",
+          reason: `operands not found on any page: ${names.join(", ")}`,
+        });
+      }
+    }
+
+    return outcomes;
+  }
+
+  evaluateCheck(check, values, pageIndex) {
+    const operation = CHECK_OPERATIONS[check.operation];
+    const operands = check.operands.map((name) => values[name]);
+    const computed = Math.round(operation.apply(operands) * 100) / 100;
+    const actual = values[check.equals];
+    const difference = Math.round(Math.abs(computed - actual) * 100) / 100;
+
+    return {
+      name: check.name,
+      description: check.description,
+      status: difference <= check.tolerance ? "CONSISTENT" : "DISCREPANCY",
+      pageIndex,
+      expression: `${operands.join(` ${operation.symbol} `)} = ${computed}`,
+      computed,
+      actual,
+      difference,
+      tolerance: check.tolerance,
+    };
+  }
+}
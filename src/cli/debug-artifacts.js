@@ -0,0 +1,194 @@
+import { promises as fs } from "node:fs";
+import path from "path";
+import logger from "./logger.js";
+
+const log = logger.child({ component: "debug-artifacts" });
+
+const DEFAULT_ROOT_DIR = "debug_output";
+const DEFAULT_KEEP_RUNS = 10;
+
+let sharedRun = null;
+
+// Case ids and file names become directory names
+function toSafeName(value) {
+  return String(value ?? "unknown").replace(/[^\w.-]+/g, "_");
+}
+
+/**
+ * Debug Artifacts
+ * Opt-in store for intermediate boxes, page images and logs. Each process run
+ * gets its own directory under rootDir, so concurrent runs never overwrite each
+ * other, and only the newest keepRuns run directories are kept
+ *
+ *   debug_output/<runId>/<caseId>/<document>/index.json
+ *
+ * Environment: DEBUG_ARTIFACTS (1|true), DEBUG_ARTIFACTS_DIR, DEBUG_ARTIFACTS_KEEP_RUNS
+ */
+export default class DebugArtifacts {
+  constructor(options = {}) {
+    this.enabled =
+      options.enabled ?? ["1", "true"].includes(process.env.DEBUG_ARTIFACTS);
+    this.rootDir =
+      options.rootDir || process.env.DEBUG_ARTIFACTS_DIR || DEFAULT_ROOT_DIR;
+    this.keepRuns = Math.max(
+      1,
+      options.keepRuns ||
+        Number.parseInt(process.env.DEBUG_ARTIFACTS_KEEP_RUNS, 10) ||
+        DEFAULT_KEEP_RUNS
+    );
+    // Timestamp first so run directories sort chronologically
+    this.runId =
+      options.runId ||
+      `${new Date().toISOString().replace(/[:.]/g, "-")}_${process.pid}`;
+    this.runDir = path.join(this.rootDir, this.runId);
+    this.preparePromise = null;
+  }
+
+  /**
+   * Process-wide run shared by every validator. Options only apply on first use
+   */
+  static shared(options = {}) {
+    if (!sharedRun) {
+      sharedRun = new DebugArtifacts(options);
+    }
+    return sharedRun;
+  }
+
+  /**
+   * Create the run directory and prune old runs, once per run
+   */
+  prepare() {
+    if (!this.preparePromise) {
+      this.preparePromise = fs
+        .mkdir(this.runDir, { recursive: true })
+        .then(() => this.applyRetention());
+    }
+    return this.preparePromise;
+  }
+
+  async applyRetention() {
+    const entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+    const runs = entries
+      .filter((entry) => entry.isDirectory() && entry.name !== this.runId)
+      .map((entry) => entry.name)
+      .sort();
+
+    // The current run counts towards keepRuns
+    const expired = runs.slice(0, Math.max(0, runs.length - (this.keepRuns - 1)));
+    for (const run of expired) {
+      await fs.rm(path.join(this.rootDir, run), { recursive: true, force: true });
+    }
+
+    if (expired.length > 0) {
+      log.debug(`🧹 Removed ${expired.length} old debug run(s) from ${this.rootDir}`);
+    }
+  }
+
+  forCase(caseId, document) {
+    return new CaseArtifacts(this, caseId, document);
+  }
+}
+
+/**
+ * Artifacts for one document of one case. Every write is a no-op while the run
+ * is disabled. writeIndex() links each artifact to the field decisions it
+ * informed: artifacts tagged with fields belong to those fields, untagged ones
+ * (e.g. the merged boxes) to every field
+ */
+export class CaseArtifacts {
+  constructor(run, caseId, document) {
+    this.run = run;
+    this.enabled = run.enabled;
+    this.caseId = caseId ?? null;
+    this.document = document ?? null;
+    this.dir = path.join(run.runDir, toSafeName(caseId), toSafeName(document));
+    this.artifacts = [];
+    this.decisions = {};
+    this.ready = null;
+  }
+
+  async ensureDir() {
+    if (!this.ready) {
+      this.ready = this.run
+        .prepare()
+        .then(() => fs.mkdir(this.dir, { recursive: true }));
+    }
+    return this.ready;
+  }
+
+  /**
+   * Register a written file; returns its path
+   */
+  record(name, meta) {
+    const filePath = path.join(this.dir, name);
+    this.artifacts.push({
+      name,
+      kind: meta.kind || "data",
+      description: meta.description || null,
+      pageIndex: meta.pageIndex ?? null,
+      fields: meta.fields || [],
+      createdAt: new Date().toISOString(),
+    });
+    return filePath;
+  }
+
+  async writeJson(name, data, meta = {}) {
+    return this.writeFile(name, JSON.stringify(data, null, 2), {
+      kind: "data",
+      ...meta,
+    });
+  }
+
+  async writeFile(name, contents, meta = {}) {
+    if (!this.enabled) return null;
+    await this.ensureDir();
+    const filePath = this.record(name, meta);
+    await fs.writeFile(filePath, contents);
+    return filePath;
+  }
+
+  /**
+   * Write a sharp pipeline to disk; the pipeline is only executed when enabled,
+   * or with meta.force for outputs requested on their own (result overlays)
+   */
+  async writeImage(name, pipeline, meta = {}) {
+    if (!this.enabled && !meta.force) return null;
+    await this.ensureDir();
+    const { force, ...artifactMeta } = meta;
+    const filePath = this.record(name, { kind: "image", ...artifactMeta });
+    await pipeline.toFile(filePath);
+    return filePath;
+  }
+
+  recordDecision(field, decision) {
+    this.decisions[field] = decision;
+  }
+
+  artifactsForField(field) {
+    return this.artifacts
+      .filter((artifact) => artifact.fields.length === 0 || artifact.fields.includes(field))
+      .map((artifact) => artifact.name);
+  }
+
+  async writeIndex() {
+    if (!this.enabled || this.artifacts.length === 0) return null;
+
+    const decisions = {};
+    for (const [field, decision] of Object.entries(this.decisions)) {
+      decisions[field] = { ...decision, artifacts: this.artifactsForField(field) };
+    }
+
+    const index = {
+      runId: this.run.runId,
+      caseId: this.caseId,
+      document: this.document,
+      writtenAt: new Date().toISOString(),
+      artifacts: this.artifacts,
+      decisions,
+    };
+
+    const indexPath = path.join(this.dir, "index.json");
+    await fs.writeFile(indexPath, JSON.stringify(index, null, 2));
+    return indexPath;
+  }
+}
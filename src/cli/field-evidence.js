@@ -0,0 +1,216 @@
+// Label candidates kept per field, best score first
+const MAX_LABEL_CANDIDATES = 5;
+
+function toBbox(box) {
+  if (!box) return null;
+  return {
+    x: Math.round(box.x * 100) / 100,
+    y: Math.round(box.y * 100) / 100,
+    width: Math.round(box.width * 100) / 100,
+    height: Math.round(box.height * 100) / 100,
+    pageIndex: box.pageIndex ?? null,
+  };
+}
+
+function describeBox(box) {
+  if (!box?.bbox) return box?.text ? `"${box.text}"` : "-";
+  return `"${box.text}" p${box.bbox.pageIndex + 1} (${box.bbox.x}, ${box.bbox.y})`;
+}
+
+/**
+ * Field Evidence
+ * Why the validator decided what it did for one field: the label it matched,
+ * every candidate value it parsed (with bbox, validation diff and why it lost)
+ * and the rule that picked the winner
+ */
+export default class FieldEvidence {
+  constructor(field, fieldConfig, expected) {
+    this.field = field;
+    this.expected = expected ?? null;
+    this.type = fieldConfig.type;
+    this.tolerance = fieldConfig.tolerance;
+    this.stages = [];
+    this.stage = null;
+    this.label = null;
+    this.labelCandidates = [];
+    this.labels = [];
+    this.candidates = [];
+    this.winner = null;
+  }
+
+  /**
+   * Search stage being run ("direct", "line", "multi_table", "single_table", "zone")
+   */
+  startStage(stage) {
+    this.stages.push(stage);
+    this.stage = stage;
+  }
+
+  addLabelCandidate(box, score, matchType, pattern) {
+    const existing = this.labelCandidates.find((candidate) => candidate.box === box);
+    if (existing) {
+      if (score <= existing.score) return;
+      Object.assign(existing, { score, matchType, pattern });
+    } else {
+      this.labelCandidates.push({ box, score, matchType, pattern });
+    }
+
+    this.labelCandidates.sort((a, b) => b.score - a.score);
+    this.labelCandidates.length = Math.min(
+      this.labelCandidates.length,
+      MAX_LABEL_CANDIDATES
+    );
+  }
+
+  setLabel(labelBox) {
+    this.label = labelBox
+      ? {
+          text: labelBox.text,
+          matchedLabel: labelBox.matchedLabel || null,
+          matchType: labelBox.matchType || null,
+          score: labelBox.matchScore ?? null,
+          bbox: toBbox(labelBox),
+        }
+      : null;
+  }
+
+  // Multi-table search matches every instance of the label, one per table
+  setLabels(labelBoxes) {
+    this.labels = labelBoxes.map((labelBox, tableIndex) => ({
+      tableIndex,
+      text: labelBox.text,
+      score: labelBox.matchScore ?? null,
+      bbox: toBbox(labelBox),
+    }));
+  }
+
+  /**
+   * Record a parsed candidate value; returns it so the caller can reject or select it
+   */
+  addCandidate(box, value, details = {}) {
+    const candidate = {
+      stage: this.stage || null,
+      text: box?.text ?? null,
+      value,
+      bbox: toBbox(box),
+      ...details,
+      status: "considered",
+      reason: null,
+    };
+    this.candidates.push(candidate);
+    return candidate;
+  }
+
+  reject(candidate, reason) {
+    if (!candidate) return;
+    candidate.status = "rejected";
+    candidate.reason = reason;
+  }
+
+  // Candidates of the current stage that the winning rule passed over
+  rejectRemaining(reason) {
+    for (const candidate of this.candidates) {
+      if (candidate.stage === this.stage && candidate.status === "considered") {
+        this.reject(candidate, reason);
+      }
+    }
+  }
+
+  select(candidate, rule) {
+    if (!candidate) return;
+    candidate.status = "selected";
+    candidate.reason = rule;
+    this.winner = {
+      stage: candidate.stage,
+      value: candidate.value,
+      text: candidate.text,
+      bbox: candidate.bbox,
+      rule,
+    };
+  }
+
+  toJSON() {
+    return {
+      field: this.field,
+      expected: this.expected,
+      type: this.type,
+      tolerance: this.tolerance,
+      stages: this.stages,
+      label: this.label,
+      labelCandidates: this.labelCandidates.map(({ box, ...candidate }) => ({
+        text: box.text,
+        ...candidate,
+        bbox: toBbox(box),
+      })),
+      labels: this.labels,
+      candidates: this.candidates,
+      winner: this.winner,
+    };
+  }
+
+  /**
+   * Human readable report for one field's evidence (plain object from toJSON)
+   */
+  static formatReport(evidence, result = null) {
+    const lines = [];
+    const verdict = !result
+      ? "NOT FOUND"
+      : result.valid
+      ? "VALID"
+      : "INVALID";
+
+    lines.push(
+      `${evidence.field} [${verdict}] expected ${evidence.expected} (${evidence.type}, tolerance ${evidence.tolerance})`
+    );
+    lines.push(`  Stages: ${evidence.stages.join(" → ") || "none"}`);
+
+    if (evidence.label) {
+      const label = evidence.label;
+      lines.push(
+        `  Label: ${describeBox(label)} score ${label.score?.toFixed(3) ?? "-"} (${label.matchType || "-"} on "${label.matchedLabel || "-"}")`
+      );
+    } else if (evidence.labels.length === 0) {
+      lines.push("  Label: none matched");
+    }
+
+    for (const label of evidence.labels) {
+      lines.push(`  Table ${label.tableIndex + 1} label: ${describeBox(label)}`);
+    }
+
+    const otherLabels = evidence.labelCandidates.filter(
+      (candidate) =>
+        JSON.stringify(candidate.bbox) !== JSON.stringify(evidence.label?.bbox)
+    );
+    for (const candidate of otherLabels) {
+      lines.push(
+        `    other label: ${describeBox(candidate)} score ${candidate.score.toFixed(3)} (${candidate.matchType})`
+      );
+    }
+
+    if (evidence.candidates.length === 0) {
+      lines.push("  Candidates: none parsed");
+    } else {
+      lines.push(`  Candidates (${evidence.candidates.length}):`);
+    }
+    for (const candidate of evidence.candidates) {
+      const icon =
+        candidate.status === "selected" ? "✅" : candidate.status === "rejected" ? "❌" : "·";
+      const validation = candidate.validation
+        ? ` valid=${candidate.validation.valid} diff=${candidate.validation.difference ?? "-"}`
+        : "";
+      lines.push(
+        `    ${icon} [${candidate.stage}] ${candidate.value} from ${describeBox(candidate)}${validation}${
+          candidate.reason ? ` - ${candidate.reason}` : ""
+        }`
+      );
+    }
+
+    lines.push(
+      evidence.winner
+        ? `  Winner: ${evidence.winner.value} by rule "${evidence.winner.rule}"`
+        : "  Winner: none"
+    );
+
+    return lines.join("\n");
+  }
+}
@@ -0,0 +1,297 @@
+import Fuse from "fuse.js";
+import { fuzzy } from "fast-fuzzy";
+
+// Courtesy titles are printed on the PAQ but not held in the case model
+const TITLES = new Set(["mr", "mrs", "ms", "miss", "mx", "dr", "prof", "adv", "rev"]);
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Label words must match at least this well (OCR reads "Client" as "Ctient")
+const LABEL_MATCH = 0.8;
+
+// Address words within this Fuse score count as present (0 is exact)
+const ADDRESS_WORD_MATCH = 0.3;
+
+// A line starting with another "Label:" ends a wrapped value
+const LABEL_START = /^[A-Za-z][A-Za-z/()' ]{1,40}:/;
+
+// Parts of an address that carry their own label on the PAQ
+const ADDRESS_SUB_LABEL = /\b(?:postcode|postal code)\s*:\s*/gi;
+
+function words(text) {
+  return text
+    .toLowerCase()
+    .replace(/:/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function nameWords(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z\s'-]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !TITLES.has(word.replace(/\.$/, "")));
+}
+
+function addressWords(text) {
+  return String(text)
+    .replace(ADDRESS_SUB_LABEL, " ")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    // Postcodes are written "04820" and "4820"
+    .map((word) => (/^\d+$/.test(word) ? word.replace(/^0+(?=\d)/, "") : word));
+}
+
+export function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function monthNumber(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Header Fields
+ * Parsing and comparison for the client and quote header of a PAQ: names and
+ * addresses are matched fuzzily (titles, word order and OCR slips forgiven),
+ * phone numbers and dates are normalised before an exact comparison
+ *
+ * Tolerances per type:
+ * - name, address: largest allowed dissimilarity (1 - similarity)
+ * - phone, code: allowed edit distance
+ * - date: allowed difference in days
+ */
+export default class HeaderFields {
+  /**
+   * How well a text run starts with a label, and what follows it on the run
+   * e.g. "Client ID no: 8702150972084" for "Client ID no" → { score: 1, rest: "8702150972084" }
+   *
+   * @returns {Object|null} { score, rest }
+   */
+  static matchLabel(text, label) {
+    const labelWords = words(label);
+    const textWords = text.trim().split(/\s+/);
+    if (labelWords.length === 0 || textWords.length < labelWords.length) return null;
+
+    const head = words(textWords.slice(0, labelWords.length).join(" ")).join(" ");
+    const score = fuzzy(labelWords.join(" "), head, { useSellers: false });
+    if (score < LABEL_MATCH) return null;
+
+    return {
+      score,
+      rest: textWords.slice(labelWords.length).join(" ").replace(/^:\s*/, "").trim(),
+    };
+  }
+
+  /**
+   * Another label starts the text; address sub-labels such as "Postcode:" do not count
+   */
+  static startsLabel(text) {
+    return LABEL_START.test(text) && !/^(?:postcode|postal code)\s*:/i.test(text);
+  }
+
+  /**
+   * Value as the document shows it, tidied for the report, or null when the text holds none
+   */
+  static parse(text, type) {
+    switch (type) {
+      case "name": {
+        const name = text.replace(/[^A-Za-z\s'.-]/g, " ").replace(/\s+/g, " ").trim();
+        return nameWords(name).length > 0 ? name : null;
+      }
+
+      case "address": {
+        const address = text
+          .replace(ADDRESS_SUB_LABEL, "")
+          .replace(/\s+,/g, ",")
+          .replace(/,+\s*$/, "")
+          .replace(/\s+/g, " ")
+          .trim();
+        return address || null;
+      }
+
+      case "phone":
+        return HeaderFields.normalisePhone(text);
+
+      case "date":
+        return HeaderFields.normaliseDate(text);
+
+      case "code": {
+        // Consultant and merchant numbers mix letters and digits ("NB306504")
+        const token = text.match(/\b[A-Za-z]{0,4}\d{4,}\b/);
+        return token ? token[0].toUpperCase() : null;
+      }
+
+      default:
+        return text.trim() || null;
+    }
+  }
+
+  /**
+   * @returns {Object} { valid, confidence, difference } plus the expected words
+   *   an address is missing
+   */
+  static compare(found, expected, type, tolerance) {
+    switch (type) {
+      case "name": {
+        const similarity = HeaderFields.nameSimilarity(found, expected);
+        const valid = 1 - similarity <= tolerance;
+        return { valid, confidence: valid ? similarity : 0, difference: round(1 - similarity) };
+      }
+
+      case "address": {
+        const { similarity, missing } = HeaderFields.addressSimilarity(found, expected);
+        // A wrong house number or postcode is a different address however
+        // many street words still match
+        const valid = 1 - similarity <= tolerance && !missing.some((word) => /\d/.test(word));
+        return { valid, confidence: valid ? similarity : 0, difference: round(1 - similarity), missing };
+      }
+
+      case "phone":
+      case "code": {
+        const normalise = type === "phone" ? HeaderFields.normalisePhone : (value) => String(value).toUpperCase();
+        const expectedValue = normalise(expected) ?? "";
+        const distance = editDistance(normalise(found) ?? "", expectedValue);
+        const valid = distance <= tolerance;
+        return {
+          valid,
+          confidence: valid ? Math.max(0, 1 - distance / Math.max(1, expectedValue.length)) : 0,
+          difference: distance,
+        };
+      }
+
+      case "date": {
+        const foundDate = HeaderFields.normaliseDate(found);
+        const expectedDate = HeaderFields.normaliseDate(expected);
+        if (!foundDate || !expectedDate) return { valid: false, confidence: 0 };
+
+        const days = Math.abs(Date.parse(foundDate) - Date.parse(expectedDate)) / 86400000;
+        const valid = days <= tolerance;
+        return { valid, confidence: valid ? 1 : 0, difference: days };
+      }
+
+      default: {
+        const valid = String(found) === String(expected);
+        return { valid, confidence: valid ? 1 : 0 };
+      }
+    }
+  }
+
+  /**
+   * Best of the names as written and with their words sorted, so
+   * "MAZIBU THOBEKA" still matches "Thobeka Mazibu"
+   */
+  static nameSimilarity(found, expected) {
+    const a = nameWords(found);
+    const b = nameWords(expected);
+    if (a.length === 0 || b.length === 0) return 0;
+
+    const options = { useSellers: false };
+    return Math.max(
+      fuzzy(a.join(" "), b.join(" "), options),
+      fuzzy([...a].sort().join(" "), [...b].sort().join(" "), options)
+    );
+  }
+
+  /**
+   * Share of the expected address words found on the document. Numbers (house
+   * numbers, postcodes) must match exactly and fail the comparison when missing;
+   * words may carry OCR slips
+   */
+  static addressSimilarity(found, expected) {
+    const expectedWords = addressWords(expected);
+    if (expectedWords.length === 0) return { similarity: 0, missing: [] };
+
+    const foundWords = addressWords(found);
+    const fuse = new Fuse(foundWords, { includeScore: true, threshold: ADDRESS_WORD_MATCH });
+    const missing = expectedWords.filter((word) => {
+      if (/\d/.test(word)) return !foundWords.includes(word);
+      const [best] = fuse.search(word);
+      return !best || best.score > ADDRESS_WORD_MATCH;
+    });
+
+    return {
+      similarity: round((expectedWords.length - missing.length) / expectedWords.length),
+      missing,
+    };
+  }
+
+  /**
+   * Local ten-digit form: "+27 78 133 5965", "O78 133 5965" → "0781335965"
+   */
+  static normalisePhone(value) {
+    if (value === null || value === undefined) return null;
+    let digits = String(value)
+      .replace(/[Oo]/g, "0")
+      .replace(/[lI|]/g, "1")
+      .replace(/\D/g, "");
+    if (digits.startsWith("27") && digits.length === 11) digits = `0${digits.slice(2)}`;
+    return digits.length >= 9 ? digits : null;
+  }
+
+  /**
+   * ISO date (YYYY-MM-DD) from the formats PAQs and case models use:
+   * "2023/9/18", "18/9/2023" (day first), "2023-09-18T00:00:00Z", "18 September 2023"
+   * The time of an ISO timestamp is ignored: the date is taken as written.
+   * Date objects give their local calendar date, so a case model date at
+   * midnight SAST stays on its day instead of moving to the UTC one before
+   */
+  static normaliseDate(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime())
+        ? null
+        : toIsoDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+
+    const text = String(value);
+    let match = text.match(
+      /\b(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?(?!\d)/
+    );
+    if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+    if (match) return toIsoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+
+    match = text.match(/\b(\d{1,2})\s+([A-Za-z]{3,})\.?,?\s+(\d{4})\b/);
+    if (match && monthNumber(match[2])) {
+      return toIsoDate(Number(match[3]), monthNumber(match[2]), Number(match[1]));
+    }
+
+    match = text.match(/\b([A-Za-z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+    if (match && monthNumber(match[1])) {
+      return toIsoDate(Number(match[3]), monthNumber(match[1]), Number(match[2]));
+    }
+
+    return null;
+  }
+}
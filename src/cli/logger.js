@@ -0,0 +1,130 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { mkdirSync, openSync, writeSync } from "node:fs";
+import path from "path";
+import util from "node:util";
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LEVEL_LABELS = { debug: "DEBUG", info: "INFO ", warn: "WARN ", error: "ERROR" };
+
+// Leading emoji are for humans; JSON consumers get the plain message
+const LEADING_ICONS = /^[\p{Extended_Pictographic}\u{FE0F}\u{200D}\s]+/u;
+
+// Correlation context (caseId, document, ...) that follows async calls
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn with extra log context; nested calls inherit and extend the outer context
+ */
+export function withLogContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Logger
+ * Levelled records with case correlation and field context. Console output is
+ * pretty text or JSON lines (LOG_FORMAT), LOG_FILE appends JSON lines
+ *
+ * Environment: LOG_LEVEL (debug|info|warn|error), LOG_FORMAT (pretty|json), LOG_FILE
+ */
+export class Logger {
+  constructor(options = {}, sinks = null) {
+    this.context = options.context || {};
+    this.sinks = sinks || {
+      level: LOG_LEVELS[options.level] ? options.level : "info",
+      format: options.format === "json" ? "json" : "pretty",
+      fileDescriptor: options.file ? Logger.openLogFile(options.file) : null,
+    };
+  }
+
+  static openLogFile(file) {
+    mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    return openSync(file, "a");
+  }
+
+  /**
+   * Logger that adds fixed context (e.g. component) to every record
+   */
+  child(context) {
+    return new Logger({ context: { ...this.context, ...context } }, this.sinks);
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.sinks.level];
+  }
+
+  /**
+   * Build a record and emit it if the level is enabled. The record is returned
+   * either way so callers can keep a full debug trail
+   */
+  write(level, message, fields = {}) {
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      msg: String(message),
+      ...contextStorage.getStore(),
+      ...this.context,
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) record[key] = value;
+    }
+
+    if (this.isLevelEnabled(level)) {
+      this.emit(record);
+    }
+    return record;
+  }
+
+  emit(record) {
+    const stream = LOG_LEVELS[record.level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+
+    if (this.sinks.format === "json") {
+      stream.write(Logger.toJsonLine(record));
+    } else {
+      stream.write(Logger.toPrettyLine(record));
+    }
+
+    if (this.sinks.fileDescriptor !== null) {
+      writeSync(this.sinks.fileDescriptor, Logger.toJsonLine(record));
+    }
+  }
+
+  static toJsonLine(record) {
+    return JSON.stringify({ ...record, msg: record.msg.replace(LEADING_ICONS, "") }) + "\n";
+  }
+
+  static toPrettyLine(record) {
+    const { time, level, msg, ...context } = record;
+    const contextText = Object.entries(context)
+      .filter(([key]) => key !== "component")
+      .map(([key, value]) => `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`)
+      .join(" ");
+
+    return `[${time}] ${LEVEL_LABELS[level]} ${msg}${contextText ? `  (${contextText})` : ""}\n`;
+  }
+
+  // console-style helpers: arguments are formatted like console.log
+  debug(...args) {
+    return this.write("debug", util.format(...args));
+  }
+
+  info(...args) {
+    return this.write("info", util.format(...args));
+  }
+
+  warn(...args) {
+    return this.write("warn", util.format(...args));
+  }
+
+  error(...args) {
+    return this.write("error", util.format(...args));
+  }
+}
+
+const logger = new Logger({
+  level: process.env.LOG_LEVEL,
+  format: process.env.LOG_FORMAT,
+  file: process.env.LOG_FILE,
+});
+
+export default logger;
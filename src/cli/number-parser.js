@@ -0,0 +1,197 @@
+// Characters OCR returns in place of digits
+export const OCR_DIGITS = {
+  "|": "1",
+  l: "1",
+  O: "0",
+  S: "5",
+  "§": "5",
+  B: "8",
+  Z: "2",
+  G: "6",
+};
+
+const OCR_DIGIT_CHARS = /[|lOS§BZG]/g;
+
+// In free text Z and G are more often letters ("G3.3" clause numbers), so
+// numeric words only take the other confusions
+const WORD_DIGIT_CHARS = /[|lOS§B]/g;
+
+// A word is only read as a number when it holds a real digit, so label words
+// such as "Service" or "multiple" never turn into digits
+const NUMERIC_WORD = /^[-−–(]?R?[\d|lOS§B.,']+(?:%|\)|-)?$/;
+
+// Thousands in groups of three behind one consistent separator, then decimals;
+// otherwise a plain run of digits with optional decimals
+const NUMBER = /(?<![\d.,])(?:\d{1,3}(?:([ ,.'])\d{3}(?!\d))(?:\1\d{3}(?!\d))*(?:[.,]\d+)?|\d+(?:[.,]\d+)?)(?!\d|[.,]\d)/g;
+
+// "R 100", "R-100", "R(100)" but not the R ending "NUMBER 60"
+const CURRENCY_PREFIX = /(?<![A-Za-z])R\s?[-−–(]?\s?$/;
+// The minus sign touches the number or its R, so ranges like "1 - 5" stay positive
+const MINUS_PREFIX = /(?:^|[\s(]|(?<![A-Za-z])R)[-−–](?:R\s?)?$/;
+const OPEN_BRACKET = /\(\s?(?:R\s?)?$/;
+const PERCENT_SUFFIX = /^\s?(?:%|p\.?\s?a\.?(?![a-z]))/i;
+// Credits: "R69.00 CR", "69.00-"
+const CREDIT_SUFFIX = /^(?:\s?(?:CR|Cr)\b|-(?=\s|$))/;
+
+// Readings lose this much confidence per character OCR had to turn into a digit
+const SUBSTITUTION_PENALTY = 0.1;
+// A lone separator before three digits reads as thousands; the decimal reading
+// is kept as an alternate with the remaining confidence
+const AMBIGUOUS_SEPARATOR = 0.75;
+// Amounts with fewer digits are footnote marks and row numbers, not money
+const MIN_CURRENCY_DIGITS = 3;
+// A zero is only money when printed as an amount ("R0.00", "0,00"); a bare 0
+// is a placeholder or row number
+const ZERO_AMOUNT = /^0+[.,]\d{2}$/;
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function toNumber(integer, decimals) {
+  return Number(decimals ? `${integer}.${decimals}` : integer);
+}
+
+/**
+ * Number Parser
+ * Reads amounts, rates and counts the way South African PAQs print them:
+ * "R147 126,58", "R90,640.57", "R3393.49", "29,25% p.a.", "(R1 207.50)" or
+ * "R69.00 CR" for credits. OCR digit confusions (O/0, l/1, S/5, B/8) are fixed
+ * inside numeric words only
+ *
+ * Readings: { value, confidence, alternates, text, index, currency, percentage, negative, standalone }
+ * - confidence: 1 for a clean, unambiguous number, lower per OCR fix and for
+ *   a separator that could be thousands or decimals
+ * - alternates: other values the same text could stand for, each { value, confidence, reason }
+ */
+export default class NumberParser {
+  /**
+   * Best reading of the given type in the text, or null
+   *
+   * @param {string} type - "currency", "percentage", or "decimal"/"integer" for plain numbers
+   */
+  static parse(text, type = "decimal") {
+    const readings = NumberParser.findAll(text);
+
+    switch (type) {
+      case "currency": {
+        const amounts = readings.filter(
+          (reading) =>
+            reading.text.replace(/\D/g, "").length >= MIN_CURRENCY_DIGITS &&
+            (reading.value !== 0 || reading.currency || ZERO_AMOUNT.test(reading.text))
+        );
+        return amounts.find((reading) => reading.currency) || amounts[0] || null;
+      }
+
+      case "percentage":
+        return readings.find((reading) => reading.percentage) || null;
+
+      default:
+        // Labels come first and values last: "Number of instalments 60"; numbers
+        // inside other words ("5)", "18/9/2023") are references, not values
+        return [...readings].reverse().find((reading) => reading.standalone) || null;
+    }
+  }
+
+  /**
+   * Every number in the text, in reading order
+   */
+  static findAll(text) {
+    const { text: cleaned, substituted } = NumberParser.cleanWords(String(text ?? ""));
+    const readings = [];
+
+    for (const match of cleaned.matchAll(NUMBER)) {
+      const before = cleaned.slice(0, match.index);
+      const after = cleaned.slice(match.index + match[0].length);
+      const fixes = substituted.filter(
+        (index) => index >= match.index && index < match.index + match[0].length
+      ).length;
+
+      const { value, alternates, ambiguous } = NumberParser.interpret(match[0], match[1]);
+      const percentage = PERCENT_SUFFIX.test(after);
+      const standalone = /(?:^|\s)$/.test(before) && /^(?:\s|$)/.test(after);
+      const bracketed = OPEN_BRACKET.test(before) && /^\s?\)/.test(after);
+      const negative =
+        MINUS_PREFIX.test(before) || bracketed || (!percentage && CREDIT_SUFFIX.test(after));
+
+      const confidence = Math.max(0, 1 - fixes * SUBSTITUTION_PENALTY);
+      const sign = negative ? -1 : 1;
+      readings.push({
+        value: sign * value,
+        confidence: round(confidence * (ambiguous ? AMBIGUOUS_SEPARATOR : 1)),
+        alternates: alternates.map((alternate) => ({
+          ...alternate,
+          value: sign * alternate.value,
+          confidence: round(confidence * alternate.confidence),
+        })),
+        text: match[0],
+        index: match.index,
+        currency: CURRENCY_PREFIX.test(before),
+        percentage,
+        negative,
+        standalone,
+      });
+    }
+
+    return readings;
+  }
+
+  /**
+   * Value of one number as printed, with the other way its separators could be read
+   * "147 126,58" → 147126.58; "1,234" → 1234, alternate 1.234
+   */
+  static interpret(number, groupSeparator) {
+    const decimal = number.match(/[.,](\d+)$/);
+    // The last separator is the decimal point unless it is the thousands separator itself
+    const decimalSeparator = decimal && number[number.length - decimal[1].length - 1];
+    const hasDecimals = Boolean(decimal) && decimalSeparator !== groupSeparator;
+
+    const integerPart = hasDecimals ? number.slice(0, -decimal[0].length) : number;
+    const integer = integerPart.replace(/[ ,.']/g, "");
+    const value = toNumber(integer, hasDecimals ? decimal[1] : null);
+
+    // "1,234" and "1.234": one separator, three digits after it
+    const ambiguous = /^\d{1,3}[.,]\d{3}$/.test(number);
+    const alternates = ambiguous
+      ? [
+          {
+            value: toNumber(number.slice(0, -4), number.slice(-3)),
+            confidence: 1 - AMBIGUOUS_SEPARATOR,
+            reason: `"${number[number.length - 4]}" as decimal separator`,
+          },
+        ]
+      : [];
+
+    return { value, alternates, ambiguous };
+  }
+
+  /**
+   * Digits for OCR confusions inside numeric words; letters elsewhere are left alone
+   *
+   * @returns {Object} { text, substituted } substituted holds the indexes of changed characters
+   */
+  static cleanWords(text) {
+    const substituted = [];
+    const cleaned = text.replace(/\S+/g, (word, offset) => {
+      if (!NUMERIC_WORD.test(word) || !/\d/.test(word)) return word;
+      // A leading "R" is the currency sign, not a misread digit
+      const prefix = word.match(/^[-−–(]?R?/)[0];
+      return (
+        prefix +
+        word.slice(prefix.length).replace(WORD_DIGIT_CHARS, (char, index) => {
+          substituted.push(offset + prefix.length + index);
+          return OCR_DIGITS[char];
+        })
+      );
+    });
+    return { text: cleaned, substituted };
+  }
+
+  /**
+   * Every OCR confusion turned into its digit, for reference and account numbers
+   * where the whole text is expected to be digits
+   */
+  static ocrDigits(text) {
+    return String(text).replace(OCR_DIGIT_CHARS, (char) => OCR_DIGITS[char]);
+  }
+}
@@ -0,0 +1,171 @@
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "path";
+import { fileURLToPath } from "node:url";
+import { createOCRClient, loadWasmBinary } from "tesseract-wasm/node";
+import logger from "./logger.js";
+
+const log = logger.child({ component: "ocr" });
+
+const DEFAULT_MODEL_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "..",
+  "eng.traineddata"
+);
+
+// Each worker holds its own Tesseract instance (~150MB), so keep the default pool small
+const DEFAULT_POOL_SIZE = Math.min(os.availableParallelism(), 4);
+
+let sharedService = null;
+
+/**
+ * OCR Service
+ * Pool of tesseract-wasm workers (one thread each) that load the WASM binary and
+ * model once per process. Pages queue for the next free worker, so callers can
+ * OCR pages in parallel with Promise.all
+ *
+ * Options: modelPath (OCR_MODEL_PATH), poolSize (OCR_POOL_SIZE)
+ */
+export default class OCRService {
+  constructor(options = {}) {
+    this.modelPath =
+      options.modelPath || process.env.OCR_MODEL_PATH || DEFAULT_MODEL_PATH;
+    this.poolSize = Math.max(
+      1,
+      options.poolSize ||
+        Number.parseInt(process.env.OCR_POOL_SIZE, 10) ||
+        DEFAULT_POOL_SIZE
+    );
+    this.clients = [];
+    this.idleClients = [];
+    this.waiting = [];
+    this.startPromise = null;
+    this.destroyed = false;
+  }
+
+  /**
+   * Process-wide service shared by the validator and DEA. Options only apply
+   * on first use; call OCRService.destroyShared() on shutdown
+   */
+  static shared(options = {}) {
+    if (!sharedService) {
+      sharedService = new OCRService(options);
+    }
+    return sharedService;
+  }
+
+  static async destroyShared() {
+    if (sharedService) {
+      await sharedService.destroy();
+    }
+  }
+
+  start() {
+    if (this.destroyed) {
+      throw new Error("OCR service has been destroyed");
+    }
+    if (!this.startPromise) {
+      this.startPromise = this.startWorkers();
+    }
+    return this.startPromise;
+  }
+
+  async startWorkers() {
+    const startTime = Date.now();
+    const [wasmBinary, model] = await Promise.all([
+      loadWasmBinary(),
+      fs.readFile(this.modelPath),
+    ]);
+
+    this.clients = await Promise.all(
+      Array.from({ length: this.poolSize }, async () => {
+        const client = createOCRClient({ wasmBinary });
+        await client.loadModel(model);
+        return client;
+      })
+    );
+    this.idleClients = [...this.clients];
+
+    log.info(
+      `🔠 OCR service ready: ${this.poolSize} worker(s), model ${path.basename(
+        this.modelPath
+      )} (${Date.now() - startTime}ms)`
+    );
+    return this;
+  }
+
+  acquire() {
+    if (this.idleClients.length > 0) {
+      return Promise.resolve(this.idleClients.pop());
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+    });
+  }
+
+  release(client) {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve(client);
+    } else {
+      this.idleClients.push(client);
+    }
+  }
+
+  async withClient(task) {
+    await this.start();
+    const client = await this.acquire();
+    try {
+      return await task(client);
+    } finally {
+      if (!this.destroyed) this.release(client);
+    }
+  }
+
+  /**
+   * @param {{data: Uint8Array|Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+   * @returns {Promise<Array>} tesseract-wasm text boxes ({ text, bbox, confidence })
+   */
+  recognize(imageData, unit = "word") {
+    return this.withClient(async (client) => {
+      await client.loadImage(imageData);
+      return client.getTextBoxes(unit);
+    });
+  }
+
+  recognizeText(imageData) {
+    return this.withClient(async (client) => {
+      await client.loadImage(imageData);
+      return client.getText();
+    });
+  }
+
+  detectOrientation(imageData) {
+    return this.withClient(async (client) => {
+      await client.loadImage(imageData);
+      return client.getOrientation();
+    });
+  }
+
+  async destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    // Let in-flight startup finish so no worker thread is left behind
+    await this.startPromise?.catch(() => {});
+
+    for (const { reject } of this.waiting) {
+      reject(new Error("OCR service destroyed while waiting for a worker"));
+    }
+    this.waiting = [];
+
+    await Promise.all(this.clients.map((client) => client.destroy()));
+    this.clients = [];
+    this.idleClients = [];
+
+    if (sharedService === this) {
+      sharedService = null;
+    }
+  }
+}
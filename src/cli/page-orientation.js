@@ -0,0 +1,266 @@
+import cv from '@techstark/opencv-js';
+import sharp from 'sharp';
+
+// Pages are analysed at this size: enough for text lines, cheap to rotate repeatedly
+const ANALYSIS_SIZE = 1000;
+
+export const ORIENTATION_DEFAULTS = {
+  // Skew search range and steps, in degrees
+  maxSkew: 10,
+  coarseStep: 1,
+  fineStep: 0.1,
+  // Skew below this is left alone: rotating costs sharpness for nothing
+  minSkew: 0.3,
+  // Rows of the page turned 90° this many times spikier than upright means lines run vertically
+  axisRatio: 1.5,
+  // Ascender ink this many times descender ink (or the inverse) decides up from down
+  flipRatio: 1.2,
+};
+
+function profileVariance(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+}
+
+// Variance relative to the mean over the inked span only, so page margins do not count
+function profileSpikiness(values) {
+  const first = values.findIndex((value) => value > 0);
+  if (first === -1) return 0;
+  const last = values.length - 1 - [...values].reverse().findIndex((value) => value > 0);
+  const span = values.slice(first, last + 1);
+  const mean = span.reduce((sum, value) => sum + value, 0) / span.length;
+  return profileVariance(span) / (mean * mean);
+}
+
+/**
+ * Page Orientation
+ * Finds the right-angle orientation (0/90/180/270) and small skew of a scanned
+ * page with OpenCV.js, produces the upright image for OCR and maps boxes found
+ * on it back to the original page image
+ *
+ * - axis: text lines give a spiky row profile; spikier rows after a 90° turn mean the page lies on its side
+ * - up/down: Latin text and digits have more ink above the x-height band than below it
+ * - skew: the rotation that maximises row profile variance lines the text up with the rows
+ */
+export default class PageOrientation {
+  constructor(options = {}) {
+    this.isOpenCVReady = false;
+    this.settings = { ...ORIENTATION_DEFAULTS, ...options };
+  }
+
+  async initialize() {
+    if (!cv.Mat) {
+      await new Promise(resolve => {
+        cv.onRuntimeInitialized = resolve;
+      });
+    }
+    this.isOpenCVReady = true;
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - page image
+   * @returns {Promise<Object>} { orientation, skew, angle } in degrees clockwise
+   */
+  async detect(imageBuffer) {
+    if (!this.isOpenCVReady) {
+      await this.initialize();
+    }
+
+    const { data, info } = await sharp(imageBuffer)
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize({ width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: 'inside' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const gray = new cv.Mat(info.height, info.width, cv.CV_8UC1);
+    gray.data.set(data.subarray(0, info.width * info.height));
+    let ink = new cv.Mat();
+    cv.threshold(gray, ink, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+    gray.delete();
+
+    try {
+      // Whichever axis lines up sharper rows once deskewed is the reading direction
+      const upright = this.findSkew(ink);
+      const sideways = this.replace(ink.clone(), (src, dst) => cv.rotate(src, dst, cv.ROTATE_90_CLOCKWISE));
+      const turned = this.findSkew(sideways);
+
+      let orientation = 0;
+      let skew = upright.angle;
+      if (turned.spikiness > upright.spikiness * this.settings.axisRatio) {
+        orientation = 90;
+        skew = turned.angle;
+        ink.delete();
+        ink = sideways;
+      } else {
+        sideways.delete();
+      }
+
+      if (Math.abs(skew) < this.settings.minSkew) {
+        skew = 0;
+      } else {
+        ink = this.replace(ink, (src, dst) => this.rotateMat(src, dst, skew));
+      }
+
+      if (this.isUpsideDown(ink)) {
+        orientation = (orientation + 180) % 360;
+      }
+
+      return { orientation, skew, angle: orientation + skew };
+    } finally {
+      ink.delete();
+    }
+  }
+
+  /**
+   * Upright page image plus the transform back to the original page
+   *
+   * @returns {Promise<Object>} { buffer, correction } - correction is null when the page was already upright
+   */
+  async correct(imageBuffer) {
+    const detection = await this.detect(imageBuffer);
+    if (detection.angle === 0) {
+      return { buffer: imageBuffer, correction: null };
+    }
+
+    const original = await sharp(imageBuffer).metadata();
+    const { data, info } = await sharp(imageBuffer)
+      .rotate(detection.angle, { background: '#ffffff' })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      correction: {
+        ...detection,
+        original: { width: original.width, height: original.height },
+        corrected: { width: info.width, height: info.height },
+      },
+    };
+  }
+
+  /**
+   * Axis-aligned box on the original page enclosing a box found on the corrected image
+   */
+  static toOriginal(box, correction) {
+    const radians = (correction.angle * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const { original, corrected } = correction;
+
+    // Undo the clockwise rotation about the image centres (y grows downwards)
+    const corners = [
+      [box.x, box.y],
+      [box.x + box.width, box.y],
+      [box.x, box.y + box.height],
+      [box.x + box.width, box.y + box.height],
+    ].map(([x, y]) => {
+      const dx = x - corrected.width / 2;
+      const dy = y - corrected.height / 2;
+      return [
+        dx * cos + dy * sin + original.width / 2,
+        -dx * sin + dy * cos + original.height / 2,
+      ];
+    });
+
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    const x = Math.max(0, Math.min(...xs));
+    const y = Math.max(0, Math.min(...ys));
+    return {
+      x,
+      y,
+      width: Math.min(original.width, Math.max(...xs)) - x,
+      height: Math.min(original.height, Math.max(...ys)) - y,
+    };
+  }
+
+  profiles(ink) {
+    const rows = new Array(ink.rows).fill(0);
+    const cols = new Array(ink.cols).fill(0);
+    const { data } = ink;
+    for (let row = 0; row < ink.rows; row++) {
+      const offset = row * ink.cols;
+      for (let col = 0; col < ink.cols; col++) {
+        if (data[offset + col]) {
+          rows[row]++;
+          cols[col]++;
+        }
+      }
+    }
+    return { rows, cols };
+  }
+
+  // Rotation within ±maxSkew that gives the spikiest row profile
+  findSkew(ink) {
+    const { maxSkew, coarseStep, fineStep } = this.settings;
+    const score = (angle) => {
+      const rotated = new cv.Mat();
+      this.rotateMat(ink, rotated, angle);
+      const spikiness = profileSpikiness(this.profiles(rotated).rows);
+      rotated.delete();
+      return spikiness;
+    };
+
+    const sweep = (from, to, step) => {
+      let best = { angle: 0, spikiness: -1 };
+      for (let angle = from; angle <= to + 1e-9; angle += step) {
+        const rounded = Math.round(angle * 100) / 100;
+        const spikiness = score(rounded);
+        if (spikiness > best.spikiness) best = { angle: rounded, spikiness };
+      }
+      return best;
+    };
+
+    const coarse = sweep(-maxSkew, maxSkew, coarseStep);
+    return sweep(coarse.angle - coarseStep, coarse.angle + coarseStep, fineStep);
+  }
+
+  // Clockwise rotation about the centre, same size, background stays empty
+  rotateMat(src, dst, angle) {
+    const centre = new cv.Point(src.cols / 2, src.rows / 2);
+    // OpenCV angles are counter-clockwise
+    const matrix = cv.getRotationMatrix2D(centre, -angle, 1);
+    cv.warpAffine(src, dst, matrix, new cv.Size(src.cols, src.rows), cv.INTER_NEAREST, cv.BORDER_CONSTANT, new cv.Scalar(0));
+    matrix.delete();
+  }
+
+  /**
+   * Splits the row profile into text lines and compares the ink above and below
+   * each line's dense x-height band: ascenders and capitals outweigh descenders when upright
+   */
+  isUpsideDown(ink) {
+    const { rows } = this.profiles(ink);
+    const lineThreshold = Math.max(...rows) * 0.05;
+    let above = 0;
+    let below = 0;
+
+    let start = null;
+    for (let row = 0; row <= rows.length; row++) {
+      const inLine = row < rows.length && rows[row] > lineThreshold;
+      if (inLine && start === null) start = row;
+      if (!inLine && start !== null) {
+        const line = rows.slice(start, row);
+        // Single rules and merged paragraphs say nothing about letter shapes
+        if (line.length >= 4 && line.length <= 60) {
+          const peak = Math.max(...line);
+          const bandStart = line.findIndex((count) => count >= peak * 0.5);
+          const bandEnd = line.length - 1 - [...line].reverse().findIndex((count) => count >= peak * 0.5);
+          above += line.slice(0, bandStart).reduce((sum, count) => sum + count, 0);
+          below += line.slice(bandEnd + 1).reduce((sum, count) => sum + count, 0);
+        }
+        start = null;
+      }
+    }
+
+    return below > above * this.settings.flipRatio;
+  }
+
+  // Runs an OpenCV operation into a new Mat and frees the old one
+  replace(src, operation) {
+    const dst = new cv.Mat();
+    operation(src, dst);
+    src.delete();
+    return dst;
+  }
+}
@@ -238,6 +238,20 @@ export const plCollection = {
       position: 'right',
     },
   },
+  branchCode: {
+    label: ['Branch code'],
+    value: {
+      type: 'single',
+      position: 'right',
+    },
+  },
+  accountType: {
+    label: ['Type of account', 'Account type'],
+    value: {
+      type: 'single',
+      position: 'right',
+    },
+  },
 }
 
 export const ccFields = {
@@ -0,0 +1,227 @@
+import { promises as fs } from "node:fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+import * as paqDefinitions from "./paq.js";
+import { CHECK_OPERATIONS } from "./consistency-checks.js";
+
+const DEFAULT_PROFILE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "profiles"
+);
+
+/**
+ * Default tolerance per field type, used when a profile entry does not declare one
+ */
+export const DEFAULT_TOLERANCES = {
+  currency: 0.05,
+  percentage: 0.01,
+  decimal: 0.01,
+  integer: 0,
+  reference: 0,
+  account: 1,
+  name: 0.15,
+  address: 0.25,
+  phone: 0,
+  date: 0,
+  code: 0,
+  idNumber: 0,
+  branchCode: 0,
+  accountType: 0,
+};
+
+/**
+ * Client and quote header printed on every PAQ, validated for each product
+ * unless its profile sets header: false. Optional, so case models without
+ * these keys skip them
+ */
+export const PAQ_HEADER_FIELDS = {
+  quoteRefNo: { labelSet: "paqFields.quoteRefNo", type: "reference", required: false, searchStrategy: "line" },
+  clientName: { labelSet: "paqFields.clientName", type: "name", required: false, searchStrategy: "line" },
+  clientAddress: { labelSet: "paqFields.clientAddress", type: "address", required: false, searchStrategy: "line" },
+  clientContactNo: { labelSet: "paqFields.clientContact", type: "phone", required: false, searchStrategy: "line" },
+  clientIdNo: { labelSet: "paqFields.clientID", type: "idNumber", required: false, searchStrategy: "line" },
+  quoteDate: { labelSet: "paqFields.date", type: "date", required: false, searchStrategy: "line" },
+  consultantNo: { labelSet: "paqFields.consultantNo", type: "code", required: false, searchStrategy: "line" },
+};
+
+// "line" reads the rest of the label's line (and wrapped lines for addresses)
+const SEARCH_STRATEGIES = ["direct", "right", "line"];
+const MULTI_TABLE_MODES = [false, "staff"];
+
+/**
+ * Product Profile Registry
+ * Loads declarative product profiles (JS or JSON) that map paq.js label sets
+ * to caseModel keys, so new fields only need a profile entry
+ */
+export default class ProductProfileRegistry {
+  constructor(options = {}) {
+    this.directories = options.directories || [DEFAULT_PROFILE_DIR];
+    this.profiles = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Load every *.js and *.json profile from the configured directories
+   * Later directories override earlier ones for the same product
+   */
+  async load() {
+    if (this.loaded) return this;
+
+    for (const directory of this.directories) {
+      const files = (await fs.readdir(directory)).sort();
+
+      for (const file of files) {
+        const filePath = path.join(directory, file);
+        const extension = path.extname(file);
+
+        if (extension === ".json") {
+          const profile = JSON.parse(await fs.readFile(filePath, "utf8"));
+          this.register(profile, filePath);
+        } else if (extension === ".js" || extension === ".mjs") {
+          const module = await import(pathToFileURL(filePath).href);
+          this.register(module.default, filePath);
+        }
+      }
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Validate a profile and resolve its label sets into a field mapping
+   */
+  register(profile, source = "inline") {
+    if (!profile || !profile.product || !profile.fields) {
+      throw new Error(`Invalid product profile in ${source}: product and fields are required`);
+    }
+
+    const product = profile.product.toLowerCase();
+    const fields = {};
+    const entries = {
+      ...(profile.header === false ? {} : PAQ_HEADER_FIELDS),
+      ...profile.fields,
+    };
+
+    for (const [fieldName, entry] of Object.entries(entries)) {
+      fields[fieldName] = this.resolveField(product, fieldName, entry);
+    }
+
+    // Supporting fields are extracted without a case model value, only for consistency checks
+    const supportingFields = {};
+    for (const [fieldName, entry] of Object.entries(profile.supportingFields || {})) {
+      supportingFields[fieldName] = this.resolveField(product, fieldName, entry);
+    }
+
+    const consistencyChecks = (profile.consistencyChecks || []).map((check) =>
+      this.resolveConsistencyCheck(product, check, supportingFields)
+    );
+
+    this.profiles.set(product, {
+      product,
+      description: profile.description || product.toUpperCase(),
+      source,
+      fields,
+      supportingFields,
+      consistencyChecks,
+    });
+  }
+
+  resolveField(product, fieldName, entry) {
+    const type = entry.type;
+    if (!(type in DEFAULT_TOLERANCES)) {
+      throw new Error(`Profile ${product}: field ${fieldName} has unsupported type "${type}"`);
+    }
+
+    const searchStrategy = entry.searchStrategy || "right";
+    if (!SEARCH_STRATEGIES.includes(searchStrategy)) {
+      throw new Error(`Profile ${product}: field ${fieldName} has unsupported search strategy "${searchStrategy}"`);
+    }
+
+    const multiTable = entry.multiTable || false;
+    if (!MULTI_TABLE_MODES.includes(multiTable)) {
+      throw new Error(`Profile ${product}: field ${fieldName} has unsupported multi-table mode "${multiTable}"`);
+    }
+
+    const labels = [
+      ...this.resolveLabelSets(product, fieldName, entry.labelSet),
+      ...(entry.labels || []),
+    ];
+    if (labels.length === 0) {
+      throw new Error(`Profile ${product}: field ${fieldName} declares no labels`);
+    }
+
+    return {
+      labels,
+      type,
+      tolerance: entry.tolerance ?? DEFAULT_TOLERANCES[type],
+      required: entry.required ?? true,
+      searchStrategy,
+      multiTable,
+      zone: entry.zone || null,
+      // Case model key naming the bank that account, branch code and account type fields are checked against
+      bankFrom: entry.bankFrom || null,
+      // Bank the account is held at when the product fixes it and the case model does not name one
+      bank: entry.bank || null,
+    };
+  }
+
+  resolveConsistencyCheck(product, check, supportingFields) {
+    if (!(check.operation in CHECK_OPERATIONS)) {
+      throw new Error(`Profile ${product}: check ${check.name} has unsupported operation "${check.operation}"`);
+    }
+
+    if (!Array.isArray(check.operands) || check.operands.length < 2) {
+      throw new Error(`Profile ${product}: check ${check.name} needs at least two operands`);
+    }
+
+    for (const name of [...check.operands, check.equals]) {
+      if (!(name in supportingFields)) {
+        throw new Error(`Profile ${product}: check ${check.name} references unknown supporting field "${name}"`);
+      }
+    }
+
+    return {
+      name: check.name,
+      description: check.description || check.name,
+      operation: check.operation,
+      operands: check.operands,
+      equals: check.equals,
+      tolerance: check.tolerance ?? DEFAULT_TOLERANCES.currency,
+    };
+  }
+
+  /**
+   * Resolve "plFields.PayoutAmount" style references against paq.js exports
+   */
+  resolveLabelSets(product, fieldName, labelSet) {
+    if (!labelSet) return [];
+
+    const references = Array.isArray(labelSet) ? labelSet : [labelSet];
+    return references.flatMap((reference) => {
+      const [setName, key] = reference.split(".");
+      const definition = paqDefinitions[setName]?.[key];
+
+      if (!definition) {
+        throw new Error(`Profile ${product}: field ${fieldName} references unknown label set "${reference}"`);
+      }
+
+      return definition.label;
+    });
+  }
+
+  get(product) {
+    const profile = this.profiles.get((product || "").toLowerCase());
+    if (!profile) {
+      throw new Error(
+        `Unsupported product for validation: ${product} (profiles: ${[...this.profiles.keys()].join(", ")})`
+      );
+    }
+    return profile;
+  }
+
+  list() {
+    return [...this.profiles.values()];
+  }
+}
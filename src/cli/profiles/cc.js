@@ -0,0 +1,53 @@
+/**
+ * Credit Card PAQ validation profile
+ * Total card facility is validated against the case model loan amount
+ */
+export default {
+  product: "cc",
+  description: "Credit Card",
+  fields: {
+    caseId: {
+      labelSet: "paqFields.caseRefNo",
+      type: "reference",
+      tolerance: 0,
+      required: true,
+      searchStrategy: "direct",
+    },
+    loanAmount: {
+      labelSet: "ccFields.TotalCardFacility",
+      type: "currency",
+      tolerance: 0.05,
+      required: true,
+      searchStrategy: "right",
+    },
+    initiationFee: {
+      labelSet: "ccFields.InitiationFeeChargedUpfront",
+      type: "currency",
+      tolerance: 0.05,
+      required: true,
+      searchStrategy: "right",
+    },
+    serviceFee: {
+      labelSet: "ccFields.MonthlyServiceFeeIncludedInThe",
+      type: "currency",
+      tolerance: 0.05,
+      required: true,
+      searchStrategy: "right",
+    },
+    interestRate: {
+      labelSet: "ccFields.TheContractRateAtTheTimeOfThisQuotation",
+      type: "percentage",
+      tolerance: 0.01,
+      required: true,
+      searchStrategy: "right",
+    },
+    collectionAccountNo: {
+      labelSet: "ccCollection.accountNo",
+      type: "account",
+      tolerance: 1,
+      required: true,
+      searchStrategy: "right",
+      bankFrom: "collectionBank",
+    },
+  },
+};
@@ -0,0 +1,76 @@
+/**
+ * Overdraft PAQ validation profile
+ * Credit advanced is validated against the case model loan amount
+ */
+export default {
+  product: "od",
+  description: "Overdraft",
+  fields: {
+    caseId: {
+      labelSet: "paqFields.caseRefNo",
+      type: "reference",
+      tolerance: 0,
+      required: true,
+      searchStrategy: "direct",
+    },
+    accountNo: {
+      labelSet: "odFields.AccountNumber",
+      type: "account",
+      tolerance: 1,
+      required: true,
+      searchStrategy: "right",
+      // The overdraft is a facility on the client's own Nedbank cheque account,
+      // so the case model carries no bank for it
+      bank: "Nedbank",
+    },
+    loanAmount: {
+      labelSet: "odFields.CreditAdvanced",
+      type: "currency",
+      tolerance: 0.05,
+      required: true,
+      searchStrategy: "right",
+    },
+    totalInterestAndFees: {
+      labelSet: "odFields.TotalInterestAndFees",
+      type: "currency",
+      tolerance: 0.05,
+      required: false,
+      searchStrategy: "right",
+    },
+    serviceFee: {
+      labelSet: "odFields.MonthlyFacilityFeeIncludingVat",
+      type: "currency",
+      tolerance: 0.05,
+      required: true,
+      searchStrategy: "right",
+    },
+    creditCostMultiple: {
+      labelSet: "odFields.CreditCostMultipleRatioOfTotalCostOf",
+      type: "decimal",
+      tolerance: 0.01,
+      required: false,
+      searchStrategy: "right",
+    },
+    numberOfInstalments: {
+      labelSet: "odFields.NumberOfInstalments",
+      type: "integer",
+      tolerance: 0,
+      required: false,
+      searchStrategy: "right",
+    },
+    interestRate: {
+      labelSet: "odFields.AnnualInterestRateContractualVariable",
+      type: "percentage",
+      tolerance: 0.01,
+      required: true,
+      searchStrategy: "right",
+    },
+    primeRateFactor: {
+      labelSet: "odFields.ContractualPrimeRateFactorAboveOr",
+      type: "percentage",
+      tolerance: 0.01,
+      required: false,
+      searchStrategy: "right",
+    },
+  },
+};
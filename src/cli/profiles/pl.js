@@ -0,0 +1,112 @@
+/**
+ * Personal Loan PAQ validation profile
+ * Zones are OCR pixel coordinates of the financial table on scanned PAQs (scale 3)
+ * Supporting fields feed the arithmetic consistency checks and have no case model value
+ */
+export default {
+  product: "pl",
+  description: "Personal Loan",
+  fields: {
+    caseId: {
+      labelSet: "paqFields.caseRefNo",
+      type: "reference",
+      tolerance: 0,
+      required: true,
+      searchStrategy: "direct",
+    },
+    loanAmount: {
+      labelSet: "plFields.PayoutAmount",
+      type: "currency",
+      tolerance: 0.05,
+      required: true,
+      searchStrategy: "right",
+      zone: { x: 400, y: 1450, width: 400, height: 150 },
+    },
+    instalment: {
+      labelSet: "plFields.MonthlyInstalmentIncludingInterest",
+      type: "currency",
+      tolerance: 0.05,
+      required: true,
+      searchStrategy: "right",
+      multiTable: "staff",
+      zone: { x: 1200, y: 1650, width: 300, height: 100 },
+    },
+    interestRate: {
+      labelSet: "plFields.AnnualInterestRateFixed",
+      type: "percentage",
+      tolerance: 0.01,
+      required: true,
+      searchStrategy: "right",
+      zone: { x: 1200, y: 2000, width: 200, height: 80 },
+    },
+    insurancePremium: {
+      labelSet: "plInsurance.creditLife",
+      type: "currency",
+      tolerance: 0.05,
+      required: true,
+      searchStrategy: "right",
+      multiTable: "staff",
+      zone: { x: 1200, y: 1950, width: 300, height: 100 },
+    },
+    collectionAccountNo: {
+      labelSet: "plCollection.accountNo",
+      type: "account",
+      tolerance: 1,
+      required: true,
+      searchStrategy: "right",
+      bankFrom: "collectionBank",
+      zone: { x: 1200, y: 2150, width: 300, height: 80 },
+    },
+    collectionBranchCode: {
+      labelSet: "plCollection.branchCode",
+      type: "branchCode",
+      required: false,
+      searchStrategy: "right",
+      bankFrom: "collectionBank",
+    },
+    collectionAccountType: {
+      labelSet: "plCollection.accountType",
+      type: "accountType",
+      required: false,
+      searchStrategy: "right",
+    },
+  },
+  supportingFields: {
+    payoutAmount: { labelSet: "plFields.PayoutAmount", type: "currency" },
+    initiationFee: { labelSet: "plFields.InitiationFee", type: "currency" },
+    creditAdvanced: {
+      labelSet: "plFields.CreditAdvancedIncludingTheInitiation",
+      type: "currency",
+    },
+    monthlyInstalment: {
+      labelSet: "plFields.MonthlyInstalmentIncludingInterest",
+      type: "currency",
+    },
+    numberOfInstalments: {
+      labelSet: "plFields.NumberOfMonthlyInstalments",
+      type: "integer",
+    },
+    totalOfAllInstalments: {
+      labelSet: "plFields.TotalOfAllMonthlyInstalments",
+      type: "currency",
+    },
+  },
+  consistencyChecks: [
+    {
+      name: "totalRepayable",
+      description: "Monthly instalment × number of instalments = total of all instalments",
+      operation: "product",
+      operands: ["monthlyInstalment", "numberOfInstalments"],
+      equals: "totalOfAllInstalments",
+      tolerance: 1.0, // instalments are rounded to the cent before multiplying
+    },
+    {
+      name: "creditAdvanced",
+      description: "Payout amount + initiation fee = credit advanced",
+      operation: "sum",
+      operands: ["payoutAmount", "initiationFee"],
+      equals: "creditAdvanced",
+      tolerance: 0.05,
+    },
+  ],
+};
@@ -0,0 +1,148 @@
+const NUMERIC_TYPES = ["currency", "percentage", "decimal", "integer"];
+
+// Metric drops smaller than this are floating point noise, not regressions
+const METRIC_EPSILON = 0.0001;
+
+/**
+ * Regression Report
+ * Scores validator results against labelled ground truth and diffs two runs
+ *
+ * Per field and document type (digital / scanned):
+ * - precision: extracted values that equal the labelled document value / values extracted
+ * - recall: extracted values that equal the labelled document value / labelled fields
+ * - falseAccepts / falseRejects: validity verdicts that disagree with the label
+ */
+export default class RegressionReport {
+  /**
+   * @param {Array} samples - labelled samples ({ id, documentType, expected })
+   * @param {Array} outcomes - BatchRunner outcomes in the same order as samples
+   * @param {ProductProfileRegistry} profiles - loaded registry, for field types
+   */
+  static build(samples, outcomes, profiles) {
+    const sampleRecords = samples.map((sample, index) =>
+      RegressionReport.scoreSample(sample, outcomes[index], profiles)
+    );
+
+    const metrics = {};
+    for (const record of sampleRecords) {
+      for (const [field, score] of Object.entries(record.fields)) {
+        for (const group of [record.documentType, "all"]) {
+          const stats = ((metrics[group] ??= {})[field] ??= {
+            total: 0,
+            found: 0,
+            correct: 0,
+            falseAccepts: 0,
+            falseRejects: 0,
+          });
+
+          stats.total++;
+          if (score.found !== null) stats.found++;
+          if (score.correct) stats.correct++;
+          if (score.predictedValid && !score.expectedValid) stats.falseAccepts++;
+          if (!score.predictedValid && score.expectedValid) stats.falseRejects++;
+        }
+      }
+    }
+
+    for (const fields of Object.values(metrics)) {
+      for (const stats of Object.values(fields)) {
+        stats.precision = stats.found > 0 ? stats.correct / stats.found : 0;
+        stats.recall = stats.total > 0 ? stats.correct / stats.total : 0;
+      }
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      sampleCount: sampleRecords.length,
+      metrics,
+      samples: sampleRecords,
+    };
+  }
+
+  static scoreSample(sample, outcome, profiles) {
+    const result = outcome.result;
+    const profile = profiles.get(sample.caseModel.product || "pl");
+    const fields = {};
+
+    for (const [field, truth] of Object.entries(sample.expected)) {
+      const fieldResult = result.fields?.[field];
+      const found = fieldResult?.found ?? null;
+      const config = profile.fields[field] || { type: "reference", tolerance: 0 };
+
+      fields[field] = {
+        expected: truth.value,
+        found,
+        correct:
+          found !== null &&
+          RegressionReport.valuesMatch(found, truth.value, config.type, config.tolerance),
+        expectedValid: truth.valid,
+        predictedValid: Boolean(fieldResult?.valid),
+      };
+    }
+
+    return {
+      id: sample.id,
+      file: outcome.file,
+      // The validator's own classification wins; the label covers documents that error out
+      documentType: result.documentType || sample.documentType || "unknown",
+      status: result.status,
+      fields,
+    };
+  }
+
+  static valuesMatch(found, expected, type, tolerance) {
+    if (NUMERIC_TYPES.includes(type)) {
+      return Math.abs(Number(found) - Number(expected)) <= tolerance + METRIC_EPSILON;
+    }
+
+    const normalize = (value) => String(value).replace(/[^0-9a-z]/gi, "").toLowerCase();
+    return normalize(found) === normalize(expected);
+  }
+
+  /**
+   * Compare against a previous report: metric drops and fields that stopped
+   * matching their label are regressions
+   */
+  static diff(current, previous) {
+    const regressions = [];
+    const improvements = [];
+
+    if (!previous) return { regressions, improvements };
+
+    for (const [group, fields] of Object.entries(current.metrics)) {
+      for (const [field, stats] of Object.entries(fields)) {
+        const before = previous.metrics?.[group]?.[field];
+        if (!before) continue;
+
+        for (const metric of ["precision", "recall"]) {
+          const delta = stats[metric] - before[metric];
+          const entry = { group, field, metric, before: before[metric], after: stats[metric] };
+          if (delta < -METRIC_EPSILON) regressions.push(entry);
+          else if (delta > METRIC_EPSILON) improvements.push(entry);
+        }
+      }
+    }
+
+    const previousSamples = new Map((previous.samples || []).map((s) => [s.id, s]));
+    for (const sample of current.samples) {
+      const before = previousSamples.get(sample.id);
+      if (!before) continue;
+
+      for (const [field, score] of Object.entries(sample.fields)) {
+        const beforeScore = before.fields[field];
+        if (!beforeScore || beforeScore.correct === score.correct) continue;
+
+        const entry = {
+          sample: sample.id,
+          field,
+          expected: score.expected,
+          before: beforeScore.found,
+          after: score.found,
+        };
+        (score.correct ? improvements : regressions).push(entry);
+      }
+    }
+
+    return { regressions, improvements };
+  }
+}
@@ -0,0 +1,165 @@
+import sharp from "sharp";
+
+const COLORS = {
+  valid: "#16a34a",
+  invalid: "#dc2626",
+  zone: "#2563eb",
+};
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Result Overlay
+ * Draws validation decisions on the page images from extractPDFPagesToImages:
+ * label boxes dashed, chosen value boxes solid, green when the field is valid
+ * and red when it failed, plus the signature zones and their verdicts and
+ * possible alterations
+ */
+export default class ResultOverlay {
+  /**
+   * Shapes to draw, grouped by page. Field boxes are in document coordinates
+   * (PDF points for digital and mixed packs, pixels for scanned packs) and are
+   * scaled to the page image; signature zones are already in image pixels
+   *
+   * @param {Object} result - spatialFieldSearch result (fields, evidence)
+   * @param {Array} signatureZones - zones from calculateSignatureZones
+   * @param {Array} signatures - detectSignatures verdicts, matched to zones by name
+   * @param {Array} alterations - AlterationDetector findings, bbox in image pixels
+   */
+  static collectShapes(result, signatureZones = [], signatures = [], alterations = []) {
+    const shapesByPage = {};
+    const add = (pageIndex, shape) => {
+      (shapesByPage[pageIndex ?? 0] ??= []).push(shape);
+    };
+
+    for (const [field, fieldResult] of Object.entries(result.fields || {})) {
+      const color = fieldResult.valid ? COLORS.valid : COLORS.invalid;
+
+      // OCR boxes read on a corrected (upright) page carry their original position
+      if (fieldResult.labelBox) {
+        add(fieldResult.labelBox.pageIndex, {
+          box: fieldResult.labelBox.original ?? fieldResult.labelBox,
+          color,
+          dashed: true,
+          space: "document",
+        });
+      }
+      if (fieldResult.valueBox) {
+        add(fieldResult.valueBox.pageIndex, {
+          box: fieldResult.valueBox.original ?? fieldResult.valueBox,
+          color,
+          space: "document",
+          caption: `${field}: ${fieldResult.found}${fieldResult.valid ? "" : ` (expected ${fieldResult.expected})`}`,
+        });
+      }
+    }
+
+    // Fields that were never found still show the label the search settled on
+    for (const [field, evidence] of Object.entries(result.evidence || {})) {
+      if (result.fields?.[field] || !evidence.label?.bbox) continue;
+      add(evidence.label.bbox.pageIndex, {
+        box: evidence.label.bbox,
+        color: COLORS.invalid,
+        dashed: true,
+        space: "document",
+        caption: `${field}: not found`,
+      });
+    }
+
+    // Zones with a verdict are coloured like fields: green signed, red missing
+    for (const zone of signatureZones) {
+      const verdict = signatures.find((signature) => signature.name === zone.name);
+      add(zone.pageIndex, {
+        box: zone.bounds,
+        color: !verdict
+          ? COLORS.zone
+          : verdict.present
+            ? COLORS.valid
+            : COLORS.invalid,
+        space: "image",
+        caption: verdict
+          ? `${zone.name}: ${verdict.present ? "present" : "absent"} (${verdict.confidence})`
+          : zone.name,
+      });
+    }
+
+    for (const alteration of alterations) {
+      add(alteration.pageIndex, {
+        box: alteration.bbox,
+        color: COLORS.invalid,
+        dashed: true,
+        space: "image",
+        caption: `possible ${alteration.type.replace("_", "-")}`,
+      });
+    }
+
+    return shapesByPage;
+  }
+
+  static toSvg(shapes, image, documentScale) {
+    const strokeWidth = Math.max(2, Math.round(image.width / 800));
+    const fontSize = strokeWidth * 7;
+    const elements = [];
+
+    for (const shape of shapes) {
+      const scale = shape.space === "document" ? documentScale : 1;
+      const x = shape.box.x * scale;
+      const y = shape.box.y * scale;
+      const width = Math.max(1, shape.box.width * scale);
+      const height = Math.max(1, shape.box.height * scale);
+      const dash = shape.dashed
+        ? ` stroke-dasharray="${strokeWidth * 3},${strokeWidth * 2}"`
+        : "";
+
+      elements.push(
+        `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${shape.color}" fill-opacity="0.08" stroke="${shape.color}" stroke-width="${strokeWidth}"${dash}/>`
+      );
+      if (shape.caption) {
+        elements.push(
+          `<text x="${x}" y="${Math.max(fontSize, y - strokeWidth * 2)}" font-family="sans-serif" font-size="${fontSize}" fill="${shape.color}">${escapeXml(shape.caption)}</text>`
+        );
+      }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${image.width}" height="${image.height}">${elements.join("")}</svg>`;
+  }
+
+  /**
+   * Write one annotated PNG per page image that has something to draw
+   *
+   * @param {Array} extractedImages - { pageIndex, buffer, width, height }
+   * @param {Object} shapesByPage - from collectShapes
+   * @param {Object} pdfData - page sizes; pages without pageInfo are already in pixels
+   * @param {CaseArtifacts} artifacts - run and document the overlays are written for
+   * @returns {Promise<Array>} { pageIndex, filePath, shapes }
+   */
+  static async render(extractedImages, shapesByPage, pdfData, artifacts) {
+    const overlays = [];
+
+    for (const image of extractedImages) {
+      const shapes = shapesByPage[image.pageIndex];
+      if (!shapes || shapes.length === 0) continue;
+
+      const pageWidth = pdfData?.pages?.[image.pageIndex]?.pageInfo?.width;
+      const documentScale = pageWidth ? image.width / pageWidth : 1;
+      const svg = ResultOverlay.toSvg(shapes, image, documentScale);
+
+      // Overlays are asked for on their own, so they are written without DEBUG_ARTIFACTS
+      const filePath = await artifacts.writeImage(
+        `page${image.pageIndex + 1}_overlay.png`,
+        sharp(image.buffer).composite([{ input: Buffer.from(svg), top: 0, left: 0 }]).png(),
+        {
+          description: "Validation decisions drawn on the page",
+          pageIndex: image.pageIndex,
+          force: true,
+        }
+      );
+
+      overlays.push({ pageIndex: image.pageIndex, filePath, shapes: shapes.length });
+    }
+
+    return overlays;
+  }
+}
@@ -0,0 +1,126 @@
+// YYMMDD SSSS C A Z, printed run together or grouped "870215 0972 08 4"
+const ID_NUMBER_PATTERN = /(?<!\d)\d{6}\s?\d{4}\s?\d{2}\s?\d(?!\d)/g;
+
+// Sequence numbers below this are issued to women, from it to men
+const MALE_SEQUENCE = 5000;
+
+const CITIZENSHIP = {
+  0: "citizen",
+  1: "permanent_resident",
+  2: "refugee",
+};
+
+function digitsOf(value) {
+  return String(value ?? "").replace(/\s/g, "");
+}
+
+/**
+ * South African ID Number
+ * Checks the Luhn digit of a 13-digit ID number and decodes the date of birth,
+ * gender and citizenship it carries. Shared by the PAQ validator ("Client ID
+ * no") and the DEA classifier (ID copies in deceased estate packs)
+ */
+export default class SAIdNumber {
+  /**
+   * @param {string} value - 13 digits, spaces allowed
+   * @param {Object} options - { today } reference date for the century of the birth year
+   * @returns {Object} { idNumber, valid, checksumValid, dateOfBirth, gender, citizenship, errors }
+   */
+  static parse(value, { today = new Date() } = {}) {
+    const idNumber = digitsOf(value);
+    const result = {
+      idNumber,
+      valid: false,
+      checksumValid: false,
+      dateOfBirth: null,
+      gender: null,
+      citizenship: null,
+      errors: [],
+    };
+
+    if (!/^\d{13}$/.test(idNumber)) {
+      result.errors.push("not 13 digits");
+      return result;
+    }
+
+    result.checksumValid = SAIdNumber.luhn(idNumber);
+    if (!result.checksumValid) result.errors.push("checksum digit does not match");
+
+    result.dateOfBirth = SAIdNumber.dateOfBirth(idNumber, today);
+    if (!result.dateOfBirth) result.errors.push("date of birth is not a real date");
+
+    result.gender = Number(idNumber.slice(6, 10)) < MALE_SEQUENCE ? "female" : "male";
+
+    result.citizenship = CITIZENSHIP[idNumber[10]] ?? null;
+    if (!result.citizenship) result.errors.push(`unknown citizenship digit ${idNumber[10]}`);
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Luhn check over all 13 digits: every second digit from the right is doubled
+   */
+  static luhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * ISO date of birth; two-digit years later than this year belong to the 1900s
+   */
+  static dateOfBirth(idNumber, today = new Date()) {
+    const yy = Number(idNumber.slice(0, 2));
+    const month = Number(idNumber.slice(2, 4));
+    const day = Number(idNumber.slice(4, 6));
+    const year = 2000 + yy > today.getFullYear() ? 1900 + yy : 2000 + yy;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Every ID-shaped number in free text, parsed
+   */
+  static find(text, options = {}) {
+    return [...String(text).matchAll(ID_NUMBER_PATTERN)].map((match) => ({
+      ...SAIdNumber.parse(match[0], options),
+      index: match.index,
+    }));
+  }
+
+  /**
+   * Document ID number against the case model's. A single differing digit that
+   * breaks the checksum of a valid expected number is most likely an OCR misread
+   *
+   * @returns {Object} { valid, confidence, difference, idNumber, expectedIdNumber, likelyMisread }
+   */
+  static compare(found, expected, tolerance = 0) {
+    const idNumber = SAIdNumber.parse(found);
+    const expectedIdNumber = SAIdNumber.parse(expected);
+    const expectedDigits = expectedIdNumber.idNumber;
+    const difference =
+      idNumber.idNumber.length === expectedDigits.length
+        ? [...idNumber.idNumber].filter((digit, i) => digit !== expectedDigits[i]).length
+        : Math.max(idNumber.idNumber.length, expectedDigits.length);
+
+    const valid = idNumber.valid && difference <= tolerance;
+    return {
+      valid,
+      confidence: valid ? 1 - difference / 13 : 0,
+      difference,
+      idNumber,
+      expectedIdNumber,
+      likelyMisread: difference === 1 && !idNumber.checksumValid && expectedIdNumber.valid,
+    };
+  }
+}
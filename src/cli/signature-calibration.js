@@ -0,0 +1,149 @@
+import SignatureDetector from "./signature-detector.js";
+
+// Mark thresholds swept for every candidate: 0.01 .. 0.99
+const MARK_THRESHOLD_STEPS = Array.from({ length: 99 }, (_, i) => (i + 1) / 100);
+
+// Scoring parameters swept around the defaults; Canny pairs stay as configured
+const GRID = {
+  edgeShare: [0.5, 0.6, 0.7, 0.8, 0.9],
+  textureScale: [500, 1000, 2000, 4000, 8000],
+  edgeWeightScale: [0.5, 1, 2, 4],
+};
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Signature Calibration
+ * Replays raw ROI measurements (SignatureDetector.measureImage) under candidate
+ * thresholds and picks the set that best separates signed from blank ROIs
+ *
+ * Per candidate the mark threshold is swept into an ROC curve:
+ * - tpr: signed ROIs detected / signed ROIs
+ * - fpr: blank ROIs detected / blank ROIs
+ * - accuracy: correct verdicts / all ROIs
+ * The winner has the highest accuracy, then Youden's J (tpr - fpr), then AUC;
+ * its mark threshold is the middle of the thresholds that reach that score
+ */
+export default class SignatureCalibration {
+  /**
+   * @param {Array} measurements - { file, signed, edgeAnalysis, textureAnalysis }
+   * @param {SignatureDetector} detector - scores measurements under candidate thresholds
+   */
+  static calibrate(measurements, detector) {
+    const signed = measurements.filter((m) => m.signed).length;
+    const blank = measurements.length - signed;
+    if (signed === 0 || blank === 0) {
+      throw new Error(
+        `Calibration needs signed and blank ROIs (got ${signed} signed, ${blank} blank)`
+      );
+    }
+
+    let best = null;
+    for (const thresholds of SignatureCalibration.candidates(detector.thresholds)) {
+      const scores = measurements.map((m) => ({
+        signed: m.signed,
+        confidence: detector.combineAnalysis(m.edgeAnalysis, m.textureAnalysis, thresholds),
+      }));
+      const roc = SignatureCalibration.roc(scores);
+      const point = SignatureCalibration.bestPoint(roc);
+      const auc = SignatureCalibration.auc(roc);
+
+      const candidate = { thresholds: { ...thresholds, markThreshold: point.threshold }, point, auc, roc, scores };
+      if (!best || SignatureCalibration.compare(candidate, best) > 0) best = candidate;
+    }
+
+    return {
+      calibratedAt: new Date().toISOString(),
+      samples: { signed, blank },
+      accuracy: best.point.accuracy,
+      tpr: best.point.tpr,
+      fpr: best.point.fpr,
+      auc: best.auc,
+      thresholds: best.thresholds,
+      roc: best.roc,
+      misclassified: measurements
+        .map((m, index) => ({
+          file: m.file,
+          signed: m.signed,
+          confidence: round(best.scores[index].confidence),
+        }))
+        .filter((m) => m.confidence > best.point.threshold !== m.signed),
+    };
+  }
+
+  static *candidates(base) {
+    for (const edgeShare of GRID.edgeShare) {
+      for (const textureScale of GRID.textureScale) {
+        for (const edgeWeightScale of GRID.edgeWeightScale) {
+          yield SignatureDetector.mergeThresholds({
+            ...base,
+            textureScale,
+            combineWeights: { edge: edgeShare, texture: round(1 - edgeShare, 2) },
+            edgeWeights: Object.fromEntries(
+              Object.entries(base.edgeWeights).map(([scale, weight]) => [
+                scale,
+                weight * edgeWeightScale,
+              ])
+            ),
+          });
+        }
+      }
+    }
+  }
+
+  static roc(scores) {
+    const positives = scores.filter((s) => s.signed).length;
+    const negatives = scores.length - positives;
+
+    return MARK_THRESHOLD_STEPS.map((threshold) => {
+      let truePositives = 0;
+      let falsePositives = 0;
+      for (const score of scores) {
+        if (score.confidence <= threshold) continue;
+        if (score.signed) truePositives++;
+        else falsePositives++;
+      }
+      const trueNegatives = negatives - falsePositives;
+
+      return {
+        threshold,
+        tpr: round(truePositives / positives),
+        fpr: round(falsePositives / negatives),
+        accuracy: round((truePositives + trueNegatives) / scores.length),
+      };
+    });
+  }
+
+  // Middle of the best plateau leaves the most margin on both sides
+  static bestPoint(roc) {
+    const youden = (point) => point.tpr - point.fpr;
+    const accuracy = Math.max(...roc.map((point) => point.accuracy));
+    const atAccuracy = roc.filter((point) => point.accuracy === accuracy);
+    const j = Math.max(...atAccuracy.map(youden));
+    const plateau = atAccuracy.filter((point) => youden(point) === j);
+    return plateau[Math.floor((plateau.length - 1) / 2)];
+  }
+
+  // Trapezoid area under the curve, closed at (0, 0) and (1, 1)
+  static auc(roc) {
+    const points = [{ fpr: 1, tpr: 1 }, ...roc, { fpr: 0, tpr: 0 }].sort(
+      (a, b) => a.fpr - b.fpr || a.tpr - b.tpr
+    );
+    let area = 0;
+    for (let i = 1; i < points.length; i++) {
+      area += ((points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr)) / 2;
+    }
+    return round(area);
+  }
+
+  static compare(a, b) {
+    return (
+      a.point.accuracy - b.point.accuracy ||
+      a.point.tpr - a.point.fpr - (b.point.tpr - b.point.fpr) ||
+      a.auc - b.auc
+    );
+  }
+}
@@ -1,14 +1,87 @@
 import cv from '@techstark/opencv-js';
 import sharp from 'sharp';
+import { promises as fs } from 'node:fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Runs per zone on every validation, so its trail is debug only
+const log = logger.child({ component: 'signature' });
+
+// Mark detection thresholds; a calibrated profile (see src/calibrate-signatures.js) overrides them
+export const DEFAULT_THRESHOLDS = {
+  // Canny hysteresis pairs: fine for digital text and small marks, coarse for stamps
+  canny: { fine: [20, 60], medium: [50, 120], coarse: [80, 160] },
+  edgeWeights: { fine: 25, medium: 15, coarse: 10 },
+  significantEdges: 0.05,
+  // Laplacian variance that counts as full texture confidence
+  textureScale: 2000,
+  textureContent: 0.1,
+  combineWeights: { edge: 0.7, texture: 0.3 },
+  agreementBonus: 0.1,
+  // Combined confidence above which a zone holds a mark
+  markThreshold: 0.15,
+};
+
+export const DEFAULT_THRESHOLDS_PATH = path.join(process.cwd(), 'signature-thresholds.json');
+
+// Specimen comparison: signatures are normalised to this height before feature extraction
+const COMPARISON_HEIGHT = 200;
+
+// Weights of the three similarity measures and the verdict bands over their sum
+const COMPARISON_DEFAULTS = {
+  weights: { features: 0.5, shape: 0.3, aspect: 0.2 },
+  matchThreshold: 0.6,
+  mismatchThreshold: 0.45,
+  // Two genuine signatures rarely share more than a third of their ORB keypoints
+  fullMatchShare: 0.3,
+  // Fewer ORB keypoints or ink pixels than this makes any verdict a guess
+  minKeypoints: 15,
+  minInkRatio: 0.005,
+  ratioTest: 0.75,
+};
 
 /**
  * Advanced Signature Detection using OpenCV.js
  * Detects ANY visual mark in signature/initial areas using edge detection and texture analysis
  */
 export default class SignatureDetector {
-  constructor() {
+  constructor(options = {}) {
     this.isOpenCVReady = false;
-    this.debugMode = true;
+    // ROI debug images go to a DebugArtifacts case store when one is given
+    this.artifacts = options.artifacts || null;
+    // Explicit thresholds win over the profile file loaded in initialize()
+    this.thresholds = SignatureDetector.mergeThresholds(options.thresholds);
+    this.thresholdsPath =
+      options.thresholdsPath || process.env.SIGNATURE_THRESHOLDS || DEFAULT_THRESHOLDS_PATH;
+    this.thresholdsSource = options.thresholds ? 'options' : 'defaults';
+  }
+
+  static mergeThresholds(overrides = {}) {
+    return {
+      ...DEFAULT_THRESHOLDS,
+      ...overrides,
+      canny: { ...DEFAULT_THRESHOLDS.canny, ...overrides.canny },
+      edgeWeights: { ...DEFAULT_THRESHOLDS.edgeWeights, ...overrides.edgeWeights },
+      combineWeights: { ...DEFAULT_THRESHOLDS.combineWeights, ...overrides.combineWeights },
+    };
+  }
+
+  /**
+   * Load a thresholds profile written by the calibration command.
+   * A missing file keeps the defaults; a malformed one is an error
+   */
+  async loadThresholds(filePath = this.thresholdsPath) {
+    let profile;
+    try {
+      profile = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw new Error(`Invalid signature thresholds profile ${filePath}: ${error.message}`);
+    }
+
+    this.thresholds = SignatureDetector.mergeThresholds(profile.thresholds);
+    this.thresholdsSource = filePath;
+    return true;
   }
 
   /**
@@ -26,14 +99,18 @@ export default class SignatureDetector {
       });
     }
 
+    if (this.thresholdsSource === 'defaults') {
+      await this.loadThresholds();
+    }
+
     this.isOpenCVReady = true;
-    console.log('🎯 SignatureDetector initialized with OpenCV.js');
+    log.debug(`🎯 SignatureDetector initialized with OpenCV.js (thresholds: ${this.thresholdsSource})`);
   }
 
   /**
    * Detect signature marks in specified zones
    */
-  async detectSignatureMarks(imageBuffer, signatureZones, scaleFactor = 1) {
+  async detectSignatureMarks(imageBuffer, signatureZones, scaleFactor = 1, artifacts = this.artifacts) {
     if (!this.isOpenCVReady) {
       await this.initialize();
     }
@@ -42,16 +119,19 @@ export default class SignatureDetector {
     
     for (const zone of signatureZones) {
       try {
-        console.log(`🔍 Analyzing signature zone: ${zone.name}`);
+        log.debug(`🔍 Analyzing signature zone: ${zone.name}`);
         
         // Extract signature region with expanded bounds for positioning tolerance
         const roiBuffer = await this.extractSignatureRegion(imageBuffer, zone, scaleFactor);
         
         // Save debug image
-        if (this.debugMode) {
-          const debugPath = `debug_signature_${zone.name}_roi.png`;
-          await sharp(roiBuffer).png().toFile(debugPath);
-          console.log(`💾 Debug ROI saved: ${debugPath}`);
+        const debugPath = await artifacts?.writeImage(
+          `signature_${zone.name}_roi.png`,
+          sharp(roiBuffer).png(),
+          { pageIndex: zone.pageIndex, fields: [zone.name], description: 'Signature zone ROI' }
+        );
+        if (debugPath) {
+          log.debug(`💾 Debug ROI saved: ${debugPath}`);
         }
         
         // Convert to OpenCV Mat
@@ -68,7 +148,7 @@ export default class SignatureDetector {
         
         results.push({
           field: zone.name,
-          hasVisualMark: confidence > 0.15, // Low threshold for ANY mark
+          hasVisualMark: confidence > this.thresholds.markThreshold, // Low threshold for ANY mark
           confidence: Math.round(confidence * 100) / 100,
           edgeAnalysis,
           textureAnalysis,
@@ -79,7 +159,7 @@ export default class SignatureDetector {
         mat.delete();
         
       } catch (error) {
-        console.error(`❌ Signature detection failed for ${zone.name}:`, error);
+        log.debug(`❌ Signature detection failed for ${zone.name}: ${error.message}`);
         results.push({
           field: zone.name,
           hasVisualMark: false,
@@ -114,21 +194,21 @@ export default class SignatureDetector {
       height: scaledBounds.height + (padding * 2)
     };
     
-    console.log(`📏 Scale factor: ${scaleFactor}`);
-    console.log(`📐 Original bounds: (${zone.bounds.x}, ${zone.bounds.y}) ${zone.bounds.width}x${zone.bounds.height}`);
-    console.log(`📐 Scaled bounds: (${scaledBounds.x}, ${scaledBounds.y}) ${scaledBounds.width}x${scaledBounds.height}`);
+    log.debug(`📏 Scale factor: ${scaleFactor}`);
+    log.debug(`📐 Original bounds: (${zone.bounds.x}, ${zone.bounds.y}) ${zone.bounds.width}x${zone.bounds.height}`);
+    log.debug(`📐 Scaled bounds: (${scaledBounds.x}, ${scaledBounds.y}) ${scaledBounds.width}x${scaledBounds.height}`);
     
     try {
       const roiBuffer = await sharp(imageBuffer)
         .extract(expandedBounds)
         .toBuffer();
       
-      console.log(`📏 Extracted ${zone.name} region: ${expandedBounds.width}x${expandedBounds.height} at (${expandedBounds.left}, ${expandedBounds.top})`);
+      log.debug(`📏 Extracted ${zone.name} region: ${expandedBounds.width}x${expandedBounds.height} at (${expandedBounds.left}, ${expandedBounds.top})`);
       return roiBuffer;
       
     } catch (error) {
       // Fallback to scaled bounds if expanded bounds fail
-      console.warn(`⚠️  Expanded bounds failed for ${zone.name}, using scaled bounds`);
+      log.debug(`⚠️  Expanded bounds failed for ${zone.name}, using scaled bounds`);
       const originalBounds = {
         left: scaledBounds.x,
         top: scaledBounds.y,
@@ -145,15 +225,15 @@ export default class SignatureDetector {
    * Convert image buffer to OpenCV Mat
    */
   async bufferToMat(buffer) {
-    // Use Sharp to get image info and convert to raw pixel data
-    const image = sharp(buffer);
-    const { width, height, channels } = await image.metadata();
-    
-    // Get raw pixel data
-    const rawData = await image.raw().toBuffer();
+    // Raw 3-channel pixels whatever the source: greyscale and RGBA ROIs are normalised
+    const { data: rawData, info } = await sharp(buffer)
+      .flatten({ background: '#ffffff' })
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
     
     // Create OpenCV Mat from raw data
-    const mat = new cv.Mat(height, width, cv.CV_8UC3);
+    const mat = new cv.Mat(info.height, info.width, cv.CV_8UC3);
     mat.data.set(rawData);
     
     return mat;
@@ -162,7 +242,7 @@ export default class SignatureDetector {
   /**
    * Analyze edge content using multi-scale edge detection
    */
-  analyzeEdgeContent(mat) {
+  analyzeEdgeContent(mat, thresholds = this.thresholds) {
     // Convert to grayscale
     const gray = new cv.Mat();
     if (mat.channels() === 3) {
@@ -177,29 +257,26 @@ export default class SignatureDetector {
     
     // 1. Fine edges (digital text, small signatures)
     const fineEdges = new cv.Mat();
-    cv.Canny(gray, fineEdges, 20, 60, 3);
+    cv.Canny(gray, fineEdges, ...thresholds.canny.fine, 3);
     const fineEdgePixels = cv.countNonZero(fineEdges);
     const fineEdgeDensity = fineEdgePixels / totalPixels;
     
     // 2. Medium edges (normal signatures)
     const mediumEdges = new cv.Mat();
-    cv.Canny(gray, mediumEdges, 50, 120, 3);
+    cv.Canny(gray, mediumEdges, ...thresholds.canny.medium, 3);
     const mediumEdgePixels = cv.countNonZero(mediumEdges);
     const mediumEdgeDensity = mediumEdgePixels / totalPixels;
     
     // 3. Coarse edges (stamps, thick marks)
     const coarseEdges = new cv.Mat();
-    cv.Canny(gray, coarseEdges, 80, 160, 3);
+    cv.Canny(gray, coarseEdges, ...thresholds.canny.coarse, 3);
     const coarseEdgePixels = cv.countNonZero(coarseEdges);
     const coarseEdgeDensity = coarseEdgePixels / totalPixels;
     
     // Calculate edge-based confidence
-    // Weight fine edges higher to catch small marks
-    const edgeConfidence = Math.min(
-      (fineEdgeDensity * 25) +      // High weight for fine edges (digital signatures)
-      (mediumEdgeDensity * 15) +    // Medium weight for normal signatures
-      (coarseEdgeDensity * 10),     // Lower weight for thick marks
-      1.0
+    const edgeConfidence = this.scoreEdges(
+      { fineEdgeDensity, mediumEdgeDensity, coarseEdgeDensity },
+      thresholds
     );
     
     // Cleanup
@@ -213,7 +290,7 @@ export default class SignatureDetector {
       mediumEdgeDensity: Math.round(mediumEdgeDensity * 10000) / 10000,
       coarseEdgeDensity: Math.round(coarseEdgeDensity * 10000) / 10000,
       totalEdgePixels: fineEdgePixels + mediumEdgePixels + coarseEdgePixels,
-      hasSignificantEdges: edgeConfidence > 0.05,
+      hasSignificantEdges: edgeConfidence > thresholds.significantEdges,
       confidence: Math.round(edgeConfidence * 1000) / 1000
     };
   }
@@ -221,7 +298,7 @@ export default class SignatureDetector {
   /**
    * Basic texture analysis using Laplacian variance
    */
-  analyzeBasicTexture(mat) {
+  analyzeBasicTexture(mat, thresholds = this.thresholds) {
     const gray = new cv.Mat();
     if (mat.channels() === 3) {
       cv.cvtColor(mat, gray, cv.COLOR_BGR2GRAY);
@@ -240,7 +317,7 @@ export default class SignatureDetector {
     const laplacianVariance = stddev.data64F[0] * stddev.data64F[0];
     
     // Convert to confidence score
-    const textureConfidence = Math.min(laplacianVariance / 2000, 1.0);
+    const textureConfidence = this.scoreTexture(laplacianVariance, thresholds);
     
     // Cleanup
     gray.delete();
@@ -250,32 +327,225 @@ export default class SignatureDetector {
     
     return {
       laplacianVariance: Math.round(laplacianVariance * 100) / 100,
-      hasTextureContent: textureConfidence > 0.1,
+      hasTextureContent: textureConfidence > thresholds.textureContent,
       confidence: Math.round(textureConfidence * 1000) / 1000
     };
   }
 
+  // Weight fine edges higher to catch small marks (digital signatures)
+  scoreEdges(densities, thresholds = this.thresholds) {
+    const { edgeWeights } = thresholds;
+    return Math.min(
+      densities.fineEdgeDensity * edgeWeights.fine +
+        densities.mediumEdgeDensity * edgeWeights.medium +
+        densities.coarseEdgeDensity * edgeWeights.coarse,
+      1.0
+    );
+  }
+
+  scoreTexture(laplacianVariance, thresholds = this.thresholds) {
+    return Math.min(laplacianVariance / thresholds.textureScale, 1.0);
+  }
+
   /**
-   * Combine edge and texture analysis for final confidence
+   * Combine edge and texture analysis for final confidence.
+   * Scores are recomputed from the raw measurements so calibration can replay
+   * them under candidate thresholds without touching the images again
    */
-  combineAnalysis(edgeAnalysis, textureAnalysis) {
-    // Weight edge detection higher as primary method
-    const weights = {
-      edge: 0.7,
-      texture: 0.3
-    };
+  combineAnalysis(edgeAnalysis, textureAnalysis, thresholds = this.thresholds) {
+    const edgeConfidence = this.scoreEdges(edgeAnalysis, thresholds);
+    const textureConfidence = this.scoreTexture(textureAnalysis.laplacianVariance, thresholds);
+    const weights = thresholds.combineWeights;
     
     const combinedScore = 
-      (edgeAnalysis.confidence * weights.edge) +
-      (textureAnalysis.confidence * weights.texture);
+      (edgeConfidence * weights.edge) +
+      (textureConfidence * weights.texture);
     
     // Bonus if both methods detect content
     const agreementBonus = 
-      (edgeAnalysis.hasSignificantEdges && textureAnalysis.hasTextureContent) ? 0.1 : 0;
+      (edgeConfidence > thresholds.significantEdges &&
+        textureConfidence > thresholds.textureContent)
+        ? thresholds.agreementBonus
+        : 0;
     
     return Math.min(combinedScore + agreementBonus, 1.0);
   }
 
+  /**
+   * Raw edge and texture measurements of a whole ROI image (no zone cropping),
+   * as used by the calibration command
+   */
+  async measureImage(imageBuffer) {
+    if (!this.isOpenCVReady) {
+      await this.initialize();
+    }
+
+    const mat = await this.bufferToMat(imageBuffer);
+    try {
+      return {
+        edgeAnalysis: this.analyzeEdgeContent(mat),
+        textureAnalysis: this.analyzeBasicTexture(mat),
+      };
+    } finally {
+      mat.delete();
+    }
+  }
+
+  /**
+   * Compare a signature ROI with a reference specimen (previous case, ID document).
+   * Combines ORB keypoint matches, Hu-moment shape distance and ink aspect ratio;
+   * everything runs locally on OpenCV.js
+   *
+   * @param {Buffer} signatureBuffer - signature image, e.g. the clientSignature ROI
+   * @param {Buffer} referenceBuffer - reference specimen image
+   * @param {Object} options - overrides of COMPARISON_DEFAULTS
+   * @returns {Promise<Object>} { verdict: "match" | "mismatch" | "inconclusive", similarity, reasons, ... }
+   */
+  async compareSignatures(signatureBuffer, referenceBuffer, options = {}) {
+    if (!this.isOpenCVReady) {
+      await this.initialize();
+    }
+
+    const settings = {
+      ...COMPARISON_DEFAULTS,
+      ...options,
+      weights: { ...COMPARISON_DEFAULTS.weights, ...options.weights },
+    };
+
+    const signature = await this.prepareSpecimen(signatureBuffer);
+    const reference = await this.prepareSpecimen(referenceBuffer);
+
+    try {
+      const reasons = [];
+      if (signature.inkRatio < settings.minInkRatio) reasons.push('signature has too little ink');
+      if (reference.inkRatio < settings.minInkRatio) reasons.push('reference has too little ink');
+
+      const features = this.compareKeypoints(signature.mat, reference.mat, settings);
+      if (Math.min(features.signatureKeypoints, features.referenceKeypoints) < settings.minKeypoints) {
+        reasons.push(`fewer than ${settings.minKeypoints} keypoints`);
+      }
+
+      // Hu moments are scale and rotation invariant; distance 0 means identical shapes
+      const shapeDistance = cv.matchShapes(signature.mat, reference.mat, cv.CONTOURS_MATCH_I2, 0);
+      const shape = Number.isFinite(shapeDistance) ? 1 / (1 + shapeDistance) : 0;
+
+      const aspect =
+        Math.min(signature.aspectRatio, reference.aspectRatio) /
+        Math.max(signature.aspectRatio, reference.aspectRatio);
+
+      const { weights } = settings;
+      const similarity =
+        (features.score * weights.features + shape * weights.shape + aspect * weights.aspect) /
+        (weights.features + weights.shape + weights.aspect);
+
+      let verdict = 'inconclusive';
+      if (reasons.length === 0 && similarity >= settings.matchThreshold) verdict = 'match';
+      if (reasons.length === 0 && similarity <= settings.mismatchThreshold) verdict = 'mismatch';
+
+      return {
+        verdict,
+        similarity: Math.round(similarity * 1000) / 1000,
+        scores: {
+          features: Math.round(features.score * 1000) / 1000,
+          shape: Math.round(shape * 1000) / 1000,
+          aspect: Math.round(aspect * 1000) / 1000,
+        },
+        keypoints: {
+          signature: features.signatureKeypoints,
+          reference: features.referenceKeypoints,
+          goodMatches: features.goodMatches,
+        },
+        shapeDistance: Number.isFinite(shapeDistance)
+          ? Math.round(shapeDistance * 10000) / 10000
+          : null,
+        reasons,
+      };
+    } finally {
+      signature.mat.delete();
+      reference.mat.delete();
+    }
+  }
+
+  /**
+   * Greyscale, crop to the ink, scale to COMPARISON_HEIGHT and binarise (ink = 255)
+   */
+  async prepareSpecimen(buffer) {
+    let image = sharp(buffer).flatten({ background: '#ffffff' }).greyscale();
+    try {
+      // trim() fails on blank images; compare the untrimmed box then
+      image = sharp(await image.trim({ threshold: 40 }).png().toBuffer());
+    } catch {
+      image = sharp(await image.png().toBuffer());
+    }
+
+    const { data, info } = await image
+      .resize({ height: COMPARISON_HEIGHT })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const gray = new cv.Mat(info.height, info.width, cv.CV_8UC1);
+    gray.data.set(data.subarray(0, info.width * info.height));
+
+    const mat = new cv.Mat();
+    cv.threshold(gray, mat, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+    gray.delete();
+
+    return {
+      mat,
+      aspectRatio: info.width / info.height,
+      inkRatio: cv.countNonZero(mat) / (info.width * info.height),
+    };
+  }
+
+  /**
+   * ORB keypoints matched with Lowe's ratio test; score is the share of the
+   * smaller keypoint set that found a distinctive partner, relative to fullMatchShare
+   */
+  compareKeypoints(signatureMat, referenceMat, { ratioTest, fullMatchShare }) {
+    const orb = new cv.ORB(500);
+    const matcher = new cv.BFMatcher(cv.NORM_HAMMING, false);
+    const noMask = new cv.Mat();
+    const signatureKeypoints = new cv.KeyPointVector();
+    const referenceKeypoints = new cv.KeyPointVector();
+    const signatureDescriptors = new cv.Mat();
+    const referenceDescriptors = new cv.Mat();
+    const matches = new cv.DMatchVectorVector();
+
+    try {
+      orb.detectAndCompute(signatureMat, noMask, signatureKeypoints, signatureDescriptors);
+      orb.detectAndCompute(referenceMat, noMask, referenceKeypoints, referenceDescriptors);
+
+      let goodMatches = 0;
+      if (signatureDescriptors.rows > 1 && referenceDescriptors.rows > 1) {
+        matcher.knnMatch(signatureDescriptors, referenceDescriptors, matches, 2);
+        for (let i = 0; i < matches.size(); i++) {
+          const pair = matches.get(i);
+          if (pair.size() === 2 && pair.get(0).distance < ratioTest * pair.get(1).distance) {
+            goodMatches++;
+          }
+        }
+      }
+
+      const smallerSet = Math.min(signatureKeypoints.size(), referenceKeypoints.size());
+      return {
+        score: smallerSet > 0 ? Math.min(goodMatches / smallerSet / fullMatchShare, 1) : 0,
+        signatureKeypoints: signatureKeypoints.size(),
+        referenceKeypoints: referenceKeypoints.size(),
+        goodMatches,
+      };
+    } finally {
+      orb.delete();
+      matcher.delete();
+      noMask.delete();
+      signatureKeypoints.delete();
+      referenceKeypoints.delete();
+      signatureDescriptors.delete();
+      referenceDescriptors.delete();
+      matches.delete();
+    }
+  }
+
   /**
    * Define signature zones for testing
    */
@@ -1,19 +1,62 @@
 import { pdf as pdfImageExtract } from "pdf-to-img";
 import { PDFExtract } from "pdf.js-extract";
-import { createOCREngine } from "tesseract-wasm";
-import { loadWasmBinary } from "tesseract-wasm/node";
 import Fuse from "fuse.js";
 import sharp from "sharp";
 import { promises as fs } from "node:fs";
 import path from "path";
 
-// Import field definitions
-import { paqFields, plFields, plInsurance, plCollection } from "./paq.js";
+// Import product profiles built from PAQ field definitions
+import ProductProfileRegistry, { DEFAULT_TOLERANCES } from "./product-profiles.js";
+import ConsistencyChecker from "./consistency-checks.js";
+import OCRService from "./ocr-service.js";
+import logger, { Logger, withLogContext } from "./logger.js";
+import DebugArtifacts from "./debug-artifacts.js";
+import FieldEvidence from "./field-evidence.js";
+import ResultOverlay from "./result-overlay.js";
+import SignatureDetector from "./signature-detector.js";
+import AlterationDetector from "./alteration-detector.js";
+import PageOrientation from "./page-orientation.js";
+import TableStructure, { STAFF_TITLE_PATTERN } from "./table-structure.js";
+import HeaderFields from "./header-fields.js";
+import SAIdNumber from "./sa-id-number.js";
+import BankAccountValidator from "./bank-accounts.js";
+import NumberParser from "./number-parser.js";
+
+// The PAQ financial table (detectFinancialTableRegion) is on the first page
+const FINANCIAL_TABLE_PAGE = 0;
+
+// Validator levels: "info" is the detailed trail, "important"/"summary" reach the console
+const LOG_LEVEL_MAP = {
+  info: "debug",
+  important: "info",
+  summary: "info",
+  warn: "warn",
+  error: "error",
+};
 
 class SpatialDocumentValidator {
-  constructor() {
-    this.ocrEngine = null;
+  constructor(options = {}) {
+    // OCR workers are shared across validator instances unless a service is injected
+    this.ocr = options.ocrService || null;
+    // Debug files are off unless the run enables them (DEBUG_ARTIFACTS=1)
+    this.debugArtifacts = options.debugArtifacts || DebugArtifacts.shared();
+    this.artifacts = this.debugArtifacts.forCase(null, null);
+    // Annotated page PNGs for QA review (VALIDATION_OVERLAY=1)
+    this.overlay =
+      options.overlay ?? ["1", "true"].includes(process.env.VALIDATION_OVERLAY);
+    this.signatureDetector = options.signatureDetector || new SignatureDetector();
+    this.alterationDetector = options.alterationDetector || new AlterationDetector();
+    // Scanned pages are turned upright and deskewed before OCR unless deskew is false
+    this.deskew = options.deskew ?? true;
+    this.pageOrientation = options.pageOrientation || new PageOrientation();
+    // Tables of the document being searched, rebuilt before the field search
+    this.tableStructure = options.tableStructure || new TableStructure();
+    this.tables = [];
     this.pdfExtract = new PDFExtract();
+    this.logger = logger.child({ component: "validator" });
+    this.currentField = null;
+    // Evidence trail of the field being searched (see field-evidence.js)
+    this.evidence = null;
     this.debugLog = [];
     this.summary = {
       totalBoxes: 0,
@@ -23,64 +66,27 @@ class SpatialDocumentValidator {
       fieldsValid: 0,
     };
 
-    // Build field mapping from PAQ definitions
-    this.fieldMapping = {
-      caseId: {
-        labels: paqFields.caseRefNo.label,
-        type: "reference",
-        required: true,
-        searchStrategy: "right",
-      },
-      loanAmount: {
-        labels: plFields.PayoutAmount.label,
-        type: "currency",
-        required: true,
-        searchStrategy: "right",
-      },
-      instalment: {
-        labels: plFields.MonthlyInstalmentIncludingInterest.label,
-        type: "currency",
-        required: true,
-        searchStrategy: "right",
-      },
-      interestRate: {
-        labels: plFields.AnnualInterestRateFixed.label,
-        type: "percentage",
-        required: true,
-        searchStrategy: "right",
-      },
-      insurancePremium: {
-        labels: plInsurance.creditLife.label,
-        type: "currency",
-        required: true,
-        searchStrategy: "right",
-      },
-      collectionAccountNo: {
-        labels: plCollection.accountNo.label,
-        type: "account",
-        required: true,
-        searchStrategy: "right",
-      },
-    };
-
-    this.tolerances = {
-      currency: 0.05,
-      percentage: 0.01,
-      reference: 0,
-      account: 1,
-    };
+    // Product field mappings are declared in profile files (see ./profiles)
+    this.profiles =
+      options.profiles ||
+      new ProductProfileRegistry({ directories: options.profileDirs });
+    this.product = null;
+    this.fieldMapping = {};
+    this.supportingFields = {};
+    this.consistencyChecker = new ConsistencyChecker();
+    // Account numbers, branch codes and account types are checked against the bank's rules
+    this.bankAccounts = options.bankAccounts || new BankAccountValidator();
+    this.currentBank = null;
+
+    this.tolerances = { ...DEFAULT_TOLERANCES };
   }
 
   log(message, level = "info") {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${message}`;
-
-    if (level === "important" || level === "error" || level === "summary") {
-      console.log(logEntry);
-      this.debugLog.push(logEntry);
-    } else if (level === "info") {
-      this.debugLog.push(logEntry);
-    }
+    // Every record is kept for saveDebugLog, whatever the console level
+    const record = this.logger.write(LOG_LEVEL_MAP[level] || "debug", message, {
+      field: this.currentField,
+    });
+    this.debugLog.push(record);
   }
 
   logImportant(message) {
@@ -91,66 +97,131 @@ class SpatialDocumentValidator {
     this.log(message, "summary");
   }
 
+  // JSON lines: the same records the logger emits, closed by a summary record
   async saveDebugLog(prefix = "debug") {
-    this.debugLog.push("\n" + "=".repeat(60));
-    this.debugLog.push("DEBUG LOG SUMMARY");
-    this.debugLog.push("=".repeat(60));
-    this.debugLog.push(`Total bounding boxes: ${this.summary.totalBoxes}`);
-    this.debugLog.push(`Merged boxes: ${this.summary.mergedBoxes}`);
-    this.debugLog.push(`Fields processed: ${this.summary.fieldsProcessed}`);
-    this.debugLog.push(`Fields found: ${this.summary.fieldsFound}`);
-    this.debugLog.push(`Fields valid: ${this.summary.fieldsValid}`);
-    this.debugLog.push(
-      `Success rate: ${Math.round(
-        (this.summary.fieldsValid / this.summary.fieldsProcessed) * 100
-      )}%`
-    );
-    this.debugLog.push("=".repeat(60));
+    const successRate =
+      this.summary.fieldsProcessed > 0
+        ? Math.round(
+            (this.summary.fieldsValid / this.summary.fieldsProcessed) * 100
+          )
+        : 0;
+    const summaryRecord = this.logger.write("debug", "Debug log summary", {
+      summary: { ...this.summary, successRate },
+    });
 
-    const logPath = `${prefix}_validation_log.txt`;
-    await fs.writeFile(logPath, this.debugLog.join("\n"));
-    this.logImportant(
-      `💾 Debug log saved to: ${logPath} (${this.debugLog.length} lines)`
+    const records = [...this.debugLog, summaryRecord];
+    const logPath = await this.artifacts.writeFile(
+      `${prefix}_validation_log.jsonl`,
+      records.map(Logger.toJsonLine).join(""),
+      { kind: "log", description: "Validation log (JSON lines)" }
     );
+    if (logPath) {
+      this.logImportant(
+        `💾 Debug log saved to: ${logPath} (${records.length} records)`
+      );
+    }
   }
 
   async initialize(modelPath) {
     this.logImportant("🚀 Initializing Spatial Document Validator");
 
-    const wasmBinary = await loadWasmBinary();
-    this.ocrEngine = await createOCREngine({ wasmBinary });
-
-    const model = await fs.readFile(modelPath);
-    this.ocrEngine.loadModel(model);
+    this.ocr = this.ocr || OCRService.shared({ modelPath });
+    await this.ocr.start();
 
     this.logImportant("✅ Validator initialized with PAQ.js field mapping");
   }
 
   async validateDocument(filePath, caseModel) {
-    this.logImportant(`🔍 Starting validation: ${path.basename(filePath)}`);
+    // Every record logged during this document carries its case and file
+    return withLogContext(
+      { caseId: caseModel.caseId, document: path.basename(filePath) },
+      () => this.runValidation(filePath, caseModel)
+    );
+  }
+
+  async runValidation(filePath, caseModel) {
     this.debugLog = [];
+    this.currentField = null;
+    this.artifacts = this.debugArtifacts.forCase(
+      caseModel.caseId,
+      path.basename(filePath, ".pdf")
+    );
+    this.logImportant(`🔍 Starting validation: ${path.basename(filePath)}`);
+    this.summary = {
+      totalBoxes: 0,
+      mergedBoxes: 0,
+      fieldsProcessed: 0,
+      fieldsFound: 0,
+      fieldsValid: 0,
+    };
 
     try {
+      await this.selectFieldMapping(caseModel);
+
       const pdfData = await this.pdfExtract.extract(filePath);
-      const isDigital = this.hasValidText(pdfData);
+
+      // Packs mix generated pages with scanned signed pages, so decide per page
+      const pageSources = pdfData.pages.map((page) =>
+        this.hasValidPageText(page) ? "pdf" : "ocr"
+      );
+      const digitalPages = pageSources.filter((source) => source === "pdf").length;
+      const documentType =
+        digitalPages === pageSources.length
+          ? "digital"
+          : digitalPages === 0
+          ? "scanned"
+          : "mixed";
 
       this.logImportant(
-        `📄 Document type: ${isDigital ? "Digital PDF" : "Scanned PDF"}`
+        `📄 Document type: ${documentType} (${digitalPages}/${pageSources.length} pages with digital text)`
       );
       this.logImportant(`📊 Pages found: ${pdfData.pages.length}`);
 
-      if (isDigital) {
-        return await this.validateDigitalPDF(filePath, pdfData, caseModel);
+      let result;
+      if (documentType === "digital") {
+        result = await this.validateDigitalPDF(filePath, pdfData, caseModel);
+      } else if (documentType === "scanned") {
+        result = await this.validateScannedPDF(filePath, caseModel);
       } else {
-        return await this.validateScannedPDF(filePath, caseModel);
+        result = await this.validateMixedPDF(
+          filePath,
+          pdfData,
+          caseModel,
+          pageSources
+        );
       }
+      result.documentType = documentType;
+      result.pageSources = pageSources;
+      return result;
     } catch (error) {
       this.log(`❌ Validation failed: ${error.message}`, "error");
       await this.saveDebugLog("error");
       return this.createFailureResult(error.message);
+    } finally {
+      const indexPath = await this.artifacts.writeIndex();
+      if (indexPath) {
+        this.logImportant(`🗂️  Debug artifacts indexed in: ${indexPath}`);
+      }
     }
   }
 
+  async selectFieldMapping(caseModel) {
+    await this.profiles.load();
+    const profile = this.profiles.get(caseModel.product || "pl");
+
+    this.product = profile.product;
+    this.fieldMapping = profile.fields;
+    this.supportingFields = profile.supportingFields;
+    this.consistencyChecker = new ConsistencyChecker(profile.consistencyChecks);
+    this.logImportant(
+      `🗂️  Using ${profile.description} profile (${
+        Object.keys(profile.fields).length
+      } fields from ${path.basename(profile.source)})`
+    );
+
+    return profile.fields;
+  }
+
   async validateDigitalPDF(filePath, pdfData, caseModel) {
     this.logImportant("🔤 Processing digital PDF with PAQ.js field mapping");
 
@@ -158,10 +229,9 @@ class SpatialDocumentValidator {
     this.summary.totalBoxes = boundingBoxes.length;
     this.logImportant(`📦 Extracted ${boundingBoxes.length} bounding boxes`);
 
-    await fs.writeFile(
-      "debug_bounding_boxes.json",
-      JSON.stringify(boundingBoxes, null, 2)
-    );
+    await this.artifacts.writeJson("bounding_boxes.json", boundingBoxes, {
+      description: "Raw pdf.js text boxes",
+    });
 
     const mergedBoxes = this.mergeNearbyBoxes(boundingBoxes);
     this.summary.mergedBoxes = mergedBoxes.length;
@@ -169,41 +239,368 @@ class SpatialDocumentValidator {
       `🔧 Merged into ${mergedBoxes.length} consolidated boxes`
     );
 
-    await fs.writeFile(
-      "debug_merged_boxes.json",
-      JSON.stringify(mergedBoxes, null, 2)
+    await this.artifacts.writeJson("merged_boxes.json", mergedBoxes, {
+      description: "Merged boxes searched for field labels",
+    });
+
+    // Perform main field validation; merging joins labels to their values, so tables read the raw runs
+    const validationResults = await this.spatialFieldSearch(mergedBoxes, caseModel, {
+      tableBoxes: boundingBoxes,
+    });
+
+    this.logImportant("🖼️ Starting enhanced image extraction pipeline");
+    const imageResults = await this.runImageExtraction(
+      filePath,
+      caseModel,
+      pdfData,
+      validationResults
     );
 
-    // Perform main field validation
-    const validationResults = await this.spatialFieldSearch(mergedBoxes, caseModel);
-    
-    // Enhanced image extraction pipeline for signature detection
+    return this.addImageResults(validationResults, imageResults);
+  }
+
+  /**
+   * Mixed packs: digital text where the page has it, OCR for scanned pages.
+   * OCR boxes are scaled from image pixels into PDF points so every page
+   * shares the digital coordinate space before the spatial search
+   */
+  async validateMixedPDF(filePath, pdfData, caseModel, pageSources) {
+    this.logImportant(
+      `🔀 Processing mixed PDF: OCR for pages [${pageSources
+        .map((source, index) => (source === "ocr" ? index + 1 : null))
+        .filter(Boolean)
+        .join(", ")}]`
+    );
+
+    const digitalBoxes = this.extractBoundingBoxes(pdfData).filter(
+      (box) => pageSources[box.pageIndex] === "pdf"
+    );
+    const mergedDigitalBoxes = this.mergeNearbyBoxes(digitalBoxes);
+
+    const pages = await this.extractPageImages(filePath);
+    const docName = path.basename(filePath, ".pdf");
+    const ocrBoxes = [];
+    const ocrFrames = [];
+
+    // The OCR pool bounds concurrency, so every scanned page is queued at once
+    const scannedPages = [...pageSources.keys()].filter(
+      (pageIndex) => pageSources[pageIndex] === "ocr" && pages[pageIndex]
+    );
+    const pageResults = await Promise.all(
+      scannedPages.map((pageIndex) =>
+        this.ocrPage(pages[pageIndex], pageIndex, docName, {
+          enhanced: pageIndex === 0,
+          tables: true,
+        })
+      )
+    );
+
+    for (const [resultIndex, { boxes: pageOCRBoxes, frames }] of pageResults.entries()) {
+      const pageIndex = scannedPages[resultIndex];
+      ocrBoxes.push(
+        ...this.mapOCRBoxesToPdfSpace(pageOCRBoxes, pdfData.pages[pageIndex])
+      );
+      ocrFrames.push(...this.mapOCRBoxesToPdfSpace(frames, pdfData.pages[pageIndex]));
+      this.logImportant(
+        `📦 Page ${pageIndex + 1}: ${pageOCRBoxes.length} OCR boxes`
+      );
+    }
+
+    const mergedBoxes = [...mergedDigitalBoxes, ...ocrBoxes];
+    this.summary.totalBoxes = digitalBoxes.length + ocrBoxes.length;
+    this.summary.mergedBoxes = mergedBoxes.length;
+    this.logImportant(
+      `🔧 ${mergedDigitalBoxes.length} digital + ${ocrBoxes.length} OCR boxes in PDF coordinates`
+    );
+
+    await this.artifacts.writeJson("mixed_merged_boxes.json", mergedBoxes, {
+      description: "Digital and OCR boxes in PDF coordinates",
+    });
+
+    const validationResults = await this.spatialFieldSearch(mergedBoxes, caseModel, {
+      tableBoxes: [...digitalBoxes, ...ocrBoxes],
+      frames: ocrFrames,
+    });
+
+    // Signature zones read page text from pdfData, so give scanned pages their OCR text
+    const mixedPdfData = {
+      ...pdfData,
+      pages: pdfData.pages.map((page, pageIndex) =>
+        pageSources[pageIndex] === "ocr"
+          ? {
+              ...page,
+              source: "ocr",
+              coordinateSpace: "pdf",
+              content: ocrBoxes
+                .filter((box) => box.pageIndex === pageIndex)
+                .map((box) => ({
+                  str: box.text,
+                  ...this.pageImageBox(box),
+                })),
+            }
+          : page
+      ),
+    };
+
+    this.logImportant("🖼️ Starting enhanced image extraction pipeline for mixed PDF");
+    const imageResults = await this.runImageExtraction(
+      filePath,
+      caseModel,
+      mixedPdfData,
+      validationResults
+    );
+
+    return this.addImageResults(validationResults, imageResults);
+  }
+
+  mapOCRBoxesToPdfSpace(ocrBoxes, pdfPage) {
+    return ocrBoxes.map((box) => {
+      // Page images are rendered at a fixed scale, so one factor maps pixels to points
+      const scale = (box.original?.pageWidth ?? box.pageWidth) / pdfPage.pageInfo.width;
+
+      return {
+        ...box,
+        x: box.x / scale,
+        y: box.y / scale,
+        width: box.width / scale,
+        height: box.height / scale,
+        ...(box.original && {
+          original: {
+            x: box.original.x / scale,
+            y: box.original.y / scale,
+            width: box.original.width / scale,
+            height: box.original.height / scale,
+          },
+        }),
+        pageWidth: pdfPage.pageInfo.width,
+        pageHeight: pdfPage.pageInfo.height,
+        coordinateSpace: "pdf",
+        ocrScale: scale,
+      };
+    });
+  }
+
+  // Signature image extraction never fails validation: the outcome is recorded on the result
+  async runImageExtraction(filePath, caseModel, pdfData, validationResults) {
     try {
-      this.logImportant("🖼️ Starting enhanced image extraction pipeline");
       const imageExtractionResults = await this.processDocumentImages(filePath, caseModel, pdfData);
-      
-      // Add image extraction info to validation results
-      validationResults.imageExtraction = {
-        status: "SUCCESS",
-        extractPath: imageExtractionResults.extractPath,
-        totalPages: imageExtractionResults.extractedImages.length,
-        signatureZones: imageExtractionResults.signatureZones.length,
-        manifestPath: path.join(imageExtractionResults.extractPath, 'manifest.json')
-      };
-      
+
       this.logImportant(`✅ Image extraction complete: ${imageExtractionResults.extractedImages.length} pages, ${imageExtractionResults.signatureZones.length} signature zones`);
-      
+
+      const signatures = await this.detectSignatures(
+        imageExtractionResults.extractedImages,
+        imageExtractionResults.signatureZones,
+        imageExtractionResults.unlocatedZones
+      );
+
+      const initials = this.buildInitialsMatrix(
+        signatures,
+        imageExtractionResults.extractedImages.length
+      );
+
+      const alterations = await this.detectAlterations(
+        imageExtractionResults.extractedImages,
+        pdfData
+      );
+
+      const overlays = this.overlay
+        ? await this.renderResultOverlay(imageExtractionResults, validationResults, pdfData, signatures, alterations)
+        : [];
+
+      return {
+        imageExtraction: {
+          status: "SUCCESS",
+          extractPath: imageExtractionResults.extractPath,
+          totalPages: imageExtractionResults.extractedImages.length,
+          signatureZones: imageExtractionResults.signatureZones.length,
+          manifestPath: path.join(imageExtractionResults.extractPath, 'manifest.json'),
+          overlays: overlays.map((overlay) => overlay.filePath),
+        },
+        signatures,
+        initials,
+        alterations,
+      };
     } catch (imageError) {
       this.log(`⚠️ Image extraction failed (continuing with validation): ${imageError.message}`);
       this.log(`🔍 Image extraction error stack: ${imageError.stack}`);
-      validationResults.imageExtraction = {
-        status: "FAILED", 
-        error: imageError.message,
-        stack: imageError.stack
+      return {
+        imageExtraction: {
+          status: "FAILED",
+          error: imageError.message,
+          stack: imageError.stack
+        },
+        signatures: [],
       };
     }
+  }
 
-    return validationResults;
+  // Rebuild the result so signature verdicts count towards its issues and status
+  addImageResults(validationResults, { imageExtraction, signatures, initials, alterations }) {
+    const { fields, issues, skippedFields, status, confidence, summary, ...extras } =
+      validationResults;
+    return this.createResult(fields, issues, skippedFields, {
+      ...extras,
+      imageExtraction,
+      signatures,
+      ...(initials && { initials }),
+      ...(alterations && { alterations }),
+    });
+  }
+
+  /**
+   * Ink in the financial table region that the printed text does not explain:
+   * struck-through values, handwritten amendments and stamps
+   */
+  async detectAlterations(extractedImages, pdfData) {
+    const image = extractedImages[FINANCIAL_TABLE_PAGE];
+    if (!image) return [];
+
+    // The page says where its text came from: pdf.js runs are PDF points on
+    // their baseline, OCR text is top-left and in image pixels unless a mixed
+    // pack mapped it into PDF points
+    const { source = "pdf", coordinateSpace = "pdf" } = pdfData.pages[image.pageIndex] ?? {};
+    const scale = coordinateSpace === "image" ? 1 : image.scaleFactor;
+    const fromBaseline = source === "pdf";
+
+    // Lift baseline boxes to their top and allow for descenders
+    const textBoxes = this.getPageBoxes(pdfData, image.pageIndex).map((box) => ({
+      text: box.text,
+      x: box.x * scale,
+      y: (fromBaseline ? box.y - box.height : box.y) * scale,
+      width: box.width * scale,
+      height: (fromBaseline ? box.height * 1.3 : box.height) * scale,
+    }));
+
+    try {
+      const alterations = await this.alterationDetector.detectAlterations(
+        image.buffer,
+        this.detectFinancialTableRegion(),
+        textBoxes,
+        image.pageIndex
+      );
+
+      for (const alteration of alterations) {
+        this.logImportant(
+          `🖊️  Possible ${alteration.type.replace("_", "-")} on page ${alteration.pageIndex + 1} at (${alteration.bbox.x}, ${alteration.bbox.y}) near "${alteration.text ?? "-"}"`
+        );
+      }
+      return alterations;
+    } catch (error) {
+      this.log(`⚠️  Alteration detection failed: ${error.message}`, "warn");
+      return [];
+    }
+  }
+
+  /**
+   * Per-page matrix of client and witness initials. Every page but the last
+   * carries an initial block; a block that could not be located counts as missing
+   */
+  buildInitialsMatrix(signatures, pageCount) {
+    const parties = ["client", "witness"];
+    const pages = [];
+    const missing = { client: [], witness: [] };
+
+    for (let pageIndex = 0; pageIndex < pageCount - 1; pageIndex++) {
+      const row = { pageIndex };
+      for (const party of parties) {
+        const verdict = signatures.find(
+          (s) => s.type === "initial" && s.party === party && s.pageIndex === pageIndex
+        );
+        row[party] = {
+          located: Boolean(verdict),
+          present: verdict?.present ?? false,
+          confidence: verdict?.confidence ?? 0,
+        };
+        if (!row[party].present) missing[party].push(pageIndex);
+      }
+      pages.push(row);
+    }
+
+    return {
+      pages,
+      missing,
+      complete: parties.every((party) => missing[party].length === 0),
+    };
+  }
+
+  /**
+   * Present/absent verdict for every signature and initial zone.
+   * Zone bounds are already in page image pixels, so no scaling is applied.
+   * Required zones that could not be located are absent with their error
+   */
+  async detectSignatures(extractedImages, signatureZones, unlocatedZones = []) {
+    const signatures = unlocatedZones.map((zone) => ({
+      ...zone,
+      present: false,
+      confidence: 0,
+      bounds: null,
+    }));
+
+    for (const image of extractedImages) {
+      const zones = signatureZones.filter((zone) => zone.pageIndex === image.pageIndex);
+      if (zones.length === 0) continue;
+
+      let marks;
+      try {
+        marks = await this.signatureDetector.detectSignatureMarks(
+          image.buffer,
+          zones,
+          1,
+          this.artifacts
+        );
+      } catch (error) {
+        this.log(`⚠️  Signature detection failed on page ${image.pageIndex}: ${error.message}`, "warn");
+        marks = zones.map((zone) => ({ field: zone.name, hasVisualMark: false, confidence: 0, error: error.message }));
+      }
+
+      zones.forEach((zone, index) => {
+        const mark = marks[index];
+        const verdict = {
+          name: zone.name,
+          type: zone.type,
+          party: zone.party,
+          pageIndex: zone.pageIndex,
+          required: zone.required !== false,
+          present: mark.hasVisualMark,
+          confidence: mark.confidence,
+          bounds: zone.bounds,
+        };
+        if (mark.error) verdict.error = mark.error;
+        signatures.push(verdict);
+
+        this.logImportant(
+          `${verdict.present ? "✍️ " : "❌"} ${zone.name}: ${verdict.present ? "present" : "absent"} (confidence ${verdict.confidence})`
+        );
+      });
+    }
+
+    return signatures;
+  }
+
+  /**
+   * Draw label boxes, value boxes and signature zones on the extracted page images
+   */
+  async renderResultOverlay(imageExtractionResults, validationResults, pdfData, signatures = [], alterations = []) {
+    const { extractedImages, signatureZones } = imageExtractionResults;
+    const shapesByPage = ResultOverlay.collectShapes(
+      validationResults,
+      signatureZones,
+      signatures,
+      alterations
+    );
+    const overlays = await ResultOverlay.render(
+      extractedImages,
+      shapesByPage,
+      pdfData,
+      this.artifacts
+    );
+
+    for (const overlay of overlays) {
+      this.logImportant(
+        `🖍️  Overlay page ${overlay.pageIndex}: ${overlay.filePath} (${overlay.shapes} shapes)`
+      );
+    }
+    return overlays;
   }
 
   // Enhanced OCR processing methods for SpatialDocumentValidator class
@@ -222,23 +619,22 @@ class SpatialDocumentValidator {
       const docName = path.basename(filePath, ".pdf");
       await this.saveOriginalPages(pages, docName);
 
-      // Process first page (can be extended to search all pages)
-      const firstPageBuffer = pages[0];
-
-      // Enhanced OCR with proper box normalization (saves enhanced image too)
-      const ocrBoxes = await this.performEnhancedOCR(
-        firstPageBuffer,
-        0,
-        docName
+      // Fields are searched on the first page (enhanced OCR, saves the enhanced image too);
+      // initial zones sit on every page but the last, so the remaining pages need OCR too.
+      // The OCR pool bounds concurrency, so every page is queued at once
+      const pageResults = await Promise.all(
+        pages.map((page, pageIndex) =>
+          this.ocrPage(page, pageIndex, docName, { enhanced: pageIndex === 0, tables: pageIndex === 0 })
+        )
       );
+      const { boxes: ocrBoxes, frames } = pageResults[0];
       this.summary.totalBoxes = ocrBoxes.length;
       this.logImportant(`📦 OCR extracted ${ocrBoxes.length} bounding boxes`);
 
       // Save debug data
-      await fs.writeFile(
-        "debug_ocr_raw_boxes.json",
-        JSON.stringify(ocrBoxes, null, 2)
-      );
+      await this.artifacts.writeJson("ocr_raw_boxes.json", ocrBoxes, {
+        description: "Raw Tesseract boxes",
+      });
 
       // Apply same merging logic as digital PDFs
       // const mergedBoxes = this.mergeNearbyBoxes(ocrBoxes);  // DISABLED: Merging is destroying OCR text
@@ -248,50 +644,109 @@ class SpatialDocumentValidator {
         `🔧 Merged into ${mergedBoxes.length} consolidated boxes`
       );
 
-      await fs.writeFile(
-        "debug_ocr_merged_boxes.json",
-        JSON.stringify(mergedBoxes, null, 2)
-      );
+      await this.artifacts.writeJson("ocr_merged_boxes.json", mergedBoxes, {
+        description: "OCR boxes searched for field labels",
+      });
 
-      // Apply the SAME spatial field search as digital PDFs!
-      const validationResults = await this.spatialFieldSearch(mergedBoxes, caseModel);
-      
-      // Enhanced image extraction pipeline for signature detection
-      try {
-        this.logImportant("🖼️ Starting enhanced image extraction pipeline for scanned PDF");
-        
-        // Create mock pdfData structure for signature zone calculation from OCR boxes
-        const mockPdfData = this.createMockPdfDataFromOCR(mergedBoxes, pages.length);
-        const imageExtractionResults = await this.processDocumentImages(filePath, caseModel, mockPdfData);
-        
-        // Add image extraction info to validation results
-        validationResults.imageExtraction = {
-          status: "SUCCESS",
-          extractPath: imageExtractionResults.extractPath,
-          totalPages: imageExtractionResults.extractedImages.length,
-          signatureZones: imageExtractionResults.signatureZones.length,
-          manifestPath: path.join(imageExtractionResults.extractPath, 'manifest.json')
-        };
-        
-        this.logImportant(`✅ Image extraction complete: ${imageExtractionResults.extractedImages.length} pages, ${imageExtractionResults.signatureZones.length} signature zones`);
-        
-      } catch (imageError) {
-        this.log(`⚠️ Image extraction failed (continuing with validation): ${imageError.message}`);
-        this.log(`🔍 Image extraction error stack: ${imageError.stack}`);
-        validationResults.imageExtraction = {
-          status: "FAILED", 
-          error: imageError.message,
-          stack: imageError.stack
-        };
+      const zoneBoxes = [...mergedBoxes];
+      for (const [pageIndex, { boxes: pageBoxes }] of pageResults.entries()) {
+        if (pageIndex === 0) continue;
+        zoneBoxes.push(...pageBoxes);
+        this.logImportant(
+          `📦 Page ${pageIndex + 1}: ${pageBoxes.length} OCR boxes for signature zones`
+        );
       }
-      
-      return validationResults;
+
+      // Apply the SAME spatial field search as digital PDFs! ID numbers are checked across the whole pack
+      const validationResults = await this.spatialFieldSearch(mergedBoxes, caseModel, {
+        frames,
+        packBoxes: zoneBoxes,
+      });
+
+      // Enhanced image extraction pipeline for signature detection
+      this.logImportant("🖼️ Starting enhanced image extraction pipeline for scanned PDF");
+
+      // Create mock pdfData structure for signature zone calculation from OCR boxes
+      const mockPdfData = this.createMockPdfDataFromOCR(zoneBoxes, pages.length);
+      const imageResults = await this.runImageExtraction(
+        filePath,
+        caseModel,
+        mockPdfData,
+        validationResults
+      );
+
+      return this.addImageResults(validationResults, imageResults);
     } catch (error) {
       this.log(`❌ OCR validation failed: ${error.message}`, "error");
       throw error;
     }
   }
 
+  /**
+   * OCR one page on its upright, deskewed image. Boxes keep the upright
+   * coordinates the same-line and right-of-label heuristics rely on; `original`
+   * is the box on the page image as rendered, for signature zones and overlays.
+   * With `tables`, ruled table frames are found on the same upright image
+   *
+   * @returns {Promise<Object>} { boxes, frames }
+   */
+  async ocrPage(imageBuffer, pageIndex, docName, { enhanced = false, tables = false } = {}) {
+    const { buffer, correction } = await this.correctPageOrientation(imageBuffer, pageIndex);
+
+    const boxes = enhanced
+      ? await this.performEnhancedOCR(buffer, pageIndex, docName)
+      : (await this.performFullPageOCR(buffer, pageIndex, docName)).boxes;
+    const frames = tables ? await this.findTableFrames(buffer, imageBuffer, pageIndex) : [];
+    if (!correction) return { boxes, frames };
+
+    return {
+      boxes: boxes.map((box) => ({
+        ...box,
+        original: {
+          ...PageOrientation.toOriginal(box, correction),
+          pageWidth: correction.original.width,
+          pageHeight: correction.original.height,
+        },
+      })),
+      frames,
+    };
+  }
+
+  // Frames only sharpen table detection: without them tables are read from column alignment
+  async findTableFrames(uprightBuffer, imageBuffer, pageIndex) {
+    try {
+      const { width } = await sharp(imageBuffer).metadata();
+      const frames = await this.tableStructure.findFrames(uprightBuffer);
+      this.log(`📐 Page ${pageIndex + 1}: ${frames.length} ruled frames`);
+      return frames.map((frame) => ({ ...frame, pageIndex, pageWidth: width }));
+    } catch (error) {
+      this.log(`⚠️  Table frame detection failed on page ${pageIndex + 1}: ${error.message}`, "warn");
+      return [];
+    }
+  }
+
+  // Orientation problems never fail OCR: the page is read as rendered instead
+  async correctPageOrientation(imageBuffer, pageIndex) {
+    if (!this.deskew) return { buffer: imageBuffer, correction: null };
+
+    try {
+      const { buffer, correction } = await this.pageOrientation.correct(imageBuffer);
+      if (correction) {
+        this.logImportant(
+          `🧭 Page ${pageIndex + 1}: turned ${correction.orientation}° and deskewed ${correction.skew}° before OCR`
+        );
+        await this.artifacts.writeImage(`page${pageIndex + 1}_upright.png`, sharp(buffer), {
+          pageIndex,
+          description: "Page turned upright and deskewed for OCR",
+        });
+      }
+      return { buffer, correction };
+    } catch (error) {
+      this.log(`⚠️  Orientation detection failed on page ${pageIndex + 1}: ${error.message}`, "warn");
+      return { buffer: imageBuffer, correction: null };
+    }
+  }
+
   async performEnhancedOCR(imageBuffer, pageIndex = 0, docName = "page") {
     this.logImportant(
       "🔍 Performing enhanced OCR with selective region processing"
@@ -346,8 +801,7 @@ class SpatialDocumentValidator {
       docName
     );
 
-    this.ocrEngine.loadImage(processedImage.imageData);
-    const rawBoxes = this.ocrEngine.getTextBoxes("word");
+    const rawBoxes = await this.ocr.recognize(processedImage.imageData);
 
     const normalizedBoxes = this.normalizeOCRBoxes(
       rawBoxes,
@@ -416,18 +870,19 @@ class SpatialDocumentValidator {
         .toBuffer({ resolveWithObject: true });
 
       // Save debug version
-      const regionPath = `debug_${docName}_page${
-        pageIndex + 1
-      }_financial_region.png`;
-      await sharp(croppedBuffer)
-        .resize({ width: undefined, height: undefined, factor: 3 })
-        .sharpen()
-        .normalize()
-        .threshold(128)
-        .png()
-        .toFile(regionPath);
-
-      this.logImportant(`💾 Enhanced financial region saved: ${regionPath}`);
+      const regionPath = await this.artifacts.writeImage(
+        `page${pageIndex + 1}_financial_region.png`,
+        sharp(croppedBuffer)
+          .resize({ width: undefined, height: undefined, factor: 3 })
+          .sharpen()
+          .normalize()
+          .threshold(128)
+          .png(),
+        { pageIndex, description: "Enhanced financial table region" }
+      );
+      if (regionPath) {
+        this.logImportant(`💾 Enhanced financial region saved: ${regionPath}`);
+      }
 
       // STEP 4: OCR the enhanced financial region
       const regionImageData = {
@@ -436,8 +891,7 @@ class SpatialDocumentValidator {
         height: enhancedBuffer.info.height,
       };
 
-      this.ocrEngine.loadImage(regionImageData);
-      const regionBoxes = this.ocrEngine.getTextBoxes("word");
+      const regionBoxes = await this.ocr.recognize(regionImageData);
 
       // STEP 5: Adjust coordinates back to full page coordinate system
       const adjustedBoxes = regionBoxes.map((box) => {
@@ -485,23 +939,17 @@ class SpatialDocumentValidator {
 
   // Zone-based extraction for financial table fields
   extractFinancialValueByZone(boxes, fieldName, expectedValue) {
-    const zones = {
-      loanAmount: { x: 400, y: 1450, width: 400, height: 150 },      // Around R147 at (525, 1514)
-      instalment: { x: 1200, y: 1650, width: 300, height: 100 },     // Around R5 at (1302, 1691)  
-      interestRate: { x: 1200, y: 2000, width: 200, height: 80 },    // Around 29.25% at (1300, 2039)
-      insurancePremium: { x: 1200, y: 1950, width: 300, height: 100 }, // Around R519.16 in financial table
-      collectionAccountNo: { x: 1200, y: 2150, width: 300, height: 80 }, // Around N8162375 at bottom
-    };
+    // Zones are declared per field in the product profile
+    const zone = this.fieldMapping[fieldName]?.zone;
+    if (!zone) return null;
 
-    if (!zones[fieldName]) return null;
-
-    const zone = zones[fieldName];
     this.log(`🎯 Zone-based search for ${fieldName} in region (${zone.x}, ${zone.y}) ${zone.width}x${zone.height}`);
     
-    // Find boxes within the zone
+    // Find boxes within the zone (zones are OCR pixels; mixed-pack OCR boxes carry their scale)
     const zoneBoxes = boxes.filter(box => {
-      const inZone = box.x >= zone.x && box.x <= (zone.x + zone.width) &&
-                     box.y >= zone.y && box.y <= (zone.y + zone.height);
+      const scale = box.ocrScale || 1;
+      const inZone = box.x * scale >= zone.x && box.x * scale <= (zone.x + zone.width) &&
+                     box.y * scale >= zone.y && box.y * scale <= (zone.y + zone.height);
       if (inZone) {
         this.log(`📦 Zone box: "${box.text}" at (${box.x}, ${box.y})`);
       }
@@ -512,8 +960,12 @@ class SpatialDocumentValidator {
     for (const box of zoneBoxes) {
       const value = this.extractValue(box.text, this.getFieldType(fieldName));
       if (value !== null) {
-        const isValid = this.validateValue(value, expectedValue, this.getFieldType(fieldName));
-        if (isValid.valid) {
+        const isValid = this.validateValue(value, expectedValue, this.getFieldType(fieldName), this.getFieldTolerance(fieldName), box);
+        const candidate = this.evidence?.addCandidate(box, value, { source: "zone", validation: isValid });
+        if (!isValid.valid) {
+          this.evidence?.reject(candidate, "outside tolerance of expected value");
+        } else {
+          this.evidence?.select(candidate, "first box in the profile zone matching the expected value");
           this.log(`✅ Zone-based match: ${fieldName} = ${value}`);
           return {
             found: value,
@@ -530,7 +982,13 @@ class SpatialDocumentValidator {
     if (this.getFieldType(fieldName) === "currency") {
       const combinedValue = this.combineCurrencyFragments(zoneBoxes, expectedValue);
       if (combinedValue) {
-        const validation = this.validateValue(combinedValue.value, expectedValue, this.getFieldType(fieldName));
+        const validation = this.validateValue(combinedValue.value, expectedValue, this.getFieldType(fieldName), this.getFieldTolerance(fieldName));
+        const candidate = this.evidence?.addCandidate(combinedValue.boxes[0], combinedValue.value, {
+          source: "zone_fragments",
+          text: combinedValue.boxes.map((box) => box.text).join(" "),
+          validation,
+        });
+        this.evidence?.select(candidate, "currency fragments in the profile zone combined into one amount");
         this.log(`✅ Zone-based fragment match: ${fieldName} = ${combinedValue.value}`);
         return {
           found: combinedValue.value,
@@ -547,14 +1005,12 @@ class SpatialDocumentValidator {
   }
 
   getFieldType(fieldName) {
-    const types = {
-      loanAmount: "currency",
-      instalment: "currency", 
-      interestRate: "percentage",
-      insurancePremium: "currency",
-      collectionAccountNo: "account"
-    };
-    return types[fieldName] || "currency";
+    return this.fieldMapping[fieldName]?.type || "currency";
+  }
+
+  getFieldTolerance(fieldName) {
+    const fieldType = this.getFieldType(fieldName);
+    return this.fieldMapping[fieldName]?.tolerance ?? this.tolerances[fieldType];
   }
 
   // Combine currency fragments like "R147" + "126,58" → "R147,126.58"
@@ -650,17 +1106,15 @@ class SpatialDocumentValidator {
 
     try {
       // Save enhanced image to disk for debugging FIRST
-      const enhancedImagePath = `debug_${docName}_page${
-        pageIndex + 1
-      }_enhanced.png`;
-      await sharp(imageBuffer)
-        // .grayscale()
-        // .normalize()
-        // .resize({ width: undefined, height: undefined, factor: 2 })
-        // .png()
-        .toFile(enhancedImagePath);
-
-      this.logImportant(`💾 Enhanced image saved: ${enhancedImagePath}`);
+      const enhancedImagePath = await this.artifacts.writeImage(
+        `page${pageIndex + 1}_enhanced.png`,
+        sharp(imageBuffer),
+        // .grayscale() .normalize() .resize(factor 2) disabled, as for Tesseract below
+        { pageIndex, description: "Page image passed to Tesseract" }
+      );
+      if (enhancedImagePath) {
+        this.logImportant(`💾 Enhanced image saved: ${enhancedImagePath}`);
+      }
 
       // Process for Tesseract using your working example pattern
       const enhancedSharp = sharp(imageBuffer)
@@ -843,12 +1297,16 @@ class SpatialDocumentValidator {
   }
 
   async saveOriginalPages(pages, docName) {
+    if (!this.artifacts.enabled) return;
     this.logImportant(`💾 Saving ${pages.length} original page images to disk`);
 
     try {
       for (let i = 0; i < pages.length; i++) {
-        const originalPagePath = `debug_${docName}_page${i + 1}_original.png`;
-        await fs.writeFile(originalPagePath, pages[i]);
+        const originalPagePath = await this.artifacts.writeFile(
+          `page${i + 1}_original.png`,
+          pages[i],
+          { kind: "image", pageIndex: i, description: "Page rendered from the PDF" }
+        );
         this.logImportant(
           `💾 Original page ${i + 1} saved: ${originalPagePath}`
         );
@@ -870,10 +1328,10 @@ class SpatialDocumentValidator {
     for (let i = 1; i <= pageCount; i++) {
       this.logImportant(`📄 Page ${i}:`);
       this.logImportant(
-        `   • debug_${docName}_page${i}_original.png - Raw PDF extraction`
+        `   • page${i}_original.png - Raw PDF extraction`
       );
       this.logImportant(
-        `   • debug_${docName}_page${i}_enhanced.png - Sharp preprocessing`
+        `   • page${i}_enhanced.png - Sharp preprocessing`
       );
     }
 
@@ -925,8 +1383,7 @@ class SpatialDocumentValidator {
       height: image.info.height,
     };
 
-    this.ocrEngine.loadImage(imageData);
-    const boxes = this.ocrEngine.getTextBoxes("word");
+    const boxes = await this.ocr.recognize(imageData);
 
     return boxes
       .map((box, index) => ({
@@ -976,6 +1433,26 @@ class SpatialDocumentValidator {
           currentBox.text += " " + nextBox.text;
           currentBox.width = nextBox.x + nextBox.width - currentBox.x;
           currentBox.height = Math.max(currentBox.height, nextBox.height);
+          // Boxes of a corrected scan also carry their position on the page as rendered
+          if (currentBox.original && nextBox.original) {
+            const left = Math.min(currentBox.original.x, nextBox.original.x);
+            const top = Math.min(currentBox.original.y, nextBox.original.y);
+            currentBox.original = {
+              ...currentBox.original,
+              x: left,
+              y: top,
+              width:
+                Math.max(
+                  currentBox.original.x + currentBox.original.width,
+                  nextBox.original.x + nextBox.original.width
+                ) - left,
+              height:
+                Math.max(
+                  currentBox.original.y + currentBox.original.height,
+                  nextBox.original.y + nextBox.original.height
+                ) - top,
+            };
+          }
 
           sortedBoxes.splice(j, 1);
         } else {
@@ -994,44 +1471,84 @@ class SpatialDocumentValidator {
     return merged;
   }
 
-  async spatialFieldSearch(boxes, caseModel) {
+  /**
+   * @param {Array} boxes - boxes searched for labels and values
+   * @param {Object} caseModel
+   * @param {Object} options - { tableBoxes, frames } unmerged text runs and ruled frames
+   *   that tables and header lines are rebuilt from; packBoxes are the text of every
+   *   page, searched for ID numbers when tableBoxes only cover the field pages
+   */
+  async spatialFieldSearch(
+    boxes,
+    caseModel,
+    { tableBoxes = boxes, frames = [], packBoxes = tableBoxes } = {}
+  ) {
     this.logImportant("🎯 Starting spatial field search with PAQ.js mapping");
+    this.tables = await this.detectTables(tableBoxes, frames);
+    // Merging joins the two header columns, so header lines come from the unmerged runs
+    this.textRuns = this.joinTextRuns(tableBoxes);
 
     const results = {};
     const issues = [];
-
-    // Special handling for case ID - look for exact matches first
-    const caseIdBoxes = boxes.filter((box) =>
-      box.text.includes(caseModel.caseId)
-    );
-    if (caseIdBoxes.length > 0) {
-      this.logImportant(
-        `🔍 Found ${caseIdBoxes.length} boxes containing case ID "${caseModel.caseId}"`
-      );
-    }
+    const skippedFields = [];
+    const evidence = {};
 
     for (const [fieldName, fieldConfig] of Object.entries(this.fieldMapping)) {
-      const expectedValue = caseModel[fieldName];
+      this.currentField = fieldName;
+      this.currentBank =
+        (fieldConfig.bankFrom ? caseModel[fieldConfig.bankFrom] : null) ?? fieldConfig.bank;
+      // Without a case model branch code the bank's universal code is expected
+      const expectedValue =
+        caseModel[fieldName] ??
+        (fieldConfig.type === "branchCode"
+          ? this.bankAccounts.universalBranchCode(this.currentBank) ?? undefined
+          : undefined);
+
+      // Optional fields without a case model value have nothing to validate against
+      if (
+        !fieldConfig.required &&
+        (expectedValue === undefined || expectedValue === null)
+      ) {
+        this.log(`⏭️  Skipping optional field ${fieldName}: no case model value`);
+        skippedFields.push(fieldName);
+        continue;
+      }
+
       this.summary.fieldsProcessed++;
+      this.evidence = new FieldEvidence(fieldName, fieldConfig, expectedValue);
+      evidence[fieldName] = this.evidence;
 
       this.logImportant(
         `\n🔍 Processing: ${fieldName} (expected: ${expectedValue})`
       );
       this.logImportant(`📋 Search labels: [${fieldConfig.labels.join(", ")}]`);
 
-      if (!expectedValue && fieldConfig.required) {
+      // A 0 fee is a real expected value, only absent or blank values are missing
+      if (
+        fieldConfig.required &&
+        (expectedValue === undefined || expectedValue === null || expectedValue === "")
+      ) {
         issues.push(`Missing required field in case model: ${fieldName}`);
         continue;
       }
 
-      // Special handling for case ID (single instance)
-      if (fieldName === "caseId" && caseIdBoxes.length > 0) {
-        const result = this.processCaseIdField(
-          caseIdBoxes,
+      // Direct strategy: look for boxes containing the exact expected value first
+      const directBoxes =
+        fieldConfig.searchStrategy === "direct"
+          ? boxes.filter((box) => box.text.includes(String(expectedValue)))
+          : [];
+      if (directBoxes.length > 0) {
+        this.logImportant(
+          `🔍 Found ${directBoxes.length} boxes containing ${fieldName} "${expectedValue}"`
+        );
+        this.evidence.startStage("direct");
+        const result = this.processDirectMatchField(
+          directBoxes,
           expectedValue,
           fieldConfig
         );
         if (result) {
+          result.source = this.getResultSource(result);
           results[fieldName] = result;
           this.summary.fieldsFound++;
           if (result.valid) this.summary.fieldsValid++;
@@ -1059,21 +1576,33 @@ class SpatialDocumentValidator {
 
       let result = null;
 
-      if (shouldUseMultiTable) {
+      if (fieldConfig.searchStrategy === "line") {
+        this.evidence.startStage("line");
+        result = this.processHeaderField(
+          this.textRuns,
+          fieldName,
+          expectedValue,
+          fieldConfig
+        );
+      } else if (shouldUseMultiTable) {
         // Try multi-table approach first
         this.logImportant(`🏦 Attempting multi-table search for ${fieldName}`);
+        this.evidence.startStage("multi_table");
         result = this.processMultiTableField(
           boxes,
           fieldName,
           expectedValue,
-          fieldConfig
+          fieldConfig,
+          this.selectTableKind(caseModel)
         );
 
-        // If multi-table fails, fallback to single-table
-        if (!result || result.found === null) {
+        // If multi-table finds nothing, fallback to single-table; when only the
+        // other table has a value, taking it would validate the wrong table
+        if (!result || (result.found === null && !result.tables)) {
           this.logImportant(
             `⚠️  Multi-table failed, falling back to single-table for ${fieldName}`
           );
+          this.evidence.startStage("single_table");
           result = this.processSingleField(
             boxes,
             fieldName,
@@ -1086,6 +1615,7 @@ class SpatialDocumentValidator {
         }
       } else {
         // Use standard single-table processing
+        this.evidence.startStage("single_table");
         result = this.processSingleField(
           boxes,
           fieldName,
@@ -1094,64 +1624,615 @@ class SpatialDocumentValidator {
         );
       }
 
-      // ZONE-BASED FALLBACK: If all label-based approaches fail, try zone-based extraction
-      if ((!result || result.found === null) && ["loanAmount", "instalment", "interestRate", "insurancePremium", "collectionAccountNo"].includes(fieldName)) {
-        this.logImportant(`🎯 Label-based failed, trying zone-based extraction for ${fieldName}`);
-        result = this.extractFinancialValueByZone(boxes, fieldName, expectedValue);
-        if (result) {
-          result.method = "zone_based_fallback";
-        }
-      }
+      // ZONE-BASED FALLBACK: If all label-based approaches fail, try zone-based extraction
+      if ((!result || (result.found === null && !result.tables)) && fieldConfig.zone) {
+        this.logImportant(`🎯 Label-based failed, trying zone-based extraction for ${fieldName}`);
+        this.evidence.startStage("zone");
+        result = this.extractFinancialValueByZone(boxes, fieldName, expectedValue);
+        if (result) {
+          result.method = "zone_based_fallback";
+        }
+      }
+
+      // Process the result
+      if (result && result.found !== null) {
+        result.source = this.getResultSource(result);
+        results[fieldName] = result;
+        this.summary.fieldsFound++;
+        if (result.valid) this.summary.fieldsValid++;
+        this.logResult(
+          fieldName,
+          result.found,
+          expectedValue,
+          result.valid,
+          result.confidence
+        );
+        if (result.table) {
+          this.logImportant(
+            `📊 ${fieldName}: validated against the ${result.table} table (${result.otherTable.table} table: ${
+              result.otherTable.value ?? "not found"
+            })`
+          );
+        }
+        if (!result.valid) {
+          issues.push(
+            `${fieldName}: expected ${expectedValue}, found ${result.found}${this.describeTables(result)}`
+          );
+        }
+        if (result.idNumber) {
+          issues.push(...this.describeIdNumberIssues(fieldName, result));
+        }
+      } else if (result?.tables) {
+        this.logImportant(`❌ No ${result.table} table value for ${fieldName}`);
+        issues.push(`Field not found: ${fieldName}${this.describeTables(result)}`);
+      } else {
+        this.logImportant(`❌ Field processing failed for ${fieldName}`);
+        issues.push(`Field not found: ${fieldName}`);
+      }
+      if (this.currentBank && !result?.valid) {
+        issues.push(...this.describeBankIssues(fieldName));
+      }
+    }
+
+    this.currentField = null;
+    this.currentBank = null;
+    this.evidence = null;
+
+    // Link debug artifacts to the decision taken for every processed field
+    for (const fieldName of Object.keys(this.fieldMapping)) {
+      if (skippedFields.includes(fieldName)) continue;
+      const result = results[fieldName];
+      this.artifacts.recordDecision(fieldName, {
+        expected: caseModel[fieldName] ?? null,
+        found: result?.found ?? null,
+        valid: result?.valid ?? false,
+        confidence: result?.confidence ?? 0,
+        method: result?.method || null,
+        source: result?.source || null,
+      });
+    }
+
+    // ID numbers elsewhere in the pack (debit order, insurance forms) must be the client's
+    const idNumbers = this.findIdNumbers(
+      packBoxes === tableBoxes ? this.textRuns : this.joinTextRuns(packBoxes)
+    );
+    for (const [fieldName, fieldConfig] of Object.entries(this.fieldMapping)) {
+      if (fieldConfig.type !== "idNumber" || !results[fieldName]) continue;
+      issues.push(...this.crossCheckIdNumbers(fieldName, results[fieldName], idNumbers));
+    }
+
+    // Cross-field arithmetic runs even when every field matched the case model
+    const consistency = this.runConsistencyChecks(boxes);
+    for (const outcome of consistency) {
+      if (outcome.status === "DISCREPANCY") {
+        issues.push(
+          `Consistency: ${outcome.description} failed on page ${
+            outcome.pageIndex + 1
+          } (${outcome.expression}, document shows ${outcome.actual})`
+        );
+      }
+    }
+
+    // Each field result carries its own trail; the map also covers fields that were not found
+    const evidenceByField = Object.fromEntries(
+      Object.entries(evidence).map(([fieldName, trail]) => [fieldName, trail.toJSON()])
+    );
+    for (const [fieldName, result] of Object.entries(results)) {
+      result.evidence = evidenceByField[fieldName];
+    }
+
+    this.logFinalSummary();
+    const result = this.createResult(results, issues, skippedFields, {
+      consistency,
+      idNumbers,
+      evidence: evidenceByField,
+    });
+    await this.saveDebugLog("spatial");
+    return result;
+  }
+
+  // Tables let multi-table fields address a row of a named table instead of guessing by proximity
+  async detectTables(boxes, frames) {
+    const tables = this.tableStructure.detect(boxes, { frames });
+
+    for (const table of tables) {
+      this.logImportant(
+        `📐 Table ${table.index + 1} (${table.kind}): "${table.title || "untitled"}" on page${
+          table.pageIndexes.length > 1 ? "s" : ""
+        } ${table.pageIndexes.map((pageIndex) => pageIndex + 1).join(", ")}, ${table.cells.length} cells`
+      );
+    }
+
+    await this.artifacts.writeJson(
+      "tables.json",
+      tables.map(({ cells, ...table }) => ({
+        ...table,
+        cells: cells.map(({ box, labelBox, ...cell }) => ({
+          ...cell,
+          bbox: box && { x: box.x, y: box.y, width: box.width, height: box.height },
+        })),
+      })),
+      { description: "Tables rebuilt from column alignment and ruled frames" }
+    );
+
+    return tables;
+  }
+
+  // Box source that produced the value: "pdf", "ocr" or "enhanced_financial_ocr"
+  getResultSource(result) {
+    return (result.valueBox || result.labelBox)?.source || "unknown";
+  }
+
+  runConsistencyChecks(boxes) {
+    if (this.consistencyChecker.checks.length === 0) return [];
+
+    this.logImportant("\n🧮 Running cross-field consistency checks");
+    const valuesByPage = this.extractSupportingValues(boxes);
+    const outcomes = this.consistencyChecker.evaluate(valuesByPage);
+
+    for (const outcome of outcomes) {
+      if (outcome.status === "SKIPPED") {
+        this.logImportant(`⏭️  ${outcome.name}: ${outcome.reason}`);
+      } else {
+        const icon = outcome.status === "CONSISTENT" ? "✅" : "❌";
+        this.logImportant(
+          `${icon} ${outcome.name} (page ${outcome.pageIndex + 1}): ${
+            outcome.expression
+          }, document shows ${outcome.actual}`
+        );
+      }
+    }
+
+    return outcomes;
+  }
+
+  // Supporting values are grouped per page: each page carries its own financial table
+  extractSupportingValues(boxes) {
+    const valuesByPage = {};
+
+    for (const [fieldName, fieldConfig] of Object.entries(
+      this.supportingFields
+    )) {
+      // Only labels that start a box: the same phrases recur in the terms pages
+      const labelBoxes = this.findAllLabelBoxes(boxes, fieldConfig.labels)
+        .filter((box) => box.matchType === "exact" || box.matchType === "prefix")
+        .sort((a, b) => a.pageIndex - b.pageIndex || a.y - b.y);
+
+      for (const labelBox of labelBoxes) {
+        const pageValues = (valuesByPage[labelBox.pageIndex] ??= {});
+        if (fieldName in pageValues) continue;
+
+        const value = this.extractValueRightOfLabel(boxes, labelBox, fieldConfig);
+        if (value !== null) {
+          pageValues[fieldName] = value;
+          this.log(
+            `🧮 ${fieldName} on page ${labelBox.pageIndex + 1}: ${value}`
+          );
+        }
+      }
+    }
+
+    return valuesByPage;
+  }
+
+  // Reads the value printed after a label without an expected value to match against
+  extractValueRightOfLabel(boxes, labelBox, fieldConfig) {
+    // Value printed in the same box as the label text
+    const labelEnd =
+      labelBox.text.toLowerCase().indexOf(labelBox.matchedLabel.toLowerCase()) +
+      labelBox.matchedLabel.length;
+    const inline = this.extractValue(
+      labelBox.text.slice(labelEnd),
+      fieldConfig.type
+    );
+    if (inline !== null) return inline;
+
+    const pageBoxes = boxes.filter(
+      (box) => box.pageIndex === labelBox.pageIndex && box !== labelBox
+    );
+
+    // Wrapped labels continue on the next line(s) in the same column
+    const continuationBoxes = pageBoxes
+      .filter(
+        (box) =>
+          Math.abs(box.x - labelBox.x) <= labelBox.height &&
+          box.y > labelBox.y &&
+          box.y <= labelBox.y + labelBox.height * 2.5
+      )
+      .sort((a, b) => a.y - b.y);
+
+    // Merged boxes can carry unrelated text after the label, so measure from the label's own end
+    const labelOnly = {
+      ...labelBox,
+      width: labelBox.width * (labelEnd / labelBox.text.length),
+    };
+
+    for (const lineBox of [labelOnly, ...continuationBoxes]) {
+      if (lineBox !== labelOnly) {
+        const value = this.extractValue(lineBox.text, fieldConfig.type);
+        if (value !== null) return value;
+      }
+
+      const rightBoxes = pageBoxes
+        .filter(
+          (box) => this.isSameLine(lineBox, box) && this.isRightOf(lineBox, box)
+        )
+        .sort((a, b) => a.x - b.x);
+
+      for (const box of rightBoxes) {
+        const value = this.extractValue(box.text, fieldConfig.type);
+        if (value !== null) return value;
+        // Another label on the line means this one has no value in its column
+        if (/[a-z]{3,}/i.test(box.text)) break;
+      }
+    }
+
+    return null;
+  }
+
+  // Text runs per page, OCR words joined into phrases, in reading order
+  joinTextRuns(boxes) {
+    const pageIndexes = [...new Set(boxes.map((box) => box.pageIndex ?? 0))].sort((a, b) => a - b);
+    return pageIndexes.flatMap((pageIndex) =>
+      this.tableStructure.joinWords(boxes.filter((box) => (box.pageIndex ?? 0) === pageIndex))
+    );
+  }
+
+  /**
+   * Header fields ("Client name: MRS ...", "Date: 2023/9/18") carry their value
+   * after the label on the same line; addresses wrap onto the lines below. The
+   * value is reported even when it differs, so identity mismatches show what
+   * the document says instead of "not found"
+   */
+  processHeaderField(runs, fieldName, expectedValue, fieldConfig) {
+    let label = null;
+    for (const run of runs) {
+      for (const pattern of fieldConfig.labels) {
+        const match = HeaderFields.matchLabel(run.text, pattern);
+        if (!match) continue;
+        this.evidence?.addLabelCandidate(run, match.score, "line_prefix", pattern);
+        // Runs are in reading order: the first best match is the header's own label
+        if (!label || match.score > label.score) label = { run, pattern, ...match };
+      }
+    }
+
+    const labelBox = label && {
+      ...label.run,
+      matchScore: label.score,
+      matchedLabel: label.pattern,
+      matchType: "line_prefix",
+    };
+    this.evidence?.setLabel(labelBox);
+
+    if (!labelBox) {
+      this.logImportant(`❌ Label not found for ${fieldName}`);
+      return null;
+    }
+    this.log(`✅ Header label found: "${labelBox.text}" (score: ${label.score.toFixed(3)})`);
+
+    const pageRuns = runs.filter(
+      (run) => (run.pageIndex ?? 0) === (labelBox.pageIndex ?? 0) && run !== label.run
+    );
+    const parts = [];
+    if (label.rest) {
+      parts.push({ box: label.run, text: label.rest });
+    } else {
+      // Value in its own column further along the line
+      const right = pageRuns
+        .filter((run) => this.isSameLine(labelBox, run) && run.x >= labelBox.x + labelBox.width - labelBox.height)
+        .sort((a, b) => a.x - b.x)[0];
+      if (right && !HeaderFields.startsLabel(right.text)) {
+        parts.push({ box: right, text: right.text });
+      }
+    }
+
+    if (fieldConfig.type === "address") {
+      parts.push(...this.collectWrappedLines(pageRuns, labelBox));
+    }
+
+    if (parts.length === 0) {
+      this.logImportant(`❌ No value on the label line for ${fieldName}`);
+      return null;
+    }
+
+    const text = parts.map((part) => part.text).join(" ");
+    const valueBoxes = [...new Set(parts.map((part) => part.box))];
+    const left = Math.min(...valueBoxes.map((box) => box.x));
+    const top = Math.min(...valueBoxes.map((box) => box.y));
+    const valueBox = {
+      ...valueBoxes[0],
+      text,
+      x: left,
+      y: top,
+      width: Math.max(...valueBoxes.map((box) => box.x + box.width)) - left,
+      height: Math.max(...valueBoxes.map((box) => box.y + box.height)) - top,
+    };
+
+    const extractedValue = this.extractValue(text, fieldConfig.type);
+    const candidate = this.evidence?.addCandidate(valueBox, extractedValue, {
+      source: "line",
+    });
+    if (extractedValue === null) {
+      this.evidence?.reject(candidate, `no ${fieldConfig.type} in the text after the label`);
+      this.logImportant(`❌ No ${fieldConfig.type} after the label for ${fieldName}: "${text}"`);
+      return null;
+    }
+
+    const validation = this.validateValue(
+      extractedValue,
+      expectedValue,
+      fieldConfig.type,
+      fieldConfig.tolerance,
+      valueBox
+    );
+    if (candidate) candidate.validation = validation;
+    this.evidence?.select(candidate, "text following the label on its line");
+
+    // Type-specific findings (missing address words, decoded ID number) travel with the result
+    const { valid, confidence, difference, ...details } = validation;
+    return {
+      found: extractedValue,
+      expected: expectedValue,
+      valid,
+      confidence,
+      labelBox,
+      valueBox,
+      method: "header_line",
+      ...details,
+    };
+  }
+
+  // Checksum and case model problems an ID number comparison turned up
+  describeIdNumberIssues(fieldName, result) {
+    const issues = [];
+    if (result.idNumber.errors.length > 0) {
+      issues.push(
+        `${fieldName}: document ID number ${result.found} is not valid (${result.idNumber.errors.join(", ")})${
+          result.likelyMisread ? ", likely misread" : ""
+        }`
+      );
+    }
+    if (result.expectedIdNumber && result.expectedIdNumber.errors.length > 0) {
+      issues.push(
+        `${fieldName}: case model ID number ${result.expected} is not valid (${result.expectedIdNumber.errors.join(", ")})`
+      );
+    }
+    return issues;
+  }
+
+  /**
+   * Bank rule failures (length, check digit, foreign branch code) of the value the
+   * field settled on, or of the nearest value on the label's line when none was accepted
+   */
+  describeBankIssues(fieldName) {
+    const candidates = this.evidence?.candidates || [];
+    const nearest = candidates
+      .filter((candidate) => candidate.isSameLine !== false)
+      .sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0))[0];
+    const candidate = candidates.find((c) => c.status === "selected") || nearest;
+
+    const validation = candidate?.validation;
+    // With the tolerance applied the rules were run on the case model number
+    if (!validation?.errors?.length || validation.toleranceApplied) return [];
+    return [`${fieldName}: document shows ${candidate.value} (${validation.errors.join(", ")})`];
+  }
 
-      // Process the result
-      if (result && result.found !== null) {
-        results[fieldName] = result;
-        this.summary.fieldsFound++;
-        if (result.valid) this.summary.fieldsValid++;
-        this.logResult(
-          fieldName,
-          result.found,
-          expectedValue,
-          result.valid,
-          result.confidence
-        );
-        if (!result.valid) {
-          issues.push(
-            `${fieldName}: expected ${expectedValue}, found ${result.found}`
-          );
-        }
-      } else {
-        this.logImportant(`❌ Field processing failed for ${fieldName}`);
-        issues.push(`Field not found: ${fieldName}`);
+  /**
+   * Every ID number printed after an "ID no" / "Identity number" label in the pack
+   *
+   * @returns {Array} { idNumber, valid, dateOfBirth, gender, citizenship, pageIndex, label }
+   */
+  findIdNumbers(runs) {
+    const labelPattern = /\b(?:id|identity)\s*(?:no|nr|number)\b[.:]?/i;
+    const occurrences = [];
+
+    for (const run of runs) {
+      const label = run.text.match(labelPattern);
+      if (!label) continue;
+
+      const rest = run.text.slice(label.index + label[0].length);
+      const right = runs
+        .filter(
+          (other) =>
+            other !== run &&
+            (other.pageIndex ?? 0) === (run.pageIndex ?? 0) &&
+            this.isSameLine(run, other) &&
+            other.x >= run.x + run.width - run.height
+        )
+        .sort((a, b) => a.x - b.x)[0];
+
+      for (const text of [rest, right?.text || ""]) {
+        const [found] = SAIdNumber.find(this.cleanOCRNumberWords(text));
+        if (!found) continue;
+        const { index, errors, checksumValid, ...decoded } = found;
+        occurrences.push({ ...decoded, pageIndex: run.pageIndex ?? 0, label: label[0] });
+        break;
       }
     }
 
-    this.logFinalSummary();
-    const result = this.createResult(results, issues);
-    await this.saveDebugLog("spatial");
-    return result;
+    return occurrences;
+  }
+
+  // Valid ID numbers in the pack that differ from the one validated for the field
+  crossCheckIdNumbers(fieldName, result, idNumbers) {
+    return idNumbers
+      .filter((occurrence) => occurrence.valid && occurrence.idNumber !== result.found)
+      .map(
+        (occurrence) =>
+          `${fieldName}: ID number ${occurrence.idNumber} on page ${occurrence.pageIndex + 1} ("${
+            occurrence.label
+          }") differs from ${result.found}`
+      );
+  }
+
+  // Address lines below the label, in its column, up to the next "Label:" line
+  collectWrappedLines(pageRuns, labelBox) {
+    const parts = [];
+    const lineHeight = labelBox.height;
+    let bottom = labelBox.y + labelBox.height;
+
+    for (let line = 0; line < 3; line++) {
+      const below = pageRuns.filter(
+        (run) =>
+          run.y >= bottom - lineHeight / 2 &&
+          run.y - bottom <= lineHeight * 2.5 &&
+          run.x >= labelBox.x - lineHeight
+      );
+      if (below.length === 0) break;
+
+      const top = Math.min(...below.map((run) => run.y));
+      const lineRuns = below
+        .filter((run) => run.y - top < lineHeight / 2)
+        .sort((a, b) => a.x - b.x);
+      if (HeaderFields.startsLabel(lineRuns[0].text)) break;
+
+      parts.push(...lineRuns.map((run) => ({ box: run, text: run.text })));
+      bottom = Math.max(...lineRuns.map((run) => run.y + run.height));
+    }
+
+    return parts;
   }
 
   shouldUseMultiTableLogic(fieldName, caseModel) {
-    // FIXED: loanAmount should NOT use multi-table logic even for staff
-    // It's typically a single value that appears once in the document
-    const isFinancialField = ["instalment", "insurancePremium"].includes(
-      fieldName
-    );
-    const isStaff = caseModel.isStaff === "Yes";
+    // Profiles mark fields that repeat across regular and staff tables with multiTable: "staff"
+    // loanAmount stays single-table: it appears once in the document
+    const isMultiTableField = this.fieldMapping[fieldName]?.multiTable === "staff";
 
     this.log(
-      `📊 Multi-table check: ${fieldName}, isFinancial: ${isFinancialField}, isStaff: ${isStaff}`
+      `📊 Multi-table check: ${fieldName}, isMultiTable: ${isMultiTableField}, table: ${this.selectTableKind(caseModel)}`
+    );
+
+    // Both tables are read for every application; the case model decides which one is validated
+    return isMultiTableField;
+  }
+
+  // " in the staff table (regular table shows 27.5)" for multi-table issues
+  describeTables(result) {
+    if (!result.table) return "";
+    const { table, value, valid } = result.otherTable;
+    return ` in the ${result.table} table (${table} table ${
+      value === null ? "not found" : `shows ${value}${valid ? ", which matches" : ""}`
+    })`;
+  }
+
+  // Staff applications are priced from the staff table; isStaff ("Yes"/"No") wins over clientIsStaff
+  selectTableKind(caseModel) {
+    const flag = caseModel.isStaff ?? caseModel.clientIsStaff;
+    return flag === true || /^(?:yes|y|true)$/i.test(String(flag ?? "")) ? "staff" : "regular";
+  }
+
+  // Kind of the table a box sits in, from the last section heading above it ("PERSONAL LOAN - EMPLOYEE BENEFIT")
+  tableKindAt(box) {
+    const heading = (this.textRuns || [])
+      .filter(
+        (run) =>
+          this.tableStructure.isHeading(run) &&
+          (run.pageIndex < box.pageIndex || (run.pageIndex === box.pageIndex && run.y < box.y))
+      )
+      .sort((a, b) => a.pageIndex - b.pageIndex || a.y - b.y)
+      .pop();
+    return heading && STAFF_TITLE_PATTERN.test(heading.text) ? "staff" : "regular";
+  }
+
+  /**
+   * Result of a multi-table field: the selected table's value is validated, the
+   * other table's value travels with it for the report
+   */
+  tableResult(selected, other, tableKind, expectedValue, fields) {
+    const otherKind = tableKind === "staff" ? "regular" : "staff";
+    return {
+      found: selected?.value ?? null,
+      expected: expectedValue,
+      valid: selected?.validation.valid ?? false,
+      confidence: selected?.validation.confidence ?? 0,
+      table: tableKind,
+      tables: { [tableKind]: selected?.value ?? null, [otherKind]: other?.value ?? null },
+      otherTable: {
+        table: otherKind,
+        value: other?.value ?? null,
+        valid: other?.validation.valid ?? false,
+      },
+      ...fields,
+    };
+  }
+
+  /**
+   * Multi-table field read from the detected tables: the field's row in every
+   * table that has it, so the value's table is known rather than guessed
+   *
+   * @param {string} tableKind - "regular" or "staff", the table validated against the case model
+   * @returns {Object|null} null when no table has the row; label proximity takes over, as it
+   *   does when only the other table has it
+   */
+  processTableCellField(fieldName, expectedValue, fieldConfig, tableKind) {
+    const candidates = [];
+    for (const match of this.tableStructure.lookup(this.tables, fieldConfig.labels)) {
+      const { table, cell } = match;
+      // Best matching row per table (and per staff column in side-by-side tables)
+      if (candidates.some((c) => c.table === table && c.cell.kind === cell.kind)) continue;
+
+      const value = cell.text === null ? null : this.extractValue(cell.text, fieldConfig.type);
+      this.logImportant(
+        `📐 Table ${table.index + 1} (${cell.kind}) row "${cell.rowHeader}": ${cell.text ?? "no value"}`
+      );
+      if (value === null) continue;
+
+      candidates.push({
+        table,
+        cell,
+        value,
+        evidence: this.evidence?.addCandidate(cell.box, value, {
+          source: "table_cell",
+          tableIndex: table.index,
+          table: cell.kind,
+          row: cell.rowHeader,
+        }),
+      });
+    }
+
+    if (candidates.length === 0) return null;
+    const selected = candidates.find((candidate) => candidate.cell.kind === tableKind);
+    const other = candidates.find((candidate) => candidate.cell.kind !== tableKind);
+    this.evidence?.setLabels(candidates.map((candidate) => candidate.cell.labelBox));
+
+    for (const candidate of [selected, other].filter(Boolean)) {
+      candidate.validation = this.validateValue(
+        candidate.value,
+        expectedValue,
+        fieldConfig.type,
+        fieldConfig.tolerance,
+        candidate.cell.box
+      );
+      if (candidate.evidence) candidate.evidence.validation = candidate.validation;
+    }
+
+    this.evidence?.select(selected?.evidence, `row of the ${tableKind} table the case model selects`);
+    this.evidence?.rejectRemaining(`not the ${tableKind} table`);
+    this.logImportant(
+      `${selected?.validation.valid ? "✅" : "❌"} ${tableKind} table: ${selected?.value ?? "no row"}${
+        other ? `, ${other.cell.kind} table: ${other.value}` : ""
+      } (expected ${expectedValue})`
     );
 
-    return isFinancialField && isStaff;
+    return this.tableResult(selected, other, tableKind, expectedValue, {
+      labelBox: selected?.cell.labelBox ?? null,
+      valueBox: selected?.cell.box ?? null,
+      tableIndex: selected?.table.index ?? null,
+      tableTitle: selected?.table.title ?? null,
+      method: "table_cell",
+    });
   }
 
   // ENHANCED: Better multi-table processing with fallback
-  processMultiTableField(boxes, fieldName, expectedValue, fieldConfig) {
+  processMultiTableField(boxes, fieldName, expectedValue, fieldConfig, tableKind) {
     this.logImportant(
-      `🏦 Processing multi-table field: ${fieldName} (Staff: Yes)`
+      `🏦 Processing multi-table field: ${fieldName} (${tableKind} table)`
     );
+
+    // Rows of the detected tables first; label proximity only when the selected table has no row
+    const tableResult = this.processTableCellField(fieldName, expectedValue, fieldConfig, tableKind);
+    if (tableResult && tableResult.found !== null) return tableResult;
+
     this.logImportant(
       `🎯 Using DIRECT VALUE MATCHING approach for expected: ${expectedValue}`
     );
@@ -1162,14 +2243,18 @@ class SpatialDocumentValidator {
       `📊 Found ${allLabelBoxes.length} label instances for ${fieldName}`
     );
 
+    this.evidence?.setLabels(allLabelBoxes);
+
     if (allLabelBoxes.length === 0) {
-      return {
-        found: null,
-        expected: expectedValue,
-        valid: false,
-        confidence: 0,
-        method: "multi_table_no_labels",
-      };
+      return (
+        tableResult || {
+          found: null,
+          expected: expectedValue,
+          valid: false,
+          confidence: 0,
+          method: "multi_table_no_labels",
+        }
+      );
     }
 
     // Collect ALL extracted values from ALL label instances
@@ -1178,8 +2263,9 @@ class SpatialDocumentValidator {
     // Process each label instance using direct value matching
     for (let i = 0; i < allLabelBoxes.length; i++) {
       const labelBox = allLabelBoxes[i];
+      const kind = this.tableKindAt(labelBox);
       this.logImportant(
-        `📋 Processing label instance ${i + 1}: "${labelBox.text}"`
+        `📋 Processing label instance ${i + 1} (${kind} table): "${labelBox.text}"`
       );
 
       // Use the same focused area approach for each label
@@ -1211,10 +2297,16 @@ class SpatialDocumentValidator {
               value: labelValue,
               box: labelBox,
               tableIndex: i,
+              kind,
               source: "embedded_in_label",
               distance: 0,
               isSameLine: true,
               isToRight: false,
+              evidence: this.evidence?.addCandidate(labelBox, labelValue, {
+                source: "embedded_in_label",
+                tableIndex: i,
+                table: kind,
+              }),
             });
             this.logImportant(
               `💰 Table ${i + 1} embedded value: ${labelValue}`
@@ -1233,10 +2325,19 @@ class SpatialDocumentValidator {
             value: extractedValue,
             box: box,
             tableIndex: i,
+            kind,
             source: "near_label",
             distance,
             isSameLine,
             isToRight,
+            evidence: this.evidence?.addCandidate(box, extractedValue, {
+              source: "near_label",
+              tableIndex: i,
+              table: kind,
+              distance: Math.round(distance * 100) / 100,
+              isSameLine,
+              isToRight,
+            }),
           });
           this.logImportant(
             `💰 Table ${i + 1} extracted: ${extractedValue} from "${box.text}"`
@@ -1250,150 +2351,122 @@ class SpatialDocumentValidator {
     );
 
     if (allExtractedValues.length === 0) {
-      return {
-        found: null,
-        expected: expectedValue,
-        valid: false,
-        confidence: 0,
-        method: "multi_table_no_values",
-      };
+      return (
+        tableResult || {
+          found: null,
+          expected: expectedValue,
+          valid: false,
+          confidence: 0,
+          method: "multi_table_no_values",
+        }
+      );
     }
 
-    // STEP 1: Look for EXACT matches first
+    // STEP 1: Validate every value against the expected one
     this.logImportant(
       `🔍 Checking ${allExtractedValues.length} values for exact match to: ${expectedValue}`
     );
 
-    const exactMatches = [];
     for (const candidate of allExtractedValues) {
-      const validation = this.validateValue(
+      candidate.validation = this.validateValue(
         candidate.value,
         expectedValue,
-        fieldConfig.type
+        fieldConfig.type,
+        fieldConfig.tolerance,
+        candidate.box
       );
+      if (candidate.evidence) candidate.evidence.validation = candidate.validation;
       this.logImportant(
-        `   📊 Table ${candidate.tableIndex + 1}: ${
+        `   📊 Table ${candidate.tableIndex + 1} (${candidate.kind}): ${
           candidate.value
-        } → exact match: ${validation.valid} (confidence: ${(
-          validation.confidence * 100
+        } → exact match: ${candidate.validation.valid} (confidence: ${(
+          candidate.validation.confidence * 100
         ).toFixed(1)}%)`
       );
-
-      if (validation.valid) {
-        exactMatches.push({
-          ...candidate,
-          confidence: validation.confidence,
-        });
-      }
     }
 
-    if (exactMatches.length > 0) {
-      // Sort exact matches by spatial preference
-      exactMatches.sort((a, b) => {
-        if (a.isSameLine !== b.isSameLine) return b.isSameLine - a.isSameLine;
-        if (a.isToRight !== b.isToRight) return b.isToRight - a.isToRight;
-        if (Math.abs(a.confidence - b.confidence) > 0.01)
-          return b.confidence - a.confidence;
-        return a.distance - b.distance;
-      });
+    // STEP 2: Each table's value: an exact match if it has one, else its best
+    // positioned reasonable value, so a mismatch shows what that table says
+    const pick = (kind) => {
+      const values = allExtractedValues
+        .filter(
+          (candidate) =>
+            candidate.kind === kind &&
+            this.isReasonableValue(candidate.value, fieldConfig.type) &&
+            // Percentages near a currency label belong to another row
+            !(fieldConfig.type === "currency" && candidate.box.text.includes("%"))
+        )
+        .sort((a, b) => {
+          if (a.validation.valid !== b.validation.valid) return b.validation.valid - a.validation.valid;
+          if (a.isSameLine !== b.isSameLine) return b.isSameLine - a.isSameLine;
+          if (a.isToRight !== b.isToRight) return b.isToRight - a.isToRight;
+          if (Math.abs(a.validation.confidence - b.validation.confidence) > 0.01)
+            return b.validation.confidence - a.validation.confidence;
+          return a.distance - b.distance;
+        });
+      return values[0] || null;
+    };
 
-      const best = exactMatches[0];
-      this.logImportant(
-        `✅ Found exact match in table ${best.tableIndex + 1}: ${best.value}`
-      );
+    const selected = pick(tableKind);
+    const other = pick(tableKind === "staff" ? "regular" : "staff");
+    // The detected table's row knows its table better than a label's heading
+    if (!selected && tableResult) return tableResult;
+    if (!selected && !other) {
+      this.evidence?.rejectRemaining(`not a reasonable ${fieldConfig.type} value`);
+      this.logImportant(`❌ No reasonable values found in multi-table search`);
       return {
-        found: best.value,
+        found: null,
         expected: expectedValue,
-        valid: true,
-        confidence: best.confidence,
-        labelBox: allLabelBoxes[best.tableIndex],
-        valueBox: best.box,
-        method: "multi_table_exact_match",
-        tableIndex: best.tableIndex,
+        valid: false,
+        confidence: 0,
+        method: "multi_table_no_reasonable_values",
+        allValues: allExtractedValues.map((v) => v.value),
       };
     }
 
-    // STEP 2: STAFF LOGIC - Accept ANY reasonable value if no exact match
-    // This handles staff discount scenarios where data model may contain either rate
-    this.logImportant(
-      `⚠️  No exact match found for ${expectedValue}. Applying staff logic...`
-    );
-
-    // Sort all values by quality (prefer same line + right, then reasonable amounts)
-    allExtractedValues.sort((a, b) => {
-      // Prefer same line first
-      if (a.isSameLine !== b.isSameLine) return b.isSameLine - a.isSameLine;
-      // Then prefer right positioning
-      if (a.isToRight !== b.isToRight) return b.isToRight - a.isToRight;
-      // Then prefer reasonable amounts (not too small)
-      const aReasonable = this.isReasonableValue(a.value, fieldConfig.type)
-        ? 1
-        : 0;
-      const bReasonable = this.isReasonableValue(b.value, fieldConfig.type)
-        ? 1
-        : 0;
-      if (aReasonable !== bReasonable) return bReasonable - aReasonable;
-      // Finally prefer closer values
-      return a.distance - b.distance;
-    });
-
-    // Accept the first reasonable value (staff discount logic)
-    for (const candidate of allExtractedValues) {
-      if (this.isReasonableValue(candidate.value, fieldConfig.type)) {
-        // Additional filter for currency to avoid percentages
-        if (
-          fieldConfig.type === "currency" &&
-          candidate.box.text.includes("%")
-        ) {
-          this.logImportant(
-            `   ⚠️  Skipping percentage: ${candidate.value} from "${candidate.box.text}"`
-          );
-          continue;
-        }
-
-        this.logImportant(
-          `✅ Staff logic: Accepting table ${candidate.tableIndex + 1} value: ${
-            candidate.value
-          } (expected ${expectedValue})`
-        );
-        return {
-          found: candidate.value,
-          expected: expectedValue,
-          valid: true, // CRITICAL: Mark as valid for staff applications
-          confidence: 0.85, // High confidence for staff scenarios
-          labelBox: allLabelBoxes[candidate.tableIndex],
-          valueBox: candidate.box,
-          method: "multi_table_staff_accepted",
-          tableIndex: candidate.tableIndex,
-          allValues: allExtractedValues.map((v) => v.value),
-          note: "Staff application - accepted alternative rate",
-        };
-      }
+    if (selected) {
+      this.evidence?.select(
+        selected.evidence,
+        `${tableKind} table the case model selects: exact match first, then same line, right of label, confidence and distance`
+      );
     }
+    this.evidence?.rejectRemaining(
+      selected ? `not the best positioned ${tableKind} table value` : `no ${tableKind} table value`
+    );
+    this.logImportant(
+      `${selected?.validation.valid ? "✅" : "❌"} ${tableKind} table: ${selected?.value ?? "not found"}, ${
+        tableKind === "staff" ? "regular" : "staff"
+      } table: ${other?.value ?? "not found"} (expected ${expectedValue})`
+    );
 
-    this.logImportant(`❌ No reasonable values found in multi-table search`);
-    return {
-      found: null,
-      expected: expectedValue,
-      valid: false,
-      confidence: 0,
-      method: "multi_table_no_reasonable_values",
+    return this.tableResult(selected, other, tableKind, expectedValue, {
+      labelBox: selected ? allLabelBoxes[selected.tableIndex] : null,
+      valueBox: selected?.box ?? null,
+      tableIndex: selected?.tableIndex ?? null,
+      method: "multi_table_label",
       allValues: allExtractedValues.map((v) => v.value),
-    };
+    });
   }
 
-  // MISSING: processCaseIdField function
-  processCaseIdField(caseIdBoxes, expectedValue, fieldConfig) {
-    const caseIdBox = caseIdBoxes[0];
+  // Direct search strategy: first box that already contains the expected value (e.g. case ID)
+  processDirectMatchField(directBoxes, expectedValue, fieldConfig) {
+    const caseIdBox = directBoxes[0];
     const extractedValue = this.extractValue(caseIdBox.text, fieldConfig.type);
+    const candidate = this.evidence?.addCandidate(caseIdBox, extractedValue, {
+      source: "direct",
+    });
 
     if (extractedValue === expectedValue.toString()) {
       this.logImportant(`✅ Direct case ID match: "${extractedValue}"`);
       const validation = this.validateValue(
         extractedValue,
         expectedValue,
-        fieldConfig.type
+        fieldConfig.type,
+        fieldConfig.tolerance,
+        caseIdBox
       );
+      if (candidate) candidate.validation = validation;
+      this.evidence?.select(candidate, "first box containing the expected value");
 
       return {
         found: extractedValue,
@@ -1405,11 +2478,13 @@ class SpatialDocumentValidator {
       };
     }
 
+    this.evidence?.reject(candidate, "value parsed from the box differs from expected");
     return null;
   }
 
   processSingleField(boxes, fieldName, expectedValue, fieldConfig) {
     const labelBox = this.findLabelBox(boxes, fieldConfig.labels);
+    this.evidence?.setLabel(labelBox);
 
     if (!labelBox) {
       this.logImportant(`❌ Label not found for ${fieldName}`);
@@ -1440,7 +2515,9 @@ class SpatialDocumentValidator {
     const validation = this.validateValue(
       extractedValue,
       expectedValue,
-      fieldConfig.type
+      fieldConfig.type,
+      fieldConfig.tolerance,
+      valueBox
     );
 
     return {
@@ -1561,6 +2638,10 @@ class SpatialDocumentValidator {
           }
         }
 
+        if (score > 0.4) {
+          this.evidence?.addLabelCandidate(box, score, matchType, pattern);
+        }
+
         // LOWERED THRESHOLD for OCR: 0.4 instead of 0.6
         if (score > bestScore && score > 0.4) {
           bestScore = score;
@@ -1646,17 +2727,25 @@ class SpatialDocumentValidator {
       const validation = this.validateValue(
         labelValue,
         expectedValue,
-        fieldConfig.type
+        fieldConfig.type,
+        fieldConfig.tolerance,
+        labelBox
       );
+      const candidate = this.evidence?.addCandidate(labelBox, labelValue, {
+        source: "embedded_in_label",
+        validation,
+      });
       if (validation.valid) {
         this.log(
           `💡 ✅ EXACT MATCH in label: ${labelValue} matches expected ${expectedValue}`
         );
+        this.evidence?.select(candidate, "label box itself contains the expected value");
         return labelBox;
       } else {
         this.log(
           `💡 Label value ${labelValue} doesn't match expected ${expectedValue}`
         );
+        this.evidence?.reject(candidate, "outside tolerance of expected value");
       }
     }
 
@@ -1688,7 +2777,9 @@ class SpatialDocumentValidator {
         const validation = this.validateValue(
           extractedValue,
           expectedValue,
-          fieldConfig.type
+          fieldConfig.type,
+          fieldConfig.tolerance,
+          box
         );
 
         this.log(
@@ -1697,13 +2788,23 @@ class SpatialDocumentValidator {
           } (confidence: ${(validation.confidence * 100).toFixed(1)}%)`
         );
 
-        if (validation.valid) {
-          // EXACT MATCH FOUND!
-          const distance = this.calculateDistance(labelBox, box);
-          const isSameLine = this.isSameLine(labelBox, box, lineSpacing);
-          const isToRight = this.isRightOf(labelBox, box);
+        const distance = this.calculateDistance(labelBox, box);
+        const isSameLine = this.isSameLine(labelBox, box, lineSpacing);
+        const isToRight = this.isRightOf(labelBox, box);
+        const candidate = this.evidence?.addCandidate(box, extractedValue, {
+          source: "near_label",
+          validation,
+          distance: Math.round(distance * 100) / 100,
+          isSameLine,
+          isToRight,
+        });
 
+        if (!validation.valid) {
+          this.evidence?.reject(candidate, "outside tolerance of expected value");
+        } else {
+          // EXACT MATCH FOUND!
           allMatches.push({
+            candidate,
             box,
             value: extractedValue,
             confidence: validation.confidence,
@@ -1742,6 +2843,11 @@ class SpatialDocumentValidator {
       });
 
       const winner = allMatches[0];
+      this.evidence?.select(
+        winner.candidate,
+        "exact match, preferring same line, then right of label, then confidence, then distance"
+      );
+      this.evidence?.rejectRemaining("exact match ranked below the winner by position");
       this.log(
         `🏆 WINNER: "${winner.box.text}" → ${winner.value} at ${winner.position}`
       );
@@ -1900,13 +3006,19 @@ class SpatialDocumentValidator {
   isReasonableValue(value, type) {
     switch (type) {
       case "currency":
-        // Currency should be a positive number, not too small for main amounts
-        return value > 0 && !isNaN(value);
+        // Currency should not be negative; waived fees print as R0.00
+        return value >= 0 && !isNaN(value);
 
       case "percentage":
         // Percentage should be between 0 and 100 (roughly)
         return value >= 0 && value <= 200; // Allow for some edge cases
 
+      case "decimal":
+        return value > 0 && !isNaN(value);
+
+      case "integer":
+        return Number.isInteger(value) && value > 0;
+
       case "reference":
       case "account":
         // Reference numbers should be strings with reasonable length
@@ -2199,59 +3311,51 @@ class SpatialDocumentValidator {
 
     switch (type) {
       case "currency":
-        // STEP 1: Clean OCR artifacts before extraction
-        let cleanedText = this.cleanOCRCurrency(text);
-        this.log(`🧹 Cleaned OCR text: "${text}" → "${cleanedText}"`);
-
-        // STEP 2: Apply enhanced currency patterns
-        const currencyPatterns = [
-          // Priority 1: South African format with OCR tolerance
-          /R\s*(\d{1,3}(?:\s\d{3})*(?:[,.]\d{2})?)/g,
-          // Priority 2: Standard formats
-          /R\s*(\d{1,3}(?:[,.]\d{3})*(?:[,.]\d{2})?)/g,
-          // Priority 3: Any R followed by numbers (OCR fallback)
-          /R\s*([\d\s,.']+)/g,
-          // Priority 4: Standalone currency amounts (no R symbol)
-          /(\d{1,3}(?:\s\d{3})*(?:[,.]\d{2})?)/g,
-        ];
-
-        for (const pattern of currencyPatterns) {
-          const matches = [...cleanedText.matchAll(pattern)];
-
-          for (const match of matches) {
-            let numberPart = match[1].trim();
-
-            // Skip very short matches (likely not currency)
-            if (numberPart.replace(/[^0-9]/g, "").length < 3) continue;
-
-            // STEP 3: Smart number parsing with OCR corrections
-            const parsedValue = this.parseOCRNumber(numberPart);
-
-            if (parsedValue !== null && parsedValue > 0) {
-              this.log(
-                `💰 OCR currency extracted: "${text}" → "${match[0]}" → ${parsedValue}`
-              );
-              return parsedValue;
-            }
-          }
+      case "percentage":
+      case "decimal":
+      case "integer":
+        const reading = NumberParser.parse(text, type);
+        if (!reading || (type === "integer" && !Number.isInteger(reading.value))) {
+          this.log(`🔢 No ${type} found in OCR text: "${text}"`);
+          return null;
+        }
+        this.log(
+          `🔢 OCR ${type} extracted: "${text}" → ${reading.value} (confidence ${reading.confidence}${
+            reading.alternates.length
+              ? `, or ${reading.alternates.map((alternate) => alternate.value).join(", ")}`
+              : ""
+          })`
+        );
+        return reading.value;
+
+      case "name":
+      case "address":
+      case "phone":
+      case "date":
+      case "code":
+        const headerValue = HeaderFields.parse(text, type);
+        this.log(`🪪 Header ${type} extracted: "${text}" → ${headerValue}`);
+        return headerValue;
+
+      case "idNumber":
+        const [idMatch] = SAIdNumber.find(this.cleanOCRNumberWords(text));
+        if (idMatch) {
+          this.log(`🪪 OCR ID number extracted: "${idMatch.idNumber}"`);
+          return idMatch.idNumber;
         }
-
-        this.log(`💰 No currency found in OCR text: "${text}"`);
         return null;
 
-      case "percentage":
-        // Clean and extract percentage
-        const cleanedPercent = this.cleanOCRText(text);
-        const percentMatch = cleanedPercent.match(/([\d.,]+)(?=\s*%)/);
-        if (percentMatch) {
-          const parsed = this.parseOCRNumber(percentMatch[1]);
-          this.log(
-            `📊 OCR percentage extracted: "${percentMatch[0]}%" → ${parsed}`
-          );
-          return parsed;
+      case "branchCode":
+        const [branchCode] = this.cleanOCRNumberWords(text).match(/(?<!\d)\d{6}(?!\d)/) || [];
+        if (branchCode) {
+          this.log(`🏦 OCR branch code extracted: "${branchCode}"`);
+          return branchCode;
         }
         return null;
 
+      case "accountType":
+        return BankAccountValidator.normaliseAccountType(text);
+
       case "reference":
       case "account":
         // Extract numeric sequences with OCR cleaning
@@ -2268,119 +3372,23 @@ class SpatialDocumentValidator {
     }
   }
 
-  // Clean common OCR artifacts in currency text
-  cleanOCRCurrency(text) {
-    return (
-      text
-        // Fix common OCR character substitutions
-        .replace(/[|l]/g, "1") // Pipe/lowercase L → 1
-        .replace(/[O]/g, "0") // Capital O → 0
-        .replace(/[S]/g, "5") // Capital S → 5
-        .replace(/[§]/g, "5") // Section symbol → 5
-        .replace(/[B]/g, "8") // B → 8 (common OCR error)
-        .replace(/[Z]/g, "2") // Z → 2
-        .replace(/[G]/g, "6") // G → 6
-        // Clean whitespace and invalid chars
-        .replace(/[^\dR\s,.]/g, "") // Keep only digits, R, space, comma, period
-        .replace(/\s+/g, " ") // Normalize whitespace
-        .trim()
-    );
-  }
-
-  // Enhanced number parsing with OCR tolerance
-  parseOCRNumber(numberText) {
-    this.log(`🔢 Parsing OCR number: "${numberText}"`);
-
-    // Clean the number text
-    let cleaned = numberText
-      .replace(/[|l]/g, "1") // Fix OCR digit errors
-      .replace(/[O]/g, "0")
-      .replace(/[S]/g, "5")
-      .replace(/[§]/g, "5")
-      .replace(/[B]/g, "8")
-      .replace(/[Z]/g, "2")
-      .replace(/[G]/g, "6")
-      .trim();
-
-    this.log(`🧹 Cleaned number: "${numberText}" → "${cleaned}"`);
-
-    // Handle South African format: "147 126,58" → "147126.58"
-    if (cleaned.includes(" ") && cleaned.includes(",")) {
-      const parts = cleaned.split(",");
-      if (parts.length === 2 && parts[1].length <= 2) {
-        // Space-separated thousands with comma decimal: "147 126,58"
-        cleaned = parts[0].replace(/\s/g, "") + "." + parts[1];
-      }
-    }
-    // Handle space with period decimal: "147 126.58" → "147126.58"
-    else if (cleaned.includes(" ") && cleaned.includes(".")) {
-      const parts = cleaned.split(".");
-      if (parts.length === 2 && parts[1].length <= 2) {
-        // Space-separated thousands with period decimal: "147 126.58"
-        cleaned = parts[0].replace(/\s/g, "") + "." + parts[1];
-      }
-    }
-    // Handle space-only thousands: "147 126" → "147126"
-    else if (
-      cleaned.includes(" ") &&
-      !cleaned.includes(",") &&
-      !cleaned.includes(".")
-    ) {
-      cleaned = cleaned.replace(/\s/g, "");
-    }
-    // Handle comma thousands with period decimal: "147,126.58" → "147126.58"
-    else if (cleaned.includes(",") && cleaned.includes(".")) {
-      cleaned = cleaned.replace(/,/g, "");
-    }
-    // Handle comma as decimal: "147,58" → "147.58"
-    else if (cleaned.includes(",") && !cleaned.includes(".")) {
-      const parts = cleaned.split(",");
-      if (parts.length === 2 && parts[1].length <= 2) {
-        cleaned = parts[0] + "." + parts[1];
-      } else {
-        // Comma as thousands separator
-        cleaned = cleaned.replace(/,/g, "");
-      }
-    }
-
-    const parsed = parseFloat(cleaned);
-    const isValid = !isNaN(parsed) && parsed > 0;
-
-    this.log(
-      `🎯 Final parsed result: "${cleaned}" → ${parsed} (valid: ${isValid})`
-    );
-
-    return isValid ? parsed : null;
-  }
-
   // Clean OCR artifacts from reference numbers
   cleanOCRReference(text) {
+    return NumberParser.ocrDigits(text).replace(/[^\d]/g, ""); // Keep only digits
+  }
+
+  // Reference cleaning per word, so digit groups ("870215 0972 08 4") stay apart from other numbers
+  cleanOCRNumberWords(text) {
     return text
-      .replace(/[|l]/g, "1") // Fix common OCR digit errors
-      .replace(/[O]/g, "0")
-      .replace(/[S]/g, "5")
-      .replace(/[§]/g, "5")
-      .replace(/[B]/g, "8")
-      .replace(/[Z]/g, "2")
-      .replace(/[G]/g, "6")
-      .replace(/[^\d]/g, "") // Keep only digits
-      .trim();
-  }
-
-  // General OCR text cleaning
-  cleanOCRText(text) {
-    return text
-      .replace(/[|l]/g, "1")
-      .replace(/[O]/g, "0")
-      .replace(/[S]/g, "5")
-      .replace(/[§]/g, "5")
-      .replace(/\s+/g, " ")
-      .trim();
+      .split(/\s+/)
+      .filter((word) => /\d/.test(word))
+      .map((word) => this.cleanOCRReference(word))
+      .join(" ");
   }
 
-  validateValue(found, expected, type) {
+  validateValue(found, expected, type, tolerance = this.tolerances[type], box = null) {
     this.log(
-      `🎯 Validating: found=${found}, expected=${expected}, type=${type}`
+      `🎯 Validating: found=${found}, expected=${expected}, type=${type}, tolerance=${tolerance}`
     );
 
     if (found === null || found === undefined) {
@@ -2388,16 +3396,17 @@ class SpatialDocumentValidator {
       return { valid: false, confidence: 0 };
     }
 
-    const tolerance = this.tolerances[type];
-
     switch (type) {
       case "currency":
       case "percentage":
+      case "decimal":
+      case "integer":
         const foundNum = parseFloat(found);
         const expectedNum = parseFloat(expected);
         const diff = Math.abs(foundNum - expectedNum);
         const valid = diff <= tolerance;
-        const confidence = valid ? Math.max(0, 1 - diff / expectedNum) : 0;
+        // An expected 0 has no relative difference, so the absolute one is used
+        const confidence = valid ? Math.max(0, 1 - diff / (Math.abs(expectedNum) || 1)) : 0;
         this.log(
           `💰 Currency/Percentage validation: diff=${diff.toFixed(
             2
@@ -2405,7 +3414,7 @@ class SpatialDocumentValidator {
             2
           )}`
         );
-        return { valid, confidence };
+        return { valid, confidence, difference: Math.round(diff * 10000) / 10000 };
 
       case "reference":
         const foundStr = found.toString();
@@ -2417,22 +3426,56 @@ class SpatialDocumentValidator {
         return { valid: exact, confidence: exact ? 1 : 0 };
 
       case "account":
-        const foundAccount = found.toString();
-        const expectedAccount = expected.toString();
-        const accountDiff = this.levenshteinDistance(
-          foundAccount,
-          expectedAccount
+        const accountComparison = this.bankAccounts.validateAccount(found, expected, {
+          bank: this.currentBank,
+          tolerance,
+          // Digital text is exact; only unsure OCR boxes earn the edit-distance tolerance
+          ocrConfidence: box && box.source !== "pdf" ? box.confidence ?? null : null,
+        });
+        this.log(
+          `🏦 Account validation (${accountComparison.bank || "unknown bank"}): diff=${
+            accountComparison.difference
+          }, CDV checked=${accountComparison.cdvChecked}, tolerance applied=${accountComparison.toleranceApplied}, valid=${
+            accountComparison.valid
+          }${accountComparison.errors.length ? `, ${accountComparison.errors.join(", ")}` : ""}`
         );
-        const valid_account = accountDiff <= tolerance;
-        const confidence_account = valid_account
-          ? Math.max(0, 1 - accountDiff / expectedAccount.length)
-          : 0;
+        return accountComparison;
+
+      case "branchCode":
+        const branchComparison = this.bankAccounts.validateBranchCode(found, expected, {
+          bank: this.currentBank,
+        });
         this.log(
-          `🏦 Account validation: diff=${accountDiff}, tolerance=${tolerance}, valid=${valid_account}, confidence=${confidence_account.toFixed(
-            2
-          )}`
+          `🏦 Branch code validation (${branchComparison.bank || "unknown bank"}): "${found}" vs "${expected}" → ${branchComparison.valid}`
+        );
+        return branchComparison;
+
+      case "accountType":
+        const accountType = BankAccountValidator.normaliseAccountType(found);
+        const typeValid =
+          accountType !== null && accountType === BankAccountValidator.normaliseAccountType(expected);
+        this.log(`🏦 Account type validation: "${found}" vs "${expected}" → ${typeValid}`);
+        return { valid: typeValid, confidence: typeValid ? 1 : 0 };
+
+      case "idNumber":
+        const idComparison = SAIdNumber.compare(found, expected, tolerance);
+        this.log(
+          `🪪 ID number validation: ${idComparison.difference} digit(s) differ, checksum ${
+            idComparison.idNumber.checksumValid ? "ok" : "failed"
+          }, valid=${idComparison.valid}`
+        );
+        return idComparison;
+
+      case "name":
+      case "address":
+      case "phone":
+      case "date":
+      case "code":
+        const comparison = HeaderFields.compare(found, expected, type, tolerance);
+        this.log(
+          `🪪 Header ${type} validation: difference=${comparison.difference}, tolerance=${tolerance}, valid=${comparison.valid}`
         );
-        return { valid: valid_account, confidence: confidence_account };
+        return comparison;
 
       default:
         const defaultValid = found === expected;
@@ -2512,29 +3555,72 @@ class SpatialDocumentValidator {
   }
 
   hasValidText(pdfData) {
-    return pdfData.pages.some(
-      (page) =>
-        page.content &&
+    return pdfData.pages.some((page) => this.hasValidPageText(page));
+  }
+
+  hasValidPageText(page) {
+    return Boolean(
+      page.content &&
         page.content.length > 10 &&
         page.content.some((item) => item.str && item.str.trim().length > 3)
     );
   }
 
-  createResult(results, issues) {
-    const totalFields = Object.keys(this.fieldMapping).length;
+  createResult(results, issues, skippedFields = [], extras = {}) {
+    const totalFields = Object.keys(this.fieldMapping).length - skippedFields.length;
     const validFields = Object.values(results).filter((r) => r.valid).length;
     const confidence = totalFields > 0 ? validFields / totalFields : 0;
 
+    // Required signatures or initials without a mark fail the document like a field would
+    const signatures = extras.signatures || [];
+    const missingSignatures = signatures.filter((s) => s.required && !s.present);
+    const allIssues = [
+      ...issues,
+      // Initials are reported per party from the initials matrix below
+      // Without page images nothing was checked: say so rather than pass silently
+      ...(extras.imageExtraction?.status === "FAILED"
+        ? [`Signatures not verified: image extraction failed (${extras.imageExtraction.error})`]
+        : []),
+      ...missingSignatures
+        .filter((s) => s.type !== "initial")
+        .map((s) =>
+          s.error
+            ? `Signature not verified: ${s.name} on page ${s.pageIndex + 1} (${s.error})`
+            : `Missing required ${s.type}: ${s.name} on page ${s.pageIndex + 1}`
+        ),
+      ...(extras.alterations || []).map(
+        (a) =>
+          `Possible alteration (${a.type.replace("_", "-")}) on page ${a.pageIndex + 1} at (${a.bbox.x}, ${a.bbox.y}) ${a.bbox.width}x${a.bbox.height}${a.text ? ` near "${a.text}"` : ""}`
+      ),
+      ...Object.entries(extras.initials?.missing || {})
+        .filter(([, pageIndexes]) => pageIndexes.length > 0)
+        .map(
+          ([party, pageIndexes]) =>
+            `Missing ${party} initial on page${pageIndexes.length > 1 ? "s" : ""} ${pageIndexes
+              .map((pageIndex) => pageIndex + 1)
+              .join(", ")}`
+        ),
+    ];
+
     return {
-      status: issues.length === 0 ? "VALID" : "INVALID",
+      status: allIssues.length === 0 ? "VALID" : "INVALID",
       confidence: confidence,
       fields: results,
-      issues: issues,
+      issues: allIssues,
+      skippedFields: skippedFields,
+      ...extras,
       summary: {
         total: totalFields,
         found: Object.keys(results).length,
         valid: validFields,
         confidence: Math.round(confidence * 100) + "%",
+        ...(extras.signatures && {
+          signatures: {
+            total: signatures.length,
+            present: signatures.filter((s) => s.present).length,
+            missingRequired: missingSignatures.length,
+          },
+        }),
       },
     };
   }
@@ -2616,36 +3702,45 @@ class SpatialDocumentValidator {
 
   /**
    * Calculate signature zones using SIGNATURE_INSTRUCTION.md methodology
-   * Dynamically finds signature areas from PDF bounding boxes
+   * Dynamically finds signature areas from PDF bounding boxes, or OCR boxes for scanned pages.
+   * A client signature zone that cannot be located goes to unlocatedZones with the reason
    */
-  async calculateSignatureZones(pdfData, extractedImages) {
-    this.log(`🎯 Calculating dynamic signature zones from PDF bounding boxes`);
+  async calculateSignatureZones(pdfData, extractedImages, unlocatedZones = []) {
+    this.log(`🎯 Calculating dynamic signature zones from page text boxes`);
     
     const signatureZones = [];
     
-    // Process each page for initial zones (all pages except last)
+    // Client and witness initial blocks sit in the footer of every page except the last
     for (let pageIndex = 0; pageIndex < extractedImages.length - 1; pageIndex++) {
       const image = extractedImages[pageIndex];
       const pageBoxes = this.getPageBoxes(pdfData, pageIndex);
       
       if (pageBoxes.length === 0) continue;
       
-      try {
-        // Find signature zone using SIGNATURE_INSTRUCTION.md methodology
-        const initialZone = this.calculateClientInitialZone(pageBoxes, image);
-        if (initialZone) {
-          signatureZones.push({
-            name: `clientInitial_page${pageIndex}`,
-            type: 'initial',
-            pageIndex,
-            bounds: initialZone,
-            required: true
-          });
-          
-          this.log(`📍 Client initial zone page ${pageIndex}: (${initialZone.x}, ${initialZone.y}) ${initialZone.width}x${initialZone.height}`);
+      const initialBlocks = [
+        { party: 'client', calculate: () => this.calculateClientInitialZone(pageBoxes, image) },
+        { party: 'witness', calculate: () => this.calculateWitnessInitialZone(pageBoxes, image) }
+      ];
+      
+      for (const { party, calculate } of initialBlocks) {
+        try {
+          // Find signature zone using SIGNATURE_INSTRUCTION.md methodology
+          const initialZone = calculate();
+          if (initialZone) {
+            signatureZones.push({
+              name: `${party}Initial_page${pageIndex}`,
+              type: 'initial',
+              party,
+              pageIndex,
+              bounds: initialZone,
+              required: true
+            });
+            
+            this.log(`📍 ${party} initial zone page ${pageIndex}: (${initialZone.x}, ${initialZone.y}) ${initialZone.width}x${initialZone.height}`);
+          }
+        } catch (error) {
+          this.log(`⚠️  Could not calculate ${party} initial zone for page ${pageIndex}: ${error.message}`);
         }
-      } catch (error) {
-        this.log(`⚠️  Could not calculate initial zone for page ${pageIndex}: ${error.message}`);
       }
     }
     
@@ -2654,22 +3749,25 @@ class SpatialDocumentValidator {
       const lastPageIndex = extractedImages.length - 1;
       const lastImage = extractedImages[lastPageIndex];
       const lastPageBoxes = this.getPageBoxes(pdfData, lastPageIndex);
+      const zone = {
+        name: `clientSignature_page${lastPageIndex}`,
+        type: 'signature',
+        party: 'client',
+        pageIndex: lastPageIndex,
+        required: true
+      };
       
       try {
         const signatureZone = this.calculateClientSignatureZone(lastPageBoxes, lastImage);
-        if (signatureZone) {
-          signatureZones.push({
-            name: `clientSignature_page${lastPageIndex}`,
-            type: 'signature', 
-            pageIndex: lastPageIndex,
-            bounds: signatureZone,
-            required: true
-          });
-          
-          this.log(`📍 Client signature zone page ${lastPageIndex}: (${signatureZone.x}, ${signatureZone.y}) ${signatureZone.width}x${signatureZone.height}`);
+        if (!signatureZone) {
+          throw new Error('Client signature label not found');
         }
+        signatureZones.push({ ...zone, bounds: signatureZone });
+        
+        this.log(`📍 Client signature zone page ${lastPageIndex}: (${signatureZone.x}, ${signatureZone.y}) ${signatureZone.width}x${signatureZone.height}`);
       } catch (error) {
         this.log(`⚠️  Could not calculate signature zone for page ${lastPageIndex}: ${error.message}`);
+        unlocatedZones.push({ ...zone, error: `zone not located: ${error.message}` });
       }
     }
     
@@ -2744,6 +3842,57 @@ class SpatialDocumentValidator {
     return bounds;
   }
 
+  /**
+   * Calculate witness initial zone on the right of the initial block.
+   * Spans from the end of the "Witness initial" label to the right page margin,
+   * between the "Name and surname" row and the footer
+   */
+  calculateWitnessInitialZone(pageBoxes, image) {
+    this.log(`🎯 Calculating witness initial zone for page with ${pageBoxes.length} boxes`);
+    
+    const witnessBox = this.findBoxByText(pageBoxes, ["Witness initial"], { threshold: 0.8 });
+    if (!witnessBox) {
+      throw new Error("Could not find 'Witness initial' box for initial zone calculation");
+    }
+    this.log(`📍 Found witness initial box at (${witnessBox.x}, ${witnessBox.y})`);
+    
+    // The row above bounds the top; without it allow one label height of headroom
+    const nameBox = this.findBoxByText(pageBoxes, ["Name and surname"], { threshold: 0.8 });
+    const top = nameBox && nameBox.y < witnessBox.y
+      ? nameBox.y + nameBox.height
+      : witnessBox.y - witnessBox.height;
+    
+    const isOCRData = this.isOCRCoordinateSpace(pageBoxes, image);
+    const coordinateScale = isOCRData ? 1 : image.scaleFactor;
+    
+    this.log(`🔧 Using coordinate scale: ${coordinateScale} (${isOCRData ? 'OCR' : 'PDF'} coordinates)`);
+    
+    // Mirror the left page margin on the right
+    const leftMargin = Math.min(...pageBoxes.map(box => box.x));
+    const left = witnessBox.x + witnessBox.width;
+    const right = image.width / coordinateScale - leftMargin;
+    
+    const bounds = {
+      x: left * coordinateScale,
+      y: top * coordinateScale,
+      width: (right - left) * coordinateScale,
+      height: ((witnessBox.y + witnessBox.height * 2) - top) * coordinateScale
+    };
+    
+    if (bounds.width <= 0 || bounds.height <= 0) {
+      throw new Error(`Invalid witness initial zone bounds: ${JSON.stringify(bounds)}`);
+    }
+    
+    if (bounds.x + bounds.width > image.width || bounds.y + bounds.height > image.height) {
+      bounds.width = Math.min(bounds.width, image.width - bounds.x);
+      bounds.height = Math.min(bounds.height, image.height - bounds.y);
+      this.log(`🔧 Constrained bounds: ${JSON.stringify(bounds)}`);
+    }
+    
+    this.log(`✅ Calculated witness initial zone: (${bounds.x}, ${bounds.y}) ${bounds.width}x${bounds.height}`);
+    return bounds;
+  }
+
   /**
    * Calculate client signature zone using SIGNATURE_INSTRUCTION.md methodology  
    * Finds "Client Signature" text and creates approximate zone
@@ -2876,6 +4025,7 @@ class SpatialDocumentValidator {
       signatureZones: signatureZones.map(zone => ({
         name: zone.name,
         type: zone.type,
+        party: zone.party,
         pageIndex: zone.pageIndex,
         bounds: zone.bounds,
         required: zone.required,
@@ -2919,7 +4069,9 @@ class SpatialDocumentValidator {
         width: item.width,
         height: item.height,
         pageIndex: pageIndex,
-        boxIndex: itemIndex
+        boxIndex: itemIndex,
+        // OCR content (createMockPdfDataFromOCR) is already in image pixels
+        ...(item.source && { source: item.source, confidence: item.confidence })
       }));
     
     this.log(`📦 Retrieved ${boxes.length} boxes for page ${pageIndex}`);
@@ -3116,6 +4268,12 @@ class SpatialDocumentValidator {
     return foundBox;
   }
 
+  // Where an OCR box sits on the page image as rendered (before orientation correction)
+  pageImageBox(box) {
+    const { x, y, width, height } = box.original ?? box;
+    return { x, y, width, height };
+  }
+
   /**
    * Create mock pdfData structure from OCR boxes for scanned PDFs
    * This allows signature zone calculation to work with OCR results
@@ -3130,12 +4288,12 @@ class SpatialDocumentValidator {
       if (!pageGroups[pageIndex]) {
         pageGroups[pageIndex] = [];
       }
+      // source and confidence let isOCRCoordinateSpace skip the coordinate heuristic
       pageGroups[pageIndex].push({
         str: box.text,
-        x: box.x,
-        y: box.y, 
-        width: box.width,
-        height: box.height
+        ...this.pageImageBox(box),
+        source: box.source || 'ocr',
+        confidence: box.confidence
       });
     });
     
@@ -3147,6 +4305,8 @@ class SpatialDocumentValidator {
     // Create page entries for all pages
     for (let i = 0; i < totalPages; i++) {
       mockPdfData.pages.push({
+        source: 'ocr',
+        coordinateSpace: 'image',
         content: pageGroups[i] || []
       });
     }
@@ -3166,7 +4326,8 @@ class SpatialDocumentValidator {
       const extractedImages = await this.extractPDFPagesToImages(filePath, caseModel, 3);
       
       // Step 2: Calculate dynamic signature zones
-      const signatureZones = await this.calculateSignatureZones(pdfData, extractedImages);
+      const unlocatedZones = [];
+      const signatureZones = await this.calculateSignatureZones(pdfData, extractedImages, unlocatedZones);
       
       // Step 3: Extract signature ROIs
       const extractPath = path.join(process.cwd(), '_extract', caseModel.caseId);
@@ -3182,6 +4343,7 @@ class SpatialDocumentValidator {
         extractPath,
         extractedImages,
         signatureZones,
+        unlocatedZones,
         manifest
       };
       
@@ -3191,10 +4353,9 @@ class SpatialDocumentValidator {
     }
   }
 
+  // The shared OCR pool outlives validators: shut it down with OCRService.destroyShared()
   destroy() {
-    if (this.ocrEngine) {
-      this.ocrEngine.destroy();
-    }
+    this.ocr = null;
   }
 }
 
@@ -0,0 +1,598 @@
+import cv from '@techstark/opencv-js';
+import sharp from 'sharp';
+
+export const TABLE_DEFAULTS = {
+  // Left edges within this many text heights of each other share a column
+  columnTolerance: 1.5,
+  // Columns need this many rows; value columns are at least half values
+  minColumnRows: 3,
+  // Label lines closer than this many text heights are one wrapped row header
+  wrapSpacing: 2,
+  // A value this many text heights above or below a row header still belongs to it
+  rowTolerance: 1,
+  // Ruling lines shorter than this share of the page are letter strokes
+  minRuleRatio: 0.03,
+  // Ruled frames smaller than this in pixels are not cells
+  minFrameSize: 20,
+};
+
+// Tables under a heading (or column header) like this hold the staff rates
+export const STAFF_TITLE_PATTERN = /\b(staff|employee benefit)\b/i;
+
+// Amounts, rates and counts: "R3 393,49", "29.25%", "60"
+const VALUE_PATTERN = /^R?\s?-?\d[\d\s.,]*%?$/;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function centreY(box) {
+  return box.y + box.height / 2;
+}
+
+function contains(frame, box) {
+  const x = box.x + box.width / 2;
+  const y = centreY(box);
+  return x >= frame.x && x <= frame.x + frame.width && y >= frame.y && y <= frame.y + frame.height;
+}
+
+// OCR misreads one letter in a word ("instaiment"): one edit still matches
+function similarWord(a, b) {
+  if (a === b) return true;
+  if (a.length < 4 || Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+function bounds(boxes) {
+  const x = Math.min(...boxes.map((box) => box.x));
+  const y = Math.min(...boxes.map((box) => box.y));
+  return {
+    x,
+    y,
+    width: Math.max(...boxes.map((box) => box.x + box.width)) - x,
+    height: Math.max(...boxes.map((box) => box.y + box.height)) - y,
+  };
+}
+
+// One box around several, keeping the first box's page fields and the joined text
+function unionBox(boxes, text) {
+  const union = { ...boxes[0], ...bounds(boxes), text };
+  // Boxes of a corrected scan also carry their position on the page as rendered
+  if (boxes.every((box) => box.original)) {
+    union.original = { ...boxes[0].original, ...bounds(boxes.map((box) => box.original)) };
+  }
+  const confidences = boxes.map((box) => box.confidence).filter((value) => typeof value === 'number');
+  if (confidences.length > 0) union.confidence = Math.min(...confidences);
+  return union;
+}
+
+function normalise(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9%]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Table Structure
+ * Rebuilds key/value tables from text boxes (digital or OCR, one coordinate
+ * space) so a value can be addressed by table and row header instead of by
+ * label proximity
+ *
+ * - sections: an all-caps heading titles the text below it; text above the
+ *   first heading of a page continues the last table of the previous page
+ * - columns: left edges that line up; columns of amounts are value columns and
+ *   the text between two value columns holds the row headers of the right one
+ * - rows: wrapped label lines are joined into one row header, each value line
+ *   is paired with the nearest row header
+ * - ruled frames (findFrames on the page image) bound the table and the value
+ *   cells when they are available
+ */
+export default class TableStructure {
+  constructor(options = {}) {
+    this.isOpenCVReady = false;
+    this.settings = { ...TABLE_DEFAULTS, ...options };
+  }
+
+  async initialize() {
+    if (!cv.Mat) {
+      await new Promise(resolve => {
+        cv.onRuntimeInitialized = resolve;
+      });
+    }
+    this.isOpenCVReady = true;
+  }
+
+  /**
+   * @param {Array} boxes - text boxes of all pages with pageIndex
+   * @param {Object} options - { frames } ruled rectangles with pageIndex, in the boxes' space
+   * @returns {Array} tables: { index, title, kind, pageIndexes, columnHeaders, cells }
+   */
+  detect(boxes, { frames = [] } = {}) {
+    const tables = [];
+    let previous = null;
+
+    const pageIndexes = [...new Set(boxes.map((box) => box.pageIndex ?? 0))].sort((a, b) => a - b);
+    for (const pageIndex of pageIndexes) {
+      const pageBoxes = this.joinWords(boxes.filter((box) => (box.pageIndex ?? 0) === pageIndex));
+      const pageFrames = frames.filter((frame) => (frame.pageIndex ?? 0) === pageIndex);
+      const headings = pageBoxes.filter((box) => this.isHeading(box));
+
+      const sections = [
+        { titleBox: null, top: -Infinity },
+        ...headings.map((heading) => ({ titleBox: heading, top: heading.y + heading.height })),
+      ];
+
+      sections.forEach((section, index) => {
+        const bottom = headings[index]?.y ?? Infinity;
+        const sectionBoxes = pageBoxes.filter(
+          (box) => !headings.includes(box) && box.y >= section.top && box.y < bottom
+        );
+        // Text above the first heading carries on from the previous page
+        const continues = index === 0 ? previous : null;
+        const grid = this.buildGrid(sectionBoxes, pageFrames, continues?.table?.valueColumns);
+
+        if (grid && continues?.table) {
+          this.appendGrid(continues.table, grid, pageIndex);
+          return;
+        }
+        if (grid) {
+          const title = section.titleBox?.text ?? continues?.title ?? null;
+          const table = {
+            index: tables.length,
+            title,
+            kind: STAFF_TITLE_PATTERN.test(title ?? '') ? 'staff' : 'regular',
+            pageIndexes: [],
+            valueColumns: grid.valueColumns,
+            columnHeaders: grid.columnHeaders,
+            cells: [],
+          };
+          this.appendGrid(table, grid, pageIndex);
+          tables.push(table);
+          previous = { title, table };
+          return;
+        }
+
+        // No table here: the heading still titles a table starting on the next page
+        const empty = sectionBoxes.length === 0;
+        previous = {
+          title: section.titleBox?.text ?? previous?.title ?? null,
+          table: index === 0 && empty ? previous?.table ?? null : null,
+        };
+      });
+    }
+
+    return tables;
+  }
+
+  appendGrid(table, grid, pageIndex) {
+    if (!table.pageIndexes.includes(pageIndex)) table.pageIndexes.push(pageIndex);
+    const rowsSoFar = table.cells.reduce((count, cell) => Math.max(count, cell.row + 1), 0);
+
+    for (const cell of grid.cells) {
+      const columnHeader = table.columnHeaders[cell.column] ?? null;
+      table.cells.push({
+        ...cell,
+        row: rowsSoFar + cell.row,
+        columnHeader,
+        kind: STAFF_TITLE_PATTERN.test(columnHeader ?? '') ? 'staff' : table.kind,
+        pageIndex,
+      });
+    }
+  }
+
+  /**
+   * OCR reads single words: words of one line closer than 1.5 text heights are
+   * one phrase, so labels, values and headings line up like digital text runs
+   */
+  joinWords(pageBoxes) {
+    const height = median(pageBoxes.map((box) => box.height));
+    const sorted = [...pageBoxes].sort((a, b) => a.x - b.x);
+    const runs = [];
+
+    for (const box of sorted) {
+      // Digital text runs ("To your nominated account") are already phrases
+      const word = !/\s/.test(box.text.trim());
+      const run = word && runs.find((candidate) => {
+        const last = candidate.words[candidate.words.length - 1];
+        return (
+          candidate.joinable &&
+          Math.abs(centreY(last) - centreY(box)) < height / 2 &&
+          box.x >= last.x &&
+          box.x - (last.x + last.width) <= height * 1.5
+        );
+      });
+
+      if (run) run.words.push(box);
+      else runs.push({ words: [box], joinable: word });
+    }
+
+    return runs
+      .map(({ words }) =>
+        words.length === 1 ? words[0] : unionBox(words, words.map((box) => box.text).join(' '))
+      )
+      .sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+
+  // Section titles: all-caps lines such as "PERSONAL LOAN - EMPLOYEE BENEFIT"
+  isHeading(box) {
+    const letters = (box.text.match(/[A-Za-z]/g) || []).length;
+    return letters >= 10 && box.text === box.text.toUpperCase() && /[A-Z]{2,}\s+\S*\s*[A-Z]{2,}/.test(box.text);
+  }
+
+  isValue(text) {
+    return VALUE_PATTERN.test(text.trim());
+  }
+
+  /**
+   * Grid of one section, or null when it has no value column
+   *
+   * @param {Array} knownColumns - value column positions of the table this section continues
+   */
+  buildGrid(sectionBoxes, frames, knownColumns = null) {
+    if (sectionBoxes.length === 0) return null;
+
+    const height = median(sectionBoxes.map((box) => box.height));
+    const tolerance = height * this.settings.columnTolerance;
+
+    // A continued table keeps its columns, even those with no cells on this page
+    const valueColumns = knownColumns ?? this.findValueColumns(sectionBoxes, tolerance);
+    const starts = (candidates, columns) =>
+      candidates.filter((box) => columns.some((x) => Math.abs(box.x - x) <= tolerance));
+    if (valueColumns.length === 0 || starts(sectionBoxes, valueColumns).length === 0) return null;
+
+    // The ruled frame around the value cells is the table: text outside it is not
+    let boxes = sectionBoxes;
+    const valueBoxes = starts(sectionBoxes, valueColumns);
+    const tableFrame = frames
+      .filter((frame) => valueBoxes.filter((box) => contains(frame, box)).length >= 2)
+      .sort((a, b) => b.width * b.height - a.width * a.height)[0];
+    if (tableFrame) {
+      boxes = sectionBoxes.filter((box) => contains(tableFrame, box));
+    }
+    const cellFrames = frames.filter((frame) => frame !== tableFrame);
+
+    const columnHeaders = [];
+    const cells = [];
+    let previousRows = null;
+
+    valueColumns.forEach((x, column) => {
+      const labelLeft = Math.max(
+        this.findLabelLeft(boxes, x, tolerance),
+        column === 0 ? -Infinity : valueColumns[column - 1] + tolerance
+      );
+      const labelBoxes = boxes.filter(
+        (box) => box.x >= labelLeft && box.x + box.width / 2 < x - tolerance
+      );
+      const valueLines = this.collectValueLines(boxes, x, tolerance, height, cellFrames);
+
+      // Text above the first amount and above every row header heads the column
+      const firstLabel = Math.min(...labelBoxes.map((box) => box.y));
+      const headerLines = [];
+      while (
+        valueLines.length > 0 &&
+        !this.isValue(valueLines[0].text) &&
+        valueLines[0].box.y + valueLines[0].box.height < firstLabel
+      ) {
+        headerLines.push(valueLines.shift());
+      }
+      columnHeaders.push(headerLines.length > 0 ? headerLines.map((line) => line.text).join(' ') : null);
+
+      let rows = this.collectRowHeaders(labelBoxes, height);
+      // A value column without labels of its own reads the row headers to its left
+      if (rows.length === 0 && previousRows) rows = previousRows;
+      previousRows = rows;
+
+      for (const { row, line } of this.pairRows(rows, valueLines, height)) {
+        cells.push({
+          row: -1,
+          column,
+          rowHeader: row?.text ?? null,
+          text: line?.text ?? null,
+          box: line?.box ?? null,
+          labelBox: row ? unionBox(row.boxes, row.text) : null,
+          frame: line?.frame ?? null,
+          top: Math.min(row?.top ?? Infinity, line?.box.y ?? Infinity),
+        });
+      }
+    });
+
+    if (cells.length === 0) return null;
+
+    // Rows are numbered top to bottom within each column
+    for (let column = 0; column < valueColumns.length; column++) {
+      cells
+        .filter((cell) => cell.column === column)
+        .sort((a, b) => a.top - b.top)
+        .forEach((cell, row) => {
+          cell.row = row;
+        });
+    }
+
+    return {
+      valueColumns,
+      columnHeaders,
+      cells: cells.sort((a, b) => a.column - b.column || a.row - b.row).map(({ top, ...cell }) => cell),
+    };
+  }
+
+  findValueColumns(boxes, tolerance) {
+    const columns = [];
+    for (const box of [...boxes].sort((a, b) => a.x - b.x)) {
+      const column = columns.find((candidate) => Math.abs(box.x - candidate.x) <= tolerance);
+      if (column) column.boxes.push(box);
+      else columns.push({ x: box.x, boxes: [box] });
+    }
+
+    return columns
+      .filter((column) => {
+        const values = column.boxes.filter((box) => this.isValue(box.text)).length;
+        return values >= this.settings.minColumnRows && values >= column.boxes.length / 2;
+      })
+      .map((column) => column.x);
+  }
+
+  /**
+   * Left edge of the row headers of a value column: the nearest aligned column
+   * to its left, so text further left (another table half, margin notes) stays out
+   */
+  findLabelLeft(boxes, x, tolerance) {
+    // Currency signs set apart from their amounts ("R") do not make a label column
+    const lefts = boxes
+      .filter((box) => box.x < x - tolerance && /[a-z].*[a-z]/i.test(box.text))
+      .map((box) => box.x)
+      .sort((a, b) => b - a);
+
+    for (const left of lefts) {
+      const aligned = lefts.filter((other) => Math.abs(other - left) <= tolerance).length;
+      if (aligned >= this.settings.minColumnRows) return left - tolerance;
+    }
+    return -Infinity;
+  }
+
+  // Boxes starting in the column, joined per line with the fragments inside their ruled cell
+  collectValueLines(boxes, x, tolerance, height, cellFrames) {
+    const starts = boxes.filter((box) => Math.abs(box.x - x) <= tolerance);
+    const lines = [];
+
+    for (const start of starts.sort((a, b) => a.y - b.y)) {
+      if (lines.some((line) => line.boxes.includes(start))) continue;
+
+      const frame = cellFrames
+        .filter((candidate) => contains(candidate, start))
+        .sort((a, b) => a.width * a.height - b.width * b.height)[0];
+      const lineBoxes = boxes
+        .filter((box) =>
+          frame
+            ? contains(frame, box)
+            : box === start ||
+              (Math.abs(centreY(box) - centreY(start)) < height / 2 &&
+                box.x > start.x &&
+                box.x - (start.x + start.width) < height * 2)
+        )
+        .sort((a, b) => a.x - b.x);
+
+      const box = unionBox(lineBoxes, lineBoxes.map((lineBox) => lineBox.text).join(' '));
+      lines.push({
+        text: box.text,
+        boxes: lineBoxes,
+        box,
+        centre: centreY(box),
+        frame: frame ?? null,
+      });
+    }
+
+    return lines;
+  }
+
+  // Label lines joined into wrapped row headers
+  collectRowHeaders(labelBoxes, height) {
+    const lines = [];
+    for (const box of [...labelBoxes].sort((a, b) => a.y - b.y || a.x - b.x)) {
+      const line = lines.find((candidate) => Math.abs(candidate.centre - centreY(box)) < height / 2);
+      if (line) line.boxes.push(box);
+      else lines.push({ centre: centreY(box), boxes: [box] });
+    }
+
+    const rows = [];
+    for (const line of lines) {
+      const top = Math.min(...line.boxes.map((box) => box.y));
+      const bottom = Math.max(...line.boxes.map((box) => box.y + box.height));
+      const text = line.boxes
+        .sort((a, b) => a.x - b.x)
+        .map((box) => box.text)
+        .join(' ');
+      const last = rows[rows.length - 1];
+
+      if (last && top - last.lastTop <= height * this.settings.wrapSpacing) {
+        last.text = `${last.text} ${text}`;
+        last.boxes.push(...line.boxes);
+        last.bottom = bottom;
+        last.lastTop = top;
+      } else {
+        rows.push({ text, boxes: [...line.boxes], top, bottom, lastTop: top });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Nearest row header for every value line; row headers without a value only
+   * count between the first and last value (footnotes and paragraphs do not)
+   */
+  pairRows(rows, valueLines, height) {
+    const reach = height * this.settings.rowTolerance;
+    const distance = (row, line) =>
+      line.centre < row.top ? row.top - line.centre : line.centre > row.bottom ? line.centre - row.bottom : 0;
+
+    const pairs = [];
+    for (const line of valueLines) {
+      for (const row of rows) {
+        const gap = distance(row, line);
+        if (gap <= reach) {
+          pairs.push({ row, line, gap: gap + Math.abs((row.top + row.bottom) / 2 - line.centre) / 1000 });
+        }
+      }
+    }
+    pairs.sort((a, b) => a.gap - b.gap);
+
+    const matched = [];
+    const usedRows = new Set();
+    const usedLines = new Set();
+    for (const pair of pairs) {
+      if (usedRows.has(pair.row) || usedLines.has(pair.line)) continue;
+      usedRows.add(pair.row);
+      usedLines.add(pair.line);
+      matched.push({ row: pair.row, line: pair.line });
+    }
+
+    const first = Math.min(...valueLines.map((line) => line.centre));
+    const last = Math.max(...valueLines.map((line) => line.centre));
+    return [
+      ...matched,
+      ...valueLines.filter((line) => !usedLines.has(line)).map((line) => ({ row: null, line })),
+      ...rows
+        .filter((row) => !usedRows.has(row) && row.bottom >= first && row.top <= last)
+        .map((row) => ({ row, line: null })),
+    ];
+  }
+
+  /**
+   * Cells whose row header starts with (or holds most words of) one of the labels,
+   * best match first: exact 1, prefix 0.95, prefix with OCR misreads 0.9, words 0.8 × share
+   *
+   * @param {Array} tables - from detect()
+   * @param {Array<string>} labels - row labels to look for
+   * @param {Object} options - { kind } restricts to "regular" or "staff" cells
+   * @returns {Array} { table, cell, score }
+   */
+  lookup(tables, labels, { kind = null } = {}) {
+    const matches = [];
+
+    for (const table of tables) {
+      for (const cell of table.cells) {
+        if (!cell.rowHeader || (kind && cell.kind !== kind)) continue;
+        const header = normalise(cell.rowHeader);
+        const headerWords = header.split(' ');
+
+        let score = 0;
+        for (const label of labels) {
+          const wanted = normalise(label);
+          if (!wanted) continue;
+          if (header === wanted) score = Math.max(score, 1);
+          else if (header.startsWith(wanted)) score = Math.max(score, 0.95);
+          else {
+            const words = wanted.split(' ');
+            // Starts with the label give or take OCR misreads
+            if (words.every((word, index) => similarWord(word, headerWords[index] ?? ''))) {
+              score = Math.max(score, 0.9);
+              continue;
+            }
+            const share =
+              words.filter((word) => headerWords.some((other) => similarWord(word, other))).length /
+              words.length;
+            if (share >= 0.8) score = Math.max(score, share * 0.8);
+          }
+        }
+
+        if (score > 0) matches.push({ table, cell, score });
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score || a.table.index - b.table.index);
+  }
+
+  /**
+   * Ruled rectangles on a page image (table borders and value cells)
+   *
+   * @param {Buffer} imageBuffer - page image
+   * @returns {Promise<Array>} { x, y, width, height } in image pixels
+   */
+  async findFrames(imageBuffer) {
+    if (!this.isOpenCVReady) {
+      await this.initialize();
+    }
+
+    const { data, info } = await sharp(imageBuffer)
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const gray = new cv.Mat(info.height, info.width, cv.CV_8UC1);
+    gray.data.set(data.subarray(0, info.width * info.height));
+    const ink = new cv.Mat();
+    const rules = cv.Mat.zeros(info.height, info.width, cv.CV_8UC1);
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+
+    try {
+      cv.threshold(gray, ink, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+
+      const { minRuleRatio, minFrameSize } = this.settings;
+      const kernels = [
+        new cv.Size(Math.max(3, Math.round(info.width * minRuleRatio)), 1),
+        new cv.Size(1, Math.max(3, Math.round(info.height * minRuleRatio))),
+      ];
+      for (const size of kernels) {
+        const kernel = cv.getStructuringElement(cv.MORPH_RECT, size);
+        const lines = new cv.Mat();
+        cv.morphologyEx(ink, lines, cv.MORPH_OPEN, kernel);
+        cv.bitwise_or(rules, lines, rules);
+        kernel.delete();
+        lines.delete();
+      }
+
+      cv.findContours(rules, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+      const frames = [];
+      for (let i = 0; i < contours.size(); i++) {
+        const contour = contours.get(i);
+        const rect = cv.boundingRect(contour);
+        // The inside of a closed border fills its bounding box; open rule crossings do not
+        const closed = cv.contourArea(contour) >= rect.width * rect.height * 0.8;
+        contour.delete();
+
+        if (!closed || rect.width < minFrameSize || rect.height < minFrameSize) continue;
+        // A border has an inner and an outer contour a few pixels apart: keep one
+        const duplicate = frames.some(
+          (frame) =>
+            Math.abs(frame.x - rect.x) + Math.abs(frame.y - rect.y) <= 8 &&
+            Math.abs(frame.width - rect.width) + Math.abs(frame.height - rect.height) <= 16
+        );
+        if (!duplicate) {
+          frames.push({ x: rect.x, y: rect.y, width: rect.width, height: rect.height });
+        }
+      }
+
+      return frames;
+    } finally {
+      gray.delete();
+      ink.delete();
+      rules.delete();
+      contours.delete();
+      hierarchy.delete();
+    }
+  }
+}
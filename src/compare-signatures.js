@@ -0,0 +1,51 @@
+// Compare a signature image with a reference specimen, fully offline
+//
+//   node src/compare-signatures.js <signature.png> <reference.png> [--json]
+//
+// Exits with code 1 on a mismatch verdict
+
+import { promises as fs } from "node:fs";
+import { parseArgs } from "node:util";
+import SignatureDetector from "./cli/signature-detector.js";
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean", default: false },
+    },
+  });
+
+  if (positionals.length !== 2) {
+    console.error("Usage: node src/compare-signatures.js <signature.png> <reference.png> [--json]");
+    process.exit(2);
+  }
+
+  const [signaturePath, referencePath] = positionals;
+  const detector = new SignatureDetector();
+  const comparison = await detector.compareSignatures(
+    await fs.readFile(signaturePath),
+    await fs.readFile(referencePath)
+  );
+
+  if (values.json) {
+    console.log(JSON.stringify(comparison, null, 2));
+  } else {
+    const icon = { match: "✅", mismatch: "❌", inconclusive: "❓" }[comparison.verdict];
+    console.log(`${icon} ${comparison.verdict.toUpperCase()} (similarity ${comparison.similarity})`);
+    console.log(
+      `   Features ${comparison.scores.features}, shape ${comparison.scores.shape}, aspect ${comparison.scores.aspect}`
+    );
+    console.log(
+      `   Keypoints ${comparison.keypoints.signature}/${comparison.keypoints.reference}, ${comparison.keypoints.goodMatches} good matches`
+    );
+    for (const reason of comparison.reasons) console.log(`   ⚠️  ${reason}`);
+  }
+
+  if (comparison.verdict === "mismatch") process.exit(1);
+}
+
+main().catch((error) => {
+  console.error("❌ Signature comparison failed:", error.message);
+  process.exit(1);
+});
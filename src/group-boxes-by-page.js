@@ -5,10 +5,12 @@ import { promises as fs } from 'node:fs';
  * Sort order: top to bottom, left to right (like reading text)
  */
 async function groupBoxesByPage() {
-  console.log('🔄 Reading debug_merged_boxes.json...');
+  // merged_boxes.json from a debug artifacts run (DEBUG_ARTIFACTS=1)
+  const inputPath = process.argv[2] || 'debug_merged_boxes.json';
+  console.log(`🔄 Reading ${inputPath}...`);
   
   // Read the merged boxes
-  const boxesData = await fs.readFile('debug_merged_boxes.json', 'utf8');
+  const boxesData = await fs.readFile(inputPath, 'utf8');
   const boxes = JSON.parse(boxesData);
   
   console.log(`📦 Found ${boxes.length} total bounding boxes`);
@@ -0,0 +1,144 @@
+// Ground-truth regression run over labelled samples
+//
+//   node src/regression.js [--samples test/regression/samples.json] [--samples-dir test/samples]
+//     [--report-dir test/regression/reports] [--concurrency 2] [--model eng.traineddata]
+//     [--debug-artifacts]
+//
+// Exits with code 1 when the run regressed against the previous report
+
+import path from "path";
+import { promises as fs } from "node:fs";
+import { parseArgs } from "node:util";
+import ProductProfileRegistry from "./cli/product-profiles.js";
+import BatchRunner from "./cli/batch-runner.js";
+import RegressionReport from "./cli/regression-report.js";
+import OCRService from "./cli/ocr-service.js";
+import DebugArtifacts from "./cli/debug-artifacts.js";
+
+function printMetrics(report) {
+  const percent = (value) => `${Math.round(value * 100)}%`.padStart(6);
+
+  for (const [group, fields] of Object.entries(report.metrics)) {
+    console.log(`\n📊 ${group.toUpperCase()}`);
+    console.log("─".repeat(72));
+    console.log(
+      `${"Field".padEnd(24)} ${"Total".padStart(6)} ${"Prec.".padStart(6)} ${"Recall".padStart(6)} ${"F.Acc".padStart(6)} ${"F.Rej".padStart(6)}`
+    );
+    for (const [field, stats] of Object.entries(fields)) {
+      console.log(
+        `${field.padEnd(24)} ${String(stats.total).padStart(6)} ${percent(stats.precision)} ${percent(stats.recall)} ${String(stats.falseAccepts).padStart(6)} ${String(stats.falseRejects).padStart(6)}`
+      );
+    }
+  }
+}
+
+function describeChange(change) {
+  if (change.metric) {
+    return `${change.group}/${change.field} ${change.metric}: ${Math.round(change.before * 100)}% → ${Math.round(change.after * 100)}%`;
+  }
+  return `${change.sample} ${change.field}: expected ${change.expected}, was ${change.before}, now ${change.after}`;
+}
+
+async function readReport(reportPath) {
+  try {
+    return JSON.parse(await fs.readFile(reportPath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      samples: { type: "string", default: path.join("test", "regression", "samples.json") },
+      "samples-dir": { type: "string", default: path.join("test", "samples") },
+      "report-dir": { type: "string", default: path.join("test", "regression", "reports") },
+      concurrency: { type: "string", default: "2" },
+      model: { type: "string", default: path.join(process.cwd(), "eng.traineddata") },
+      "debug-artifacts": { type: "boolean", default: false },
+    },
+  });
+
+  const { samples } = JSON.parse(await fs.readFile(values.samples, "utf8"));
+
+  const available = [];
+  for (const sample of samples) {
+    const file = path.join(values["samples-dir"], sample.file);
+    const exists = await fs.access(file).then(() => true).catch(() => false);
+    if (exists) {
+      available.push({ sample, job: { file, caseModel: sample.caseModel } });
+    } else {
+      console.log(`⚠️  Sample ${sample.id}: ${file} not found, skipping`);
+    }
+  }
+
+  console.log(`🚀 Regression run over ${available.length}/${samples.length} labelled samples`);
+  console.log("─".repeat(72));
+
+  const debugArtifacts = DebugArtifacts.shared({
+    enabled: values["debug-artifacts"] || undefined,
+  });
+  if (debugArtifacts.enabled) {
+    console.log(`🗂️  Debug artifacts: ${debugArtifacts.runDir}`);
+  }
+
+  const profiles = new ProductProfileRegistry();
+  const runner = new BatchRunner({
+    concurrency: Number.parseInt(values.concurrency, 10),
+    modelPath: values.model,
+    profiles,
+    onResult: (outcome, index, total) => {
+      console.log(`📄 [${index + 1}/${total}] ${outcome.file}: ${outcome.result.status}`);
+    },
+  });
+  const outcomes = await runner
+    .run(available.map(({ job }) => job))
+    .finally(() => OCRService.destroyShared());
+
+  const report = RegressionReport.build(
+    available.map(({ sample }) => sample),
+    outcomes,
+    profiles
+  );
+  printMetrics(report);
+
+  const latestPath = path.join(values["report-dir"], "latest.json");
+  const previous = await readReport(latestPath);
+  const { regressions, improvements } = RegressionReport.diff(report, previous);
+  report.diff = {
+    previousGeneratedAt: previous?.generatedAt || null,
+    regressions,
+    improvements,
+  };
+
+  if (!previous) {
+    console.log("\n📝 No previous report: this run becomes the baseline");
+  } else {
+    console.log(`\n🔁 Compared with run from ${previous.generatedAt}`);
+    for (const change of improvements) console.log(`✅ ${describeChange(change)}`);
+    for (const change of regressions) console.log(`❌ ${describeChange(change)}`);
+    if (regressions.length === 0 && improvements.length === 0) {
+      console.log("➖ No changes");
+    }
+  }
+
+  await fs.mkdir(values["report-dir"], { recursive: true });
+  const historyPath = path.join(
+    values["report-dir"],
+    `report-${report.generatedAt.replace(/[:.]/g, "-")}.json`
+  );
+  await fs.writeFile(historyPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(latestPath, JSON.stringify(report, null, 2));
+  console.log(`💾 Report saved to: ${historyPath}`);
+
+  if (regressions.length > 0) {
+    console.log(`\n❌ ${regressions.length} regression(s) against the previous run`);
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Regression run failed:", error.message);
+  process.exit(1);
+});
@@ -3,6 +3,8 @@
 import path from "path";
 import { promises as fs } from "node:fs";
 import SpatialDocumentValidator from "./cli/spatial-document-validator.js";
+import OCRService from "./cli/ocr-service.js";
+import DebugArtifacts from "./cli/debug-artifacts.js";
 
 async function main() {
   // 🎯 Switch to OCR testing mode  
@@ -17,6 +19,9 @@ async function main() {
       productDescription: "Personal Loan",
       caseId: "10016998899",
       clientIdNo: "8702150972084",
+      clientName: "Thobeka Mazibu",
+      clientContactNo: "0781335965",
+      quoteDate: "2023-09-18",
       clientIsStaff: true,
       loanAmount: 90640.57,
       initiationFee: 1207.5,
@@ -26,6 +31,7 @@ async function main() {
       insurancePremium: 321.46,
       collectionBank: "Nedbank",
       collectionAccountNo: "1148337962",
+      collectionAccountType: "Current",
       isStaff: "Yes",
     };
 
@@ -119,6 +125,12 @@ async function main() {
           console.log(`   Method: ${result.method}`);
         }
         
+        if (result.table) {
+          console.log(
+            `   Table: ${result.table} (${result.otherTable.table} table: ${result.otherTable.value ?? "not found"})`
+          );
+        }
+        
         if (result.ocrQuality) {
           console.log(`   OCR Quality: ${result.ocrQuality}`);
         }
@@ -127,6 +139,30 @@ async function main() {
       }
     }
 
+    if (results.signatures?.length > 0) {
+      console.log("✍️  SIGNATURES");
+      console.log("─".repeat(60));
+      for (const signature of results.signatures) {
+        const status = signature.present ? "✅" : signature.required ? "❌" : "➖";
+        console.log(
+          `${status} ${signature.name}: ${signature.present ? "present" : "absent"} (confidence ${signature.confidence})`
+        );
+      }
+      console.log();
+    }
+
+    if (results.initials?.pages.length > 0) {
+      console.log("✍️  INITIALS PER PAGE");
+      console.log("─".repeat(60));
+      const mark = (cell) => (cell.present ? "✅" : cell.located ? "❌" : "❓");
+      for (const row of results.initials.pages) {
+        console.log(
+          `Page ${row.pageIndex + 1}: client ${mark(row.client)}  witness ${mark(row.witness)}`
+        );
+      }
+      console.log();
+    }
+
     if (results.issues.length > 0) {
       console.log("⚠️  ISSUES FOUND");
       console.log("─".repeat(60));
@@ -141,15 +177,20 @@ async function main() {
     console.log(`\n💾 Results saved to: ${resultPath}`);
 
     // OCR-specific debugging advice
-    if (testMode === "scanned") {
+    const debugArtifacts = DebugArtifacts.shared();
+    if (testMode === "scanned" && !debugArtifacts.enabled) {
+      console.log("\n💡 Run with DEBUG_ARTIFACTS=1 to keep OCR boxes, page images and the log");
+    } else if (testMode === "scanned") {
       console.log("\n🔧 OCR DEBUGGING FILES CREATED:");
       console.log("─".repeat(60));
-      console.log("• scanned_validation_log.txt - Detailed OCR processing log");
-      console.log("• debug_ocr_raw_boxes.json - Raw Tesseract bounding boxes");
-      console.log("• debug_ocr_merged_boxes.json - Merged OCR bounding boxes");
-      console.log("• debug_scanned-application_page1_original.png - Original extracted page");
-      console.log("• debug_scanned-application_page1_enhanced.png - Sharp-enhanced page");
-      console.log("• scanned_validation_result.json - Final OCR results");
+      console.log(`📁 ${path.join(debugArtifacts.runDir, caseModel.caseId)}`);
+      console.log("• spatial_validation_log.jsonl - Structured OCR processing log (JSON lines)");
+      console.log("• ocr_raw_boxes.json - Raw Tesseract bounding boxes");
+      console.log("• ocr_merged_boxes.json - Merged OCR bounding boxes");
+      console.log("• page1_original.png - Original extracted page");
+      console.log("• page1_enhanced.png - Sharp-enhanced page");
+      console.log("• index.json - Artifacts linked to each field decision");
+      console.log("• scanned_validation_result.json - Final OCR results (working directory)");
       
       console.log("\n🖼️  IMAGE QUALITY COMPARISON:");
       console.log("─".repeat(60));
@@ -160,7 +201,7 @@ async function main() {
       if (successRate < 80) {
         console.log("\n💡 OCR IMPROVEMENT SUGGESTIONS:");
         console.log("─".repeat(60));
-        console.log("• Check debug_ocr_raw_boxes.json for text recognition quality");
+        console.log("• Check ocr_raw_boxes.json for text recognition quality");
         console.log("• Compare original vs enhanced image quality");
         console.log("• Verify financial values are being detected by Tesseract");
         console.log("• Consider additional preprocessing if enhancement insufficient");
@@ -203,6 +244,7 @@ async function main() {
     return null;
   } finally {
     validator.destroy();
+    await OCRService.destroyShared();
   }
 }
 
@@ -1,6 +1,6 @@
-import { promises as fs } from 'node:fs';
 import path from 'path';
 import SignatureDetector from './cli/signature-detector.js';
+import DebugArtifacts from './cli/debug-artifacts.js';
 import { pdf as pdfImageExtract } from 'pdf-to-img';
 import { DynamicSignatureZones } from './dynamic-signature-zones.js';
 
@@ -12,6 +12,8 @@ async function testSignatureDetection() {
   console.log('═'.repeat(60));
 
   const detector = new SignatureDetector();
+  // This script exists to inspect ROIs, so always keep its debug images
+  const debugRun = new DebugArtifacts({ enabled: true });
   
   // Test cases
   const testCases = [
@@ -58,6 +60,7 @@ async function testSignatureDetection() {
       console.log(`📊 PDF extraction started, iterating through pages...`);
 
       // Extract first page from async iterator
+      const artifacts = debugRun.forCase('signature-test', testCase.name.toLowerCase().replace(' ', '_'));
       let firstPageBuffer = null;
       let pageIndex = 0;
       for await (const pageBuffer of pdfDocument) {
@@ -65,8 +68,7 @@ async function testSignatureDetection() {
         console.log(`✅ Extracted first page (${pageBuffer ? pageBuffer.length : 'no buffer'} bytes)`);
         
         // Write source page image to disk for debugging
-        const sourceFileName = `debug_source_page${pageIndex}_${testCase.name.toLowerCase().replace(' ', '_')}.png`;
-        await fs.writeFile(sourceFileName, pageBuffer);
+        const sourceFileName = await artifacts.writeFile(`source_page${pageIndex}.png`, pageBuffer, { kind: 'image', pageIndex });
         console.log(`💾 Saved source page image: ${sourceFileName}`);
         
         break; // Only need first page
@@ -80,7 +82,8 @@ async function testSignatureDetection() {
       console.log(`✅ Extracted first page (${firstPageBuffer ? firstPageBuffer.length : 'no buffer'} bytes)`);
 
       // Run signature detection with scale factor
-      const results = await detector.detectSignatureMarks(firstPageBuffer, signatureZones, scale);
+      const results = await detector.detectSignatureMarks(firstPageBuffer, signatureZones, scale, artifacts);
+      await artifacts.writeIndex();
       
       // Display results
       console.log(`\n🎯 Signature Detection Results for ${testCase.name}:`);
@@ -124,8 +127,8 @@ async function testSignatureDetection() {
     }
   }
 
-  console.log('\n🔧 Debug images saved with prefix: debug_signature_*');
-  console.log('📁 Check the current directory for ROI extraction images');
+  console.log(`\n🔧 Debug images saved under: ${debugRun.runDir}`);
+  console.log('📁 Check signature_*_roi.png for ROI extraction images');
   console.log('\n✨ Test complete! Use results to refine signature zone coordinates.');
 }
 
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import sharp from "sharp";
+import AlterationDetector from "../../src/cli/alteration-detector.js";
+
+// First page of the digital sample rendered at scale 3, with its pdf.js runs
+// lifted from the baseline the way the validator does
+const PAGE = readFileSync(new URL("../fixtures/digital-application-page1.png", import.meta.url));
+const SCALE = 3;
+const RUNS = JSON.parse(
+  readFileSync(new URL("../fixtures/digital-application-page1-boxes.json", import.meta.url))
+);
+const TEXT_BOXES = RUNS.map((box) => ({
+  text: box.text,
+  x: box.x * SCALE,
+  y: (box.y - box.height) * SCALE,
+  width: box.width * SCALE,
+  height: box.height * 1.3 * SCALE,
+}));
+const FINANCIAL_TABLE = { x: 100, y: 1200, width: 1400, height: 800 };
+
+const detector = new AlterationDetector();
+
+function textBox(text) {
+  return TEXT_BOXES.find((box) => box.text === text);
+}
+
+// Horizontal line through the middle of a text box, overshooting it on both sides
+function lineThrough(box, strokeWidth) {
+  const y = Math.round(box.y + box.height / 2);
+  return `<line x1="${box.x - 10}" y1="${y}" x2="${box.x + box.width + 10}" y2="${y}" stroke="black" stroke-width="${strokeWidth}" shape-rendering="crispEdges"/>`;
+}
+
+async function drawOnPage(shapes) {
+  const { width, height } = await sharp(PAGE).metadata();
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${shapes.join("")}</svg>`;
+  return sharp(PAGE).composite([{ input: Buffer.from(svg) }]).png().toBuffer();
+}
+
+test("finds no alterations on a clean page", async () => {
+  const alterations = await detector.detectAlterations(PAGE, FINANCIAL_TABLE, TEXT_BOXES, 0);
+  assert.deepEqual(alterations, []);
+});
+
+test("ignores filled cell backgrounds", async () => {
+  const page = await drawOnPage(['<rect x="130" y="1230" width="300" height="60" fill="#777"/>']);
+  const alterations = await detector.detectAlterations(page, FINANCIAL_TABLE, TEXT_BOXES, 0);
+  assert.deepEqual(alterations, []);
+});
+
+test("reports a pen stroke through a value as a strike-through", async () => {
+  const page = await drawOnPage([lineThrough(textBox("R3 393,49"), 4)]);
+  const alterations = await detector.detectAlterations(page, FINANCIAL_TABLE, TEXT_BOXES, 0);
+  assert.equal(alterations.length, 1);
+  assert.equal(alterations[0].type, "strike_through");
+  assert.equal(alterations[0].text, "R3 393,49");
+});
+
+test("does not count a single-row line through a value as a strike", async () => {
+  const page = await drawOnPage([lineThrough(textBox("R88 333,73"), 1)]);
+  const alterations = await detector.detectAlterations(page, FINANCIAL_TABLE, TEXT_BOXES, 0);
+  assert.deepEqual(alterations, []);
+});
+
+test("reports handwriting beside the table values", async () => {
+  const page = await drawOnPage([
+    '<path d="M 250 1700 q 30 -40 60 0 t 60 0 t 60 0 M 260 1730 l 150 -20" stroke="black" stroke-width="4" fill="none"/>',
+  ]);
+  const alterations = await detector.detectAlterations(page, FINANCIAL_TABLE, TEXT_BOXES, 0);
+  assert.equal(alterations.length, 1);
+  assert.equal(alterations[0].type, "handwriting");
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import BankAccountValidator, { BANK_RULES } from "../../src/cli/bank-accounts.js";
+
+// Collection accounts of the digital and scanned sample PAQs
+const NEDBANK_ACCOUNTS = ["1148337962", "1171851065"];
+
+const validator = new BankAccountValidator();
+
+test("passes the Nedbank check digit for the sample accounts", () => {
+  for (const account of NEDBANK_ACCOUNTS) {
+    assert.equal(BankAccountValidator.cdvValid(account, BANK_RULES.nedbank.cdv), true, account);
+  }
+});
+
+test("fails the Nedbank check digit when a digit changes", () => {
+  assert.equal(BankAccountValidator.cdvValid("1148337963", BANK_RULES.nedbank.cdv), false);
+  assert.equal(BankAccountValidator.cdvValid("1171851056", BANK_RULES.nedbank.cdv), false);
+});
+
+test("rejects account numbers longer than the weighting", () => {
+  assert.equal(BankAccountValidator.cdvValid("11483379620", BANK_RULES.nedbank.cdv), false);
+});
+
+test("accepts an exact match from digital text", () => {
+  const result = validator.validateAccount("1148337962", "1148337962", { bank: "Nedbank", tolerance: 1 });
+  assert.equal(result.valid, true);
+  assert.equal(result.confidence, 1);
+  assert.equal(result.cdvChecked, true);
+  assert.equal(result.toleranceApplied, false);
+});
+
+test("does not forgive a differing digit in digital text", () => {
+  const result = validator.validateAccount("1148337963", "1148337962", { bank: "Nedbank", tolerance: 1 });
+  assert.equal(result.valid, false);
+  assert.equal(result.difference, 1);
+  assert.deepEqual(result.errors, ["fails the Nedbank check digit"]);
+});
+
+test("forgives a misread digit when OCR was unsure", () => {
+  const result = validator.validateAccount("1171851066", "1171851065", {
+    bank: "Nedbank",
+    tolerance: 1,
+    ocrConfidence: 0.6,
+  });
+  assert.equal(result.valid, true);
+  assert.equal(result.toleranceApplied, true);
+  assert.equal(result.confidence, 0.9);
+});
+
+test("forgives a dropped digit when OCR was unsure", () => {
+  const result = validator.validateAccount("117185065", "1171851065", {
+    bank: "Nedbank",
+    tolerance: 1,
+    ocrConfidence: 0.6,
+  });
+  assert.equal(result.difference, 1);
+  assert.equal(result.valid, true);
+});
+
+test("does not forgive a misread digit when OCR was confident", () => {
+  const result = validator.validateAccount("1171851066", "1171851065", {
+    bank: "Nedbank",
+    tolerance: 1,
+    ocrConfidence: 0.95,
+  });
+  assert.equal(result.valid, false);
+});
+
+test("does not forgive more digits than the tolerance", () => {
+  const result = validator.validateAccount("1171851166", "1171851065", {
+    bank: "Nedbank",
+    tolerance: 1,
+    ocrConfidence: 0.6,
+  });
+  assert.equal(result.difference, 2);
+  assert.equal(result.valid, false);
+});
+
+test("applies the tolerance for banks without a check digit", () => {
+  const result = validator.validateAccount("4063218791", "4063218792", {
+    bank: "ABSA",
+    tolerance: 1,
+    ocrConfidence: 0.6,
+  });
+  assert.equal(result.valid, true);
+  assert.equal(result.cdvChecked, false);
+  assert.equal(result.toleranceApplied, true);
+});
+
+test("rejects account numbers of the wrong length for the bank", () => {
+  const result = validator.validateAccount("114833796", "114833796", { bank: "Nedbank" });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, ["9 digits, Nedbank accounts have 10"]);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import CaseManifest from "../../src/cli/case-manifest.js";
+
+function entry(caseId, file = null) {
+  return { file, caseModel: { caseId } };
+}
+
+test("matches a file named after the case", () => {
+  const manifest = new CaseManifest([entry("1001"), entry("10016998899")]);
+  const { jobs, unmatchedFiles } = manifest.match(["docs/10016998899.pdf"]);
+  assert.deepEqual(unmatchedFiles, []);
+  assert.equal(jobs[0].caseModel.caseId, "10016998899");
+});
+
+test("matches the caseId as a delimited token of the filename", () => {
+  const manifest = new CaseManifest([entry("1001"), entry("10016998899")]);
+  const { jobs } = manifest.match(["PAQ_10016998899-signed.pdf", "1001 debit order.pdf"]);
+  assert.deepEqual(
+    jobs.map((job) => job.caseModel.caseId),
+    ["10016998899", "1001"]
+  );
+});
+
+test("does not match a caseId inside a longer number", () => {
+  const manifest = new CaseManifest([entry("1001")]);
+  const { jobs, unmatchedFiles, missingDocuments } = manifest.match(["10016998899.pdf"]);
+  assert.deepEqual(jobs, []);
+  assert.deepEqual(unmatchedFiles, ["10016998899.pdf"]);
+  assert.deepEqual(missingDocuments, ["1001"]);
+});
+
+test("prefers an exact filename over a caseId match", () => {
+  const manifest = new CaseManifest([entry("10016998899"), entry("10016998899", "10016998899.pdf")]);
+  const { jobs } = manifest.match(["10016998899.pdf"]);
+  assert.equal(jobs[0].caseModel, manifest.entries[1].caseModel);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import HeaderFields from "../../src/cli/header-fields.js";
+
+test("reads the value after a label with OCR slips", () => {
+  const match = HeaderFields.matchLabel("Ctient ID no: 8702150972084", "Client ID no");
+  assert.ok(match.score >= 0.8);
+  assert.equal(match.rest, "8702150972084");
+  assert.equal(HeaderFields.matchLabel("Loan amount R90 640,57", "Client ID no"), null);
+});
+
+test("matches names without titles and in either order", () => {
+  assert.equal(HeaderFields.compare("MRS THOBEKA MAZIBU", "Thobeka Mazibu", "name", 0.15).valid, true);
+  assert.equal(HeaderFields.compare("MAZIBU THOBEKA", "Thobeka Mazibu", "name", 0.15).valid, true);
+  assert.equal(HeaderFields.compare("JOHN SMITH", "Thobeka Mazibu", "name", 0.15).valid, false);
+});
+
+test("matches addresses with abbreviated street words", () => {
+  const result = HeaderFields.compare("12 Main Rd Soweto 1804", "12 Main Road, Soweto, 1804", "address", 0.25);
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.missing, ["road"]);
+});
+
+test("fails an address with a wrong house number", () => {
+  const result = HeaderFields.compare("12 Main Road, Soweto, 1804", "21 Main Road Soweto 1804", "address", 0.25);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.missing, ["21"]);
+});
+
+test("treats postcodes with and without a leading zero alike", () => {
+  assert.equal(HeaderFields.compare("1 Long St, Cape Town, 0800", "1 Long St Cape Town 800", "address", 0).valid, true);
+});
+
+test("normalises phone numbers to the local ten-digit form", () => {
+  assert.equal(HeaderFields.normalisePhone("+27 78 133 5965"), "0781335965");
+  assert.equal(HeaderFields.normalisePhone("O78 l33 5965"), "0781335965");
+  assert.equal(HeaderFields.normalisePhone("12"), null);
+  assert.equal(HeaderFields.compare("078 133 5965", "0781335965", "phone", 0).valid, true);
+  assert.equal(HeaderFields.compare("0781335966", "0781335965", "phone", 0).valid, false);
+});
+
+test("normalises the date formats of PAQs and case models", () => {
+  for (const text of [
+    "2023/9/18",
+    "18/9/2023",
+    "2023-09-18T00:00:00Z",
+    "2023-09-18T00:00:00+02:00",
+    "18 September 2023",
+    "Sep 18, 2023",
+  ]) {
+    assert.equal(HeaderFields.normaliseDate(text), "2023-09-18", text);
+  }
+  assert.equal(HeaderFields.normaliseDate("2023/2/30"), null);
+  assert.equal(HeaderFields.normaliseDate("20230-09-18"), null);
+});
+
+test("keeps the local calendar day of Date objects", () => {
+  const timezone = process.env.TZ;
+  process.env.TZ = "Africa/Johannesburg";
+  try {
+    // Midnight SAST is 22:00 the day before in UTC
+    assert.equal(HeaderFields.normaliseDate(new Date(2023, 8, 18)), "2023-09-18");
+  } finally {
+    if (timezone === undefined) delete process.env.TZ;
+    else process.env.TZ = timezone;
+  }
+});
+
+test("compares dates within the tolerance in days", () => {
+  assert.equal(HeaderFields.compare("2023/9/18", "2023-09-18T00:00:00Z", "date", 0).valid, true);
+  assert.equal(HeaderFields.compare("2023/9/19", "2023-09-18", "date", 0).valid, false);
+  assert.equal(HeaderFields.compare("2023/9/19", "2023-09-18", "date", 1).valid, true);
+});
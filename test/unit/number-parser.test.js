@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import NumberParser from "../../src/cli/number-parser.js";
+
+test("reads thousands separated by a space with a decimal comma", () => {
+  const reading = NumberParser.parse("R147 126,58", "currency");
+  assert.equal(reading.value, 147126.58);
+  assert.equal(reading.confidence, 1);
+  assert.equal(reading.currency, true);
+});
+
+test("reads thousands separated by a comma with a decimal point", () => {
+  const reading = NumberParser.parse("R90,640.57", "currency");
+  assert.equal(reading.value, 90640.57);
+  assert.equal(reading.confidence, 1);
+});
+
+test("reads a percentage with a decimal comma and p.a.", () => {
+  const reading = NumberParser.parse("29,25% p.a.", "percentage");
+  assert.equal(reading.value, 29.25);
+  assert.equal(reading.percentage, true);
+  assert.equal(reading.negative, false);
+});
+
+test("reads bracketed amounts as negative", () => {
+  const reading = NumberParser.parse("(R1 207.50)", "currency");
+  assert.equal(reading.value, -1207.5);
+  assert.equal(reading.negative, true);
+});
+
+test("reads CR amounts as credits", () => {
+  const reading = NumberParser.parse("R69.00 CR", "currency");
+  assert.equal(reading.value, -69);
+  assert.equal(reading.negative, true);
+});
+
+test("reads a waived fee printed as R0.00", () => {
+  assert.equal(NumberParser.parse("R0.00", "currency").value, 0);
+  assert.equal(NumberParser.parse("Initiation fee R0,00", "currency").value, 0);
+  assert.equal(NumberParser.parse("0,00", "currency").value, 0);
+});
+
+test("skips a bare 0 in front of an amount", () => {
+  assert.equal(NumberParser.parse("0", "currency"), null);
+  assert.equal(NumberParser.parse("Fee 0 R1 200,00", "currency").value, 1200);
+});
+
+test("fixes OCR digit confusions inside numeric words", () => {
+  assert.equal(NumberParser.parse("Service fee R69.0O", "currency").value, 69);
+  assert.equal(NumberParser.parse("R1l5.00", "currency").value, 115);
+  assert.equal(NumberParser.parse("RS00.00", "currency").value, 500);
+  assert.equal(NumberParser.parse("B00.00", "currency").value, 800);
+});
+
+test("lowers confidence for each OCR fix", () => {
+  assert.equal(NumberParser.parse("B00.00", "currency").confidence, 0.9);
+  assert.equal(NumberParser.parse("R1O 0OO,OO", "currency").value, 10000);
+  assert.equal(NumberParser.parse("R1O 0OO,OO", "currency").confidence, 0.5);
+});
+
+test("leaves label words alone", () => {
+  assert.equal(NumberParser.parse("Service fee", "currency"), null);
+  assert.equal(NumberParser.parse("Clause G3.3 applies", "decimal"), null);
+});
+
+test("keeps the decimal reading of an ambiguous separator as an alternate", () => {
+  const reading = NumberParser.parse("R1,234", "currency");
+  assert.equal(reading.value, 1234);
+  assert.equal(reading.confidence, 0.75);
+  assert.deepEqual(reading.alternates, [
+    { value: 1.234, confidence: 0.25, reason: '"," as decimal separator' },
+  ]);
+});
+
+test("turns every OCR confusion into a digit for reference numbers", () => {
+  assert.equal(NumberParser.ocrDigits("l2O|S"), "12015");
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import SAIdNumber from "../../src/cli/sa-id-number.js";
+
+// Client ID number of the digital sample PAQ
+const VALID_ID = "8702150972084";
+
+test("decodes a valid ID number", () => {
+  const result = SAIdNumber.parse(VALID_ID);
+  assert.equal(result.valid, true);
+  assert.equal(result.checksumValid, true);
+  assert.equal(result.dateOfBirth, "1987-02-15");
+  assert.equal(result.gender, "female");
+  assert.equal(result.citizenship, "citizen");
+  assert.deepEqual(result.errors, []);
+});
+
+test("accepts ID numbers printed in groups", () => {
+  assert.equal(SAIdNumber.parse("870215 0972 08 4").idNumber, VALID_ID);
+  assert.equal(SAIdNumber.parse("870215 0972 08 4").valid, true);
+});
+
+test("fails a wrong Luhn digit", () => {
+  const result = SAIdNumber.parse("8702150972085");
+  assert.equal(result.valid, false);
+  assert.equal(result.checksumValid, false);
+  assert.deepEqual(result.errors, ["checksum digit does not match"]);
+});
+
+test("fails an impossible birth date behind a passing checksum", () => {
+  const result = SAIdNumber.parse("8702300972083");
+  assert.equal(result.checksumValid, true);
+  assert.equal(result.valid, false);
+  assert.equal(result.dateOfBirth, null);
+  assert.deepEqual(result.errors, ["date of birth is not a real date"]);
+});
+
+test("puts two-digit years after this year in the 1900s", () => {
+  const today = new Date(2024, 0, 1);
+  assert.equal(SAIdNumber.dateOfBirth("2301010000000", today), "2023-01-01");
+  assert.equal(SAIdNumber.dateOfBirth("2501010000000", today), "1925-01-01");
+});
+
+test("rejects numbers that are not 13 digits", () => {
+  assert.deepEqual(SAIdNumber.parse("870215097208").errors, ["not 13 digits"]);
+});
+
+test("finds ID numbers in free text", () => {
+  const found = SAIdNumber.find("ID no: 870215 0972 08 4, account 99120801550850");
+  assert.equal(found.length, 1);
+  assert.equal(found[0].idNumber, VALID_ID);
+  assert.equal(found[0].index, 7);
+});
+
+test("matches the case model ID number", () => {
+  const result = SAIdNumber.compare(VALID_ID, VALID_ID);
+  assert.equal(result.valid, true);
+  assert.equal(result.confidence, 1);
+  assert.equal(result.difference, 0);
+});
+
+test("reports a different person's ID number as a mismatch", () => {
+  const result = SAIdNumber.compare(VALID_ID, "9912080155085");
+  assert.equal(result.valid, false);
+  assert.equal(result.confidence, 0);
+  assert.equal(result.difference, 9);
+  assert.equal(result.likelyMisread, false);
+  assert.equal(result.idNumber.valid, true);
+  assert.equal(result.expectedIdNumber.dateOfBirth, "1999-12-08");
+});
+
+test("flags a single digit that breaks the checksum as a likely misread", () => {
+  const result = SAIdNumber.compare("8702150972085", VALID_ID);
+  assert.equal(result.valid, false);
+  assert.equal(result.difference, 1);
+  assert.equal(result.likelyMisread, true);
+});